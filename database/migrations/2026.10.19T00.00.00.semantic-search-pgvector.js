@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Copies the JSON embeddings stored on content entries into the pgvector table
+ * used by the semantic-search plugin. Does nothing unless the database is
+ * Postgres with the pgvector extension available.
+ */
+
+const {
+  isAvailable,
+  migrateJsonEmbeddings,
+} = require('../../src/plugins/semantic-search/server/src/vector-stores/pgvector');
+
+module.exports = {
+  async up(knex) {
+    if (!['postgres', 'pg'].includes(knex.client.config.client)) {
+      return;
+    }
+
+    const config = strapi.config.get('plugin.semantic-search') || {};
+    const vectorStore = config.vectorStore || {};
+
+    if (vectorStore.type === 'json' || !(await isAvailable(knex))) {
+      return;
+    }
+
+    const { migrated, dimensions } = await migrateJsonEmbeddings(knex, strapi, {
+      dimensions: vectorStore.dimensions,
+      index: vectorStore.index,
+    });
+
+    if (dimensions) {
+      strapi.log.info(`Semantic Search: Migrated ${migrated} JSON embedding(s) to pgvector (${dimensions} dimensions)`);
+    }
+  },
+};
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useFetchClient } from '@strapi/strapi/admin';
+import { Badge, Box, Button, Flex, Typography } from '@strapi/design-system';
+import { ArrowClockwise } from '@strapi/icons';
+import { useIntl } from 'react-intl';
+
+import { useReindexDocument } from '../hooks/useReindexDocument';
+import { getTranslation } from '../utils/getTranslation';
+
+// Embedding status of the rows in the edited locale; reloads whenever the document is saved
+const useDocumentEmbedding = (model, documentId, locale, updatedAt) => {
+  const { get } = useFetchClient();
+  const [status, setStatus] = useState(null);
+
+  const reload = useCallback(async () => {
+    if (!documentId) {
+      setStatus(null);
+      return;
+    }
+
+    try {
+      const { data } = await get(`/semantic-search/documents/${model}/${documentId}`, {
+        params: locale ? { locale } : {},
+      });
+      setStatus(data.data);
+    } catch {
+      setStatus(null);
+    }
+  }, [get, model, documentId, locale]);
+
+  useEffect(() => {
+    reload();
+  }, [reload, updatedAt]);
+
+  return { status, reload };
+};
+
+const getEntryState = (entry) => {
+  if (entry.job && entry.job.status === 'dead') {
+    return { id: 'failed', defaultMessage: 'Failed', active: false };
+  }
+  if (entry.job) {
+    return { id: 'queued', defaultMessage: 'Queued', active: false };
+  }
+  if (!entry.embedded) {
+    return { id: 'missing', defaultMessage: 'Not embedded', active: false };
+  }
+  if (!entry.upToDate) {
+    return { id: 'outdated', defaultMessage: 'Outdated', active: false };
+  }
+  return { id: 'embedded', defaultMessage: 'Embedded', active: true };
+};
+
+const Detail = ({ label, value }) => (
+  <Flex justifyContent="space-between" gap={2}>
+    <Typography variant="pi" textColor="neutral600">
+      {label}
+    </Typography>
+    <Typography variant="pi" textColor="neutral800" textAlign="right">
+      {value === null || value === undefined ? '-' : value}
+    </Typography>
+  </Flex>
+);
+
+const EmbeddingStatus = ({ entries, onReindex, isReindexing }) => {
+  const { formatMessage, formatDate } = useIntl();
+
+  return (
+    <Flex direction="column" alignItems="stretch" gap={4} width="100%">
+      {entries.length === 0 && (
+        <Typography variant="pi" textColor="neutral600">
+          {formatMessage({
+            id: getTranslation('panel.noEntries'),
+            defaultMessage: 'This document has no stored version in this locale',
+          })}
+        </Typography>
+      )}
+      {entries.map((entry) => {
+        const state = getEntryState(entry);
+
+        return (
+          <Flex key={entry.id} direction="column" alignItems="stretch" gap={1}>
+            <Flex justifyContent="space-between">
+              <Typography variant="sigma" textColor="neutral600">
+                {entry.status === 'published'
+                  ? formatMessage({ id: getTranslation('status.published'), defaultMessage: 'Published' })
+                  : formatMessage({ id: getTranslation('status.draft'), defaultMessage: 'Draft' })}
+              </Typography>
+              <Badge active={state.active}>
+                {formatMessage({ id: getTranslation(`panel.state.${state.id}`), defaultMessage: state.defaultMessage })}
+              </Badge>
+            </Flex>
+            <Detail
+              label={formatMessage({ id: getTranslation('panel.model'), defaultMessage: 'Model' })}
+              value={entry.model && `${entry.provider} / ${entry.model}`}
+            />
+            <Detail
+              label={formatMessage({ id: getTranslation('panel.dimensions'), defaultMessage: 'Dimensions' })}
+              value={entry.dimensions}
+            />
+            <Detail
+              label={formatMessage({ id: getTranslation('panel.chunks'), defaultMessage: 'Chunks' })}
+              value={entry.chunks}
+            />
+            <Detail
+              label={formatMessage({ id: getTranslation('panel.generatedAt'), defaultMessage: 'Generated' })}
+              value={entry.generatedAt && formatDate(entry.generatedAt, { dateStyle: 'medium', timeStyle: 'short' })}
+            />
+            {entry.job && entry.job.lastError && (
+              <Typography variant="pi" textColor="danger600">
+                {entry.job.lastError}
+              </Typography>
+            )}
+          </Flex>
+        );
+      })}
+      {entries.length > 0 && (
+        <Box>
+          <Button
+            fullWidth
+            variant="secondary"
+            startIcon={<ArrowClockwise />}
+            loading={isReindexing}
+            onClick={onReindex}
+          >
+            {formatMessage({ id: getTranslation('reindex.document'), defaultMessage: 'Re-embed document' })}
+          </Button>
+        </Box>
+      )}
+    </Flex>
+  );
+};
+
+// Content manager edit view side panel. Hidden for new documents and content types not configured for search.
+const EmbeddingPanel = ({ model, documentId, document }) => {
+  const { formatMessage } = useIntl();
+  const id = documentId || (document && document.documentId);
+  const locale = (document && document.locale) || null;
+  const { status, reload } = useDocumentEmbedding(model, id, locale, document && document.updatedAt);
+  const { reindexDocument, pendingId } = useReindexDocument();
+
+  if (!id || !status || !status.configured) {
+    return null;
+  }
+
+  const handleReindex = async () => {
+    await reindexDocument(model, id, locale);
+    reload();
+  };
+
+  return {
+    title: formatMessage({ id: getTranslation('panel.title'), defaultMessage: 'Semantic search' }),
+    content: <EmbeddingStatus entries={status.entries} onReindex={handleReindex} isReindexing={pendingId === id} />,
+  };
+};
+
+export { EmbeddingPanel };
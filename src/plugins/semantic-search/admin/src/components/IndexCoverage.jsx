@@ -0,0 +1,315 @@
+import { Fragment, useCallback, useEffect, useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import {
+  Badge,
+  Box,
+  Button,
+  Field,
+  Flex,
+  Grid,
+  Loader,
+  SingleSelect,
+  SingleSelectOption,
+  Table,
+  Tbody,
+  Td,
+  TextInput,
+  Th,
+  Thead,
+  Tr,
+  Typography,
+} from '@strapi/design-system';
+import { ArrowClockwise } from '@strapi/icons';
+import { useIntl } from 'react-intl';
+
+import { useReindexDocument } from '../hooks/useReindexDocument';
+import { getTranslation } from '../utils/getTranslation';
+
+const POLL_INTERVAL = 2000;
+
+const sumProgress = (progress) =>
+  Object.values(progress.contentTypes || {}).reduce(
+    (totals, state) => ({
+      processed: totals.processed + state.processed,
+      embedded: totals.embedded + state.embedded,
+      failed: totals.failed + state.failed,
+    }),
+    { processed: 0, embedded: 0, failed: 0 }
+  );
+
+const IndexCoverage = ({ settings }) => {
+  const { formatMessage } = useIntl();
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+  const { reindexDocument, pendingId } = useReindexDocument();
+
+  const [stats, setStats] = useState(null);
+  const [reindexStatus, setReindexStatus] = useState(null);
+  const [documentForm, setDocumentForm] = useState({
+    contentType: settings.contentTypes[0] ? settings.contentTypes[0].uid : '',
+    documentId: '',
+  });
+
+  const loadStats = useCallback(async () => {
+    try {
+      const [{ data: statsResponse }, { data: statusResponse }] = await Promise.all([
+        get('/semantic-search/stats'),
+        get('/semantic-search/reindex/status'),
+      ]);
+
+      setStats(statsResponse.data);
+      setReindexStatus(statusResponse.data);
+    } catch (err) {
+      toggleNotification({ type: 'danger', message: formatAPIError(err) });
+    }
+  }, [get, toggleNotification, formatAPIError]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  // Follow a running reindex, and refresh the coverage once it ends
+  const isRunning = !!(reindexStatus && reindexStatus.running);
+
+  useEffect(() => {
+    if (!isRunning) {
+      return undefined;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        const { data } = await get('/semantic-search/reindex/status');
+        setReindexStatus(data.data);
+
+        if (!data.data.running) {
+          loadStats();
+        }
+      } catch {
+        // Keep polling; the next tick may succeed
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [isRunning, get, loadStats]);
+
+  const reindexContentType = async (uid) => {
+    try {
+      await post('/semantic-search/reindex', { contentTypes: [uid], force: true });
+      setReindexStatus((previous) => ({ ...previous, running: true }));
+    } catch (err) {
+      toggleNotification({ type: 'danger', message: formatAPIError(err) });
+    }
+  };
+
+  const handleDocumentSubmit = async (event) => {
+    event.preventDefault();
+
+    const result = await reindexDocument(documentForm.contentType, documentForm.documentId.trim());
+    if (result) {
+      loadStats();
+    }
+  };
+
+  if (!stats) {
+    return (
+      <Flex justifyContent="center" padding={8}>
+        <Loader />
+      </Flex>
+    );
+  }
+
+  const progress = reindexStatus && reindexStatus.progress;
+
+  return (
+    <Box paddingTop={6}>
+      {progress && (
+        <Box paddingBottom={4}>
+          <Typography variant="omega" textColor="neutral600">
+            {formatMessage(
+              {
+                id: getTranslation('coverage.reindex.progress'),
+                defaultMessage:
+                  'Last reindex: {status, select, running {running} completed {completed} failed {failed} other {{status}}} · {processed} processed, {embedded} embedded, {failed} failed',
+              },
+              { status: isRunning ? 'running' : progress.status, ...sumProgress(progress) }
+            )}
+          </Typography>
+        </Box>
+      )}
+
+      <Table colCount={5} rowCount={settings.contentTypes.length + 1}>
+        <Thead>
+          <Tr>
+            <Th>
+              <Typography variant="sigma">
+                {formatMessage({ id: getTranslation('coverage.contentType'), defaultMessage: 'Content type' })}
+              </Typography>
+            </Th>
+            <Th>
+              <Typography variant="sigma">
+                {formatMessage({ id: getTranslation('coverage.total'), defaultMessage: 'Entries' })}
+              </Typography>
+            </Th>
+            <Th>
+              <Typography variant="sigma">
+                {formatMessage({ id: getTranslation('coverage.embedded'), defaultMessage: 'Embedded' })}
+              </Typography>
+            </Th>
+            <Th>
+              <Typography variant="sigma">
+                {formatMessage({ id: getTranslation('coverage.coverage'), defaultMessage: 'Coverage' })}
+              </Typography>
+            </Th>
+            <Th>
+              <Typography variant="sigma">
+                {formatMessage({ id: getTranslation('coverage.actions'), defaultMessage: 'Actions' })}
+              </Typography>
+            </Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {settings.contentTypes.map((contentType) => {
+            const counts = stats[contentType.uid];
+
+            return (
+              <Fragment key={contentType.uid}>
+                <Tr>
+                  <Td>
+                    <Flex direction="column" alignItems="flex-start">
+                      <Typography fontWeight="bold" textColor="neutral800">
+                        {contentType.displayName}
+                      </Typography>
+                      <Typography variant="pi" textColor="neutral600">
+                        {contentType.uid}
+                      </Typography>
+                    </Flex>
+                  </Td>
+                  <Td>
+                    <Typography textColor="neutral800">{counts ? counts.total : '-'}</Typography>
+                  </Td>
+                  <Td>
+                    <Typography textColor="neutral800">{counts ? counts.withEmbeddings : '-'}</Typography>
+                  </Td>
+                  <Td>
+                    {counts ? (
+                      <Badge active={counts.total > 0 && counts.withEmbeddings === counts.total}>
+                        {counts.coverage}
+                      </Badge>
+                    ) : (
+                      '-'
+                    )}
+                  </Td>
+                  <Td>
+                    <Button
+                      variant="secondary"
+                      size="S"
+                      startIcon={<ArrowClockwise />}
+                      disabled={isRunning || !settings.provider}
+                      onClick={() => reindexContentType(contentType.uid)}
+                    >
+                      {formatMessage({
+                        id: getTranslation('reindex.contentType'),
+                        defaultMessage: 'Re-embed all',
+                      })}
+                    </Button>
+                  </Td>
+                </Tr>
+                {counts &&
+                  counts.locales &&
+                  Object.entries(counts.locales).map(([locale, localeCounts]) => (
+                    <Tr key={`${contentType.uid}-${locale}`}>
+                      <Td>
+                        <Box paddingLeft={4}>
+                          <Typography variant="pi" textColor="neutral600">
+                            {locale}
+                          </Typography>
+                        </Box>
+                      </Td>
+                      <Td>
+                        <Typography variant="pi" textColor="neutral600">
+                          {localeCounts.total}
+                        </Typography>
+                      </Td>
+                      <Td>
+                        <Typography variant="pi" textColor="neutral600">
+                          {localeCounts.withEmbeddings}
+                        </Typography>
+                      </Td>
+                      <Td>
+                        <Typography variant="pi" textColor="neutral600">
+                          {localeCounts.coverage}
+                        </Typography>
+                      </Td>
+                      <Td />
+                    </Tr>
+                  ))}
+              </Fragment>
+            );
+          })}
+        </Tbody>
+      </Table>
+
+      <Box tag="form" onSubmit={handleDocumentSubmit} marginTop={6} background="neutral0" hasRadius shadow="filterShadow" padding={6}>
+        <Box paddingBottom={4}>
+          <Typography variant="delta" tag="h2">
+            {formatMessage({ id: getTranslation('reindex.document.title'), defaultMessage: 'Re-embed a document' })}
+          </Typography>
+        </Box>
+        <Grid.Root gap={4}>
+          <Grid.Item col={4} s={12} direction="column" alignItems="stretch">
+            <Field.Root name="contentType">
+              <Field.Label>
+                {formatMessage({ id: getTranslation('coverage.contentType'), defaultMessage: 'Content type' })}
+              </Field.Label>
+              <SingleSelect
+                value={documentForm.contentType}
+                onChange={(value) => setDocumentForm((previous) => ({ ...previous, contentType: value }))}
+              >
+                {settings.contentTypes.map((type) => (
+                  <SingleSelectOption key={type.uid} value={type.uid}>
+                    {type.displayName}
+                  </SingleSelectOption>
+                ))}
+              </SingleSelect>
+            </Field.Root>
+          </Grid.Item>
+          <Grid.Item col={5} s={12} direction="column" alignItems="stretch">
+            <Field.Root
+              name="documentId"
+              hint={formatMessage({
+                id: getTranslation('reindex.document.hint'),
+                defaultMessage: 'Every locale and the draft and published versions are re-embedded',
+              })}
+            >
+              <Field.Label>
+                {formatMessage({ id: getTranslation('reindex.document.documentId'), defaultMessage: 'Document ID' })}
+              </Field.Label>
+              <TextInput
+                value={documentForm.documentId}
+                onChange={(event) => {
+                  const { value } = event.target;
+                  setDocumentForm((previous) => ({ ...previous, documentId: value }));
+                }}
+              />
+              <Field.Hint />
+            </Field.Root>
+          </Grid.Item>
+          <Grid.Item col={3} s={12} alignItems="flex-start" paddingTop={6}>
+            <Button
+              type="submit"
+              variant="secondary"
+              startIcon={<ArrowClockwise />}
+              loading={pendingId !== null}
+              disabled={!documentForm.documentId.trim() || !settings.provider}
+            >
+              {formatMessage({ id: getTranslation('reindex.document'), defaultMessage: 'Re-embed document' })}
+            </Button>
+          </Grid.Item>
+        </Grid.Root>
+      </Box>
+    </Box>
+  );
+};
+
+export { IndexCoverage };
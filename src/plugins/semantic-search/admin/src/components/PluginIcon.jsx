@@ -0,0 +1,5 @@
+import { Search } from '@strapi/icons';
+
+const PluginIcon = () => <Search />;
+
+export { PluginIcon };
@@ -0,0 +1,376 @@
+import { useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import {
+  Box,
+  Button,
+  Checkbox,
+  EmptyStateLayout,
+  Field,
+  Flex,
+  Grid,
+  IconButton,
+  Link,
+  SingleSelect,
+  SingleSelectOption,
+  Table,
+  Tbody,
+  Td,
+  TextInput,
+  Th,
+  Thead,
+  Tr,
+  Typography,
+} from '@strapi/design-system';
+import { ArrowClockwise, Search } from '@strapi/icons';
+import { useIntl } from 'react-intl';
+import { NavLink } from 'react-router-dom';
+
+import { useReindexDocument } from '../hooks/useReindexDocument';
+import { formatScore, getEditViewPath } from '../utils/format';
+import { getTranslation } from '../utils/getTranslation';
+
+// Score columns shown when at least one result has the score
+const SCORE_COLUMNS = [
+  { key: 'semanticScore', defaultMessage: 'Semantic' },
+  { key: 'lexicalScore', defaultMessage: 'Keyword' },
+  { key: 'fusedScore', defaultMessage: 'Fused' },
+  { key: 'originalScore', defaultMessage: 'Before re-rank' },
+  { key: 'rerankScore', defaultMessage: 'Re-rank' },
+];
+
+const PASSAGE_LENGTH = 240;
+
+const SearchPlayground = ({ settings, locales }) => {
+  const { formatMessage } = useIntl();
+  const { post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+  const { reindexDocument, pendingId } = useReindexDocument();
+
+  const [form, setForm] = useState({
+    query: '',
+    contentType: settings.contentTypes[0] ? settings.contentTypes[0].uid : '',
+    mode: 'semantic',
+    locale: '',
+    status: 'published',
+    rerank: false,
+    searchField: '',
+  });
+  const [response, setResponse] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const contentType = settings.contentTypes.find((type) => type.uid === form.contentType);
+  const setField = (name) => (value) => setForm((previous) => ({ ...previous, [name]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!form.query.trim() || !contentType) {
+      return;
+    }
+
+    setIsSearching(true);
+
+    try {
+      const { data } = await post('/semantic-search/playground', {
+        query: form.query,
+        contentType: form.contentType,
+        mode: form.mode,
+        status: contentType.draftAndPublish ? form.status : undefined,
+        locale: contentType.localized && form.locale ? form.locale : undefined,
+        rerank: settings.rerankAvailable ? form.rerank : undefined,
+        searchField: contentType.fieldWeights && form.searchField ? form.searchField : undefined,
+      });
+
+      setResponse({ ...data.data, took: data.meta.took, contentType });
+    } catch (err) {
+      toggleNotification({ type: 'danger', message: formatAPIError(err) });
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  if (settings.contentTypes.length === 0) {
+    return (
+      <Box paddingTop={6}>
+        <EmptyStateLayout
+          content={formatMessage({
+            id: getTranslation('playground.noContentTypes'),
+            defaultMessage: 'No content types are configured for semantic search',
+          })}
+        />
+      </Box>
+    );
+  }
+
+  const results = response ? response.results : [];
+  const scoreColumns = SCORE_COLUMNS.filter(({ key }) =>
+    results.some((result) => result[key] !== undefined && result[key] !== null)
+  );
+  const searchOptions = response ? response.metadata.searchOptions : null;
+
+  return (
+    <Box paddingTop={6}>
+      <Box tag="form" onSubmit={handleSubmit} background="neutral0" hasRadius shadow="filterShadow" padding={6}>
+        <Grid.Root gap={4}>
+          <Grid.Item col={6} s={12} direction="column" alignItems="stretch">
+            <Field.Root name="query" required>
+              <Field.Label>
+                {formatMessage({ id: getTranslation('playground.query'), defaultMessage: 'Query' })}
+              </Field.Label>
+              <TextInput
+                value={form.query}
+                onChange={(event) => setField('query')(event.target.value)}
+                placeholder={formatMessage({
+                  id: getTranslation('playground.query.placeholder'),
+                  defaultMessage: 'What are editors looking for?',
+                })}
+              />
+            </Field.Root>
+          </Grid.Item>
+          <Grid.Item col={3} s={6} direction="column" alignItems="stretch">
+            <Field.Root name="contentType">
+              <Field.Label>
+                {formatMessage({ id: getTranslation('playground.contentType'), defaultMessage: 'Content type' })}
+              </Field.Label>
+              <SingleSelect
+                value={form.contentType}
+                onChange={(value) => setForm((previous) => ({ ...previous, contentType: value, searchField: '' }))}
+              >
+                {settings.contentTypes.map((type) => (
+                  <SingleSelectOption key={type.uid} value={type.uid}>
+                    {type.displayName}
+                  </SingleSelectOption>
+                ))}
+              </SingleSelect>
+            </Field.Root>
+          </Grid.Item>
+          <Grid.Item col={3} s={6} direction="column" alignItems="stretch">
+            <Field.Root name="mode">
+              <Field.Label>
+                {formatMessage({ id: getTranslation('playground.mode'), defaultMessage: 'Mode' })}
+              </Field.Label>
+              <SingleSelect value={form.mode} onChange={setField('mode')}>
+                <SingleSelectOption value="semantic">
+                  {formatMessage({ id: getTranslation('playground.mode.semantic'), defaultMessage: 'Semantic' })}
+                </SingleSelectOption>
+                <SingleSelectOption value="hybrid">
+                  {formatMessage({ id: getTranslation('playground.mode.hybrid'), defaultMessage: 'Hybrid' })}
+                </SingleSelectOption>
+              </SingleSelect>
+            </Field.Root>
+          </Grid.Item>
+          {contentType && contentType.fieldWeights && (
+            <Grid.Item col={3} s={6} direction="column" alignItems="stretch">
+              <Field.Root
+                name="searchField"
+                hint={formatMessage({
+                  id: getTranslation('playground.searchField.hint'),
+                  defaultMessage: 'Match against the vectors of one field',
+                })}
+              >
+                <Field.Label>
+                  {formatMessage({ id: getTranslation('playground.searchField'), defaultMessage: 'Field' })}
+                </Field.Label>
+                <SingleSelect value={form.searchField} onChange={setField('searchField')}>
+                  <SingleSelectOption value="">
+                    {formatMessage({ id: getTranslation('playground.searchField.all'), defaultMessage: 'All fields' })}
+                  </SingleSelectOption>
+                  {contentType.fields.map((field) => (
+                    <SingleSelectOption key={field} value={field}>
+                      {field}
+                    </SingleSelectOption>
+                  ))}
+                </SingleSelect>
+                <Field.Hint />
+              </Field.Root>
+            </Grid.Item>
+          )}
+          {contentType && contentType.localized && (
+            <Grid.Item col={3} s={6} direction="column" alignItems="stretch">
+              <Field.Root name="locale">
+                <Field.Label>
+                  {formatMessage({ id: getTranslation('playground.locale'), defaultMessage: 'Locale' })}
+                </Field.Label>
+                <SingleSelect
+                  value={form.locale}
+                  onChange={setField('locale')}
+                  placeholder={formatMessage({
+                    id: getTranslation('playground.locale.default'),
+                    defaultMessage: 'Default locale',
+                  })}
+                >
+                  {locales.map((locale) => (
+                    <SingleSelectOption key={locale.code} value={locale.code}>
+                      {locale.name}
+                    </SingleSelectOption>
+                  ))}
+                  <SingleSelectOption value="all">
+                    {formatMessage({ id: getTranslation('playground.locale.all'), defaultMessage: 'All locales' })}
+                  </SingleSelectOption>
+                </SingleSelect>
+              </Field.Root>
+            </Grid.Item>
+          )}
+          {contentType && contentType.draftAndPublish && (
+            <Grid.Item col={3} s={6} direction="column" alignItems="stretch">
+              <Field.Root name="status">
+                <Field.Label>
+                  {formatMessage({ id: getTranslation('playground.status'), defaultMessage: 'Status' })}
+                </Field.Label>
+                <SingleSelect value={form.status} onChange={setField('status')}>
+                  <SingleSelectOption value="published">
+                    {formatMessage({ id: getTranslation('status.published'), defaultMessage: 'Published' })}
+                  </SingleSelectOption>
+                  <SingleSelectOption value="draft">
+                    {formatMessage({ id: getTranslation('status.draft'), defaultMessage: 'Draft' })}
+                  </SingleSelectOption>
+                </SingleSelect>
+              </Field.Root>
+            </Grid.Item>
+          )}
+          {settings.rerankAvailable && (
+            <Grid.Item col={3} s={6} alignItems="center">
+              <Checkbox checked={form.rerank} onCheckedChange={(checked) => setField('rerank')(!!checked)}>
+                {formatMessage({ id: getTranslation('playground.rerank'), defaultMessage: 'Re-rank results' })}
+              </Checkbox>
+            </Grid.Item>
+          )}
+        </Grid.Root>
+        <Flex justifyContent="flex-end" paddingTop={4}>
+          <Button type="submit" startIcon={<Search />} loading={isSearching} disabled={!form.query.trim()}>
+            {formatMessage({ id: getTranslation('playground.submit'), defaultMessage: 'Search' })}
+          </Button>
+        </Flex>
+      </Box>
+
+      {response && (
+        <Box paddingTop={6}>
+          <Box paddingBottom={4}>
+            <Typography variant="omega" textColor="neutral600">
+              {formatMessage(
+                {
+                  id: getTranslation('playground.summary'),
+                  defaultMessage:
+                    '{count, plural, =0 {No results} one {# result} other {# results}} in {took} ms · {mode} · locale {locale}',
+                },
+                {
+                  count: results.length,
+                  took: response.took,
+                  mode: searchOptions.mode,
+                  locale: searchOptions.locale || '-',
+                }
+              )}
+              {searchOptions.rerank &&
+                ` · ${formatMessage(
+                  {
+                    id: getTranslation('playground.summary.rerank'),
+                    defaultMessage:
+                      '{applied, select, true {re-ranked by {model} ({candidates} candidates)} other {re-ranking with {model} failed, original order kept}}',
+                  },
+                  { ...searchOptions.rerank, applied: String(searchOptions.rerank.applied) }
+                )}`}
+            </Typography>
+          </Box>
+
+          {results.length > 0 && (
+            <Table colCount={5 + scoreColumns.length} rowCount={results.length + 1}>
+              <Thead>
+                <Tr>
+                  <Th>
+                    <Typography variant="sigma">#</Typography>
+                  </Th>
+                  <Th>
+                    <Typography variant="sigma">
+                      {formatMessage({ id: getTranslation('playground.document'), defaultMessage: 'Document' })}
+                    </Typography>
+                  </Th>
+                  <Th>
+                    <Typography variant="sigma">
+                      {formatMessage({ id: getTranslation('playground.similarity'), defaultMessage: 'Similarity' })}
+                    </Typography>
+                  </Th>
+                  {scoreColumns.map(({ key, defaultMessage }) => (
+                    <Th key={key}>
+                      <Typography variant="sigma">
+                        {formatMessage({ id: getTranslation(`playground.score.${key}`), defaultMessage })}
+                      </Typography>
+                    </Th>
+                  ))}
+                  <Th>
+                    <Typography variant="sigma">
+                      {formatMessage({ id: getTranslation('playground.passage'), defaultMessage: 'Matched text' })}
+                    </Typography>
+                  </Th>
+                  <Th>
+                    <Typography variant="sigma">
+                      {formatMessage({ id: getTranslation('playground.actions'), defaultMessage: 'Actions' })}
+                    </Typography>
+                  </Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {results.map((result, index) => (
+                  <Tr key={result.id}>
+                    <Td>
+                      <Typography textColor="neutral800">{index + 1}</Typography>
+                    </Td>
+                    <Td>
+                      <Flex direction="column" alignItems="flex-start">
+                        <Link tag={NavLink} to={getEditViewPath(response.contentType, result.documentId, result.locale)}>
+                          {result.label}
+                        </Link>
+                        <Typography variant="pi" textColor="neutral600">
+                          {result.locale ? `${result.documentId} · ${result.locale}` : result.documentId}
+                        </Typography>
+                      </Flex>
+                    </Td>
+                    <Td>
+                      <Typography textColor="neutral800">{formatScore(result.similarityScore)}</Typography>
+                    </Td>
+                    {scoreColumns.map(({ key }) => (
+                      <Td key={key}>
+                        <Typography textColor="neutral800">{formatScore(result[key])}</Typography>
+                      </Td>
+                    ))}
+                    <Td style={{ whiteSpace: 'normal', maxWidth: '40rem' }}>
+                      <Flex direction="column" alignItems="flex-start" gap={1}>
+                        {result.matchedPassage && result.matchedPassage.field && (
+                          <Typography variant="sigma" textColor="neutral600">
+                            {result.matchedPassage.field}
+                          </Typography>
+                        )}
+                        <Typography variant="pi" textColor="neutral700">
+                          {result.matchedPassage
+                            ? `${result.matchedPassage.text.slice(0, PASSAGE_LENGTH)}${result.matchedPassage.text.length > PASSAGE_LENGTH ? '…' : ''}`
+                            : '-'}
+                        </Typography>
+                      </Flex>
+                    </Td>
+                    <Td>
+                      <IconButton
+                        label={formatMessage({
+                          id: getTranslation('reindex.document'),
+                          defaultMessage: 'Re-embed document',
+                        })}
+                        variant="ghost"
+                        disabled={pendingId === result.documentId}
+                        onClick={() =>
+                          reindexDocument(response.contentType.uid, result.documentId, result.locale)
+                        }
+                      >
+                        <ArrowClockwise />
+                      </IconButton>
+                    </Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export { SearchPlayground };
@@ -0,0 +1,49 @@
+import { useCallback, useState } from 'react';
+import { useAPIErrorHandler, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import { useIntl } from 'react-intl';
+
+import { getTranslation } from '../utils/getTranslation';
+
+// Re-embeds one document and reports the outcome as a notification
+const useReindexDocument = () => {
+  const { formatMessage } = useIntl();
+  const { post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const { formatAPIError } = useAPIErrorHandler();
+  const [pendingId, setPendingId] = useState(null);
+
+  const reindexDocument = useCallback(
+    async (contentType, documentId, locale = null) => {
+      setPendingId(documentId);
+
+      try {
+        const { data } = await post(`/semantic-search/documents/${contentType}/${documentId}/reindex`, { locale });
+
+        toggleNotification({
+          type: data.data.embedded > 0 ? 'success' : 'warning',
+          message: formatMessage(
+            {
+              id: getTranslation('reindex.document.done'),
+              defaultMessage:
+                'Re-embedded {embedded, plural, one {# entry} other {# entries}}, skipped {skipped} without enough text',
+            },
+            data.data
+          ),
+        });
+
+        return data.data;
+      } catch (err) {
+        toggleNotification({ type: 'danger', message: formatAPIError(err) });
+
+        return null;
+      } finally {
+        setPendingId(null);
+      }
+    },
+    [post, toggleNotification, formatAPIError, formatMessage]
+  );
+
+  return { reindexDocument, pendingId };
+};
+
+export { useReindexDocument };
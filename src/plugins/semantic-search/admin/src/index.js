@@ -0,0 +1,53 @@
+import { getTranslation } from './utils/getTranslation';
+import { PLUGIN_ID } from './pluginId';
+import { Initializer } from './components/Initializer';
+import { PluginIcon } from './components/PluginIcon';
+import { EmbeddingPanel } from './components/EmbeddingPanel';
+
+export default {
+  register(app) {
+    app.addMenuLink({
+      to: `plugins/${PLUGIN_ID}`,
+      icon: PluginIcon,
+      permissions: [{ action: `plugin::${PLUGIN_ID}.read`, subject: null }],
+      intlLabel: {
+        id: getTranslation('plugin.name'),
+        defaultMessage: 'Semantic Search',
+      },
+      Component: async () => {
+        const { App } = await import('./pages/App');
+
+        return App;
+      },
+    });
+
+    app.registerPlugin({
+      id: PLUGIN_ID,
+      initializer: Initializer,
+      isReady: false,
+      name: PLUGIN_ID,
+    });
+  },
+
+  bootstrap(app) {
+    // Embedding status of the open document, next to the content manager's own panels
+    app.getPlugin('content-manager').apis.addEditViewSidePanel([EmbeddingPanel]);
+  },
+
+  async registerTrads({ locales }) {
+    return Promise.all(
+      locales.map(async (locale) => {
+        try {
+          const { default: data } = await import(`./translations/${locale}.json`);
+          const prefixed = Object.fromEntries(
+            Object.entries(data).map(([key, value]) => [getTranslation(key), value])
+          );
+
+          return { data: prefixed, locale };
+        } catch {
+          return { data: {}, locale };
+        }
+      })
+    );
+  },
+};
@@ -0,0 +1,91 @@
+import { useEffect, useState } from 'react';
+import { Layouts, Page, useAPIErrorHandler, useFetchClient } from '@strapi/strapi/admin';
+import { Tabs } from '@strapi/design-system';
+import { useIntl } from 'react-intl';
+
+import { IndexCoverage } from '../components/IndexCoverage';
+import { SearchPlayground } from '../components/SearchPlayground';
+import { getTranslation } from '../utils/getTranslation';
+
+const HomePage = () => {
+  const { formatMessage } = useIntl();
+  const { get } = useFetchClient();
+  const { formatAPIError } = useAPIErrorHandler();
+  const [settings, setSettings] = useState(null);
+  const [locales, setLocales] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data } = await get('/semantic-search/settings');
+        setSettings(data.data);
+
+        // Locales only exist when the i18n plugin is installed
+        if (data.data.contentTypes.some((contentType) => contentType.localized)) {
+          const { data: localeList } = await get('/i18n/locales');
+          setLocales(localeList);
+        }
+      } catch (err) {
+        setError(formatAPIError(err));
+      }
+    };
+
+    load();
+  }, [get, formatAPIError]);
+
+  if (error) {
+    return <Page.Error />;
+  }
+
+  if (!settings) {
+    return <Page.Loading />;
+  }
+
+  const title = formatMessage({ id: getTranslation('plugin.name'), defaultMessage: 'Semantic Search' });
+
+  return (
+    <Page.Main>
+      <Page.Title>{title}</Page.Title>
+      <Layouts.Header
+        title={title}
+        subtitle={
+          settings.provider
+            ? formatMessage(
+                {
+                  id: getTranslation('home.subtitle'),
+                  defaultMessage: 'Embeddings by {provider} ({model})',
+                },
+                settings.provider
+              )
+            : formatMessage({
+                id: getTranslation('home.subtitle.noProvider'),
+                defaultMessage: 'No embedding provider is configured',
+              })
+        }
+      />
+      <Layouts.Content>
+        <Tabs.Root defaultValue="playground">
+          <Tabs.List
+            aria-label={formatMessage({ id: getTranslation('home.tabs'), defaultMessage: 'Semantic search' })}
+          >
+            <Tabs.Trigger value="playground">
+              {formatMessage({ id: getTranslation('playground.title'), defaultMessage: 'Search playground' })}
+            </Tabs.Trigger>
+            <Tabs.Trigger value="coverage">
+              {formatMessage({ id: getTranslation('coverage.title'), defaultMessage: 'Index coverage' })}
+            </Tabs.Trigger>
+          </Tabs.List>
+          <Tabs.Content value="playground">
+            <SearchPlayground settings={settings} locales={locales} />
+          </Tabs.Content>
+          <Tabs.Content value="coverage">
+            <IndexCoverage settings={settings} />
+          </Tabs.Content>
+        </Tabs.Root>
+      </Layouts.Content>
+    </Page.Main>
+  );
+};
+
+export { HomePage };
@@ -0,0 +1 @@
+export const PLUGIN_ID = 'semantic-search';
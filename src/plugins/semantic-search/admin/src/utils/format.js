@@ -0,0 +1,10 @@
+export const formatScore = (score) =>
+  typeof score === 'number' ? score.toFixed(4) : '-';
+
+// Content manager edit view of a document, in the given locale
+export const getEditViewPath = ({ uid, kind }, documentId, locale) => {
+  const collection = kind === 'singleType' ? 'single-types' : 'collection-types';
+  const path = kind === 'singleType' ? `/content-manager/${collection}/${uid}` : `/content-manager/${collection}/${uid}/${documentId}`;
+
+  return locale ? `${path}?plugins[i18n][locale]=${locale}` : path;
+};
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+'use strict';
+
+// Usage (from the Strapi project root):
+//   node src/plugins/semantic-search/bin/reindex.js [options]
+//
+// Options:
+//   --content-type <uid>   Content type to reindex (repeatable, or comma separated). Defaults to all configured types
+//   --missing-only         Only embed entries that have no embedding yet
+//   --force                Re-embed every entry, even when its embedding is current
+//   --locale <code>        Only reindex entries in this locale
+//   --dry-run              Report what would be embedded without calling the provider or writing
+//   --resume               Continue the last interrupted run with the same options
+//   --page-size <n>        Entries loaded per page (default 50)
+//   --migration            Embed with the model migration's target model into its own index
+//   --cutover              Swap in the model migration's index instead of reindexing; with --force even when incomplete
+
+const USAGE = 'Usage: reindex.js [--content-type <uid>] [--missing-only | --force] [--locale <code>] [--dry-run] [--resume] [--page-size <n>] [--migration]\n       reindex.js --cutover [--force]';
+
+function parseArgs(argv) {
+  const options = { contentTypes: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--content-type':
+        options.contentTypes.push(...String(argv[++i] || '').split(',').filter(Boolean));
+        break;
+      case '--missing-only':
+        options.missingOnly = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--locale':
+        options.locale = argv[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--resume':
+        options.resume = true;
+        break;
+      case '--page-size':
+        options.pageSize = parseInt(argv[++i]);
+        break;
+      case '--migration':
+        options.migration = true;
+        break;
+      case '--cutover':
+        options.cutover = true;
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        console.error(`Unknown option: ${arg}\n${USAGE}`);
+        process.exit(1);
+    }
+  }
+
+  if (options.missingOnly && options.force) {
+    console.error('--missing-only and --force cannot be combined');
+    process.exit(1);
+  }
+
+  const { contentTypes, cutover, force, ...rest } = options;
+  if (cutover && (contentTypes.length > 0 || Object.keys(rest).length > 0)) {
+    console.error('--cutover can only be combined with --force');
+    process.exit(1);
+  }
+
+  if (options.pageSize !== undefined && (!Number.isInteger(options.pageSize) || options.pageSize < 1)) {
+    console.error('--page-size must be a positive integer');
+    process.exit(1);
+  }
+
+  return options;
+}
+
+async function cutover(app, { force = false }) {
+  const result = await app.plugin('semantic-search').service('migrationService').cutover({ force });
+
+  console.log(`Cut over from ${result.source} to ${result.target}`);
+  Object.entries(result.contentTypes).forEach(([uid, counts]) => {
+    console.log(`  ${uid}: swapped ${counts.swapped}, cleared ${counts.cleared}`);
+  });
+  console.log('Now set provider to the migration provider and remove migration from the plugin configuration.');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+
+  // Leave queued jobs and in-process indexes to the running servers
+  process.env.SEMANTIC_SEARCH_CLI = 'true';
+
+  // Compiling or loading fails on configuration and database errors; report them like any other
+  let app = null;
+  try {
+    const appContext = await compileStrapi();
+    app = createStrapi(appContext);
+    await app.load();
+  } catch (error) {
+    console.error(`Could not start Strapi: ${error.message}`);
+    if (app) {
+      await app.destroy().catch(() => {});
+    }
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  // Ctrl+C stops after the current page, whose progress is saved so --resume picks it up. A second
+  // Ctrl+C, or one during a cut-over, quits at once.
+  let stopping = false;
+  process.on('SIGINT', async () => {
+    if (!stopping && !options.cutover) {
+      stopping = true;
+      console.log('\nStopping after the current page. Press Ctrl+C again to quit now.');
+      app.plugin('semantic-search').service('indexingService').stopReindex();
+      return;
+    }
+
+    console.log(options.cutover ? '\nInterrupted. Run the cut-over again to finish it.' : '\nInterrupted. Run again with --resume to continue.');
+    await app.destroy();
+    process.exit(130);
+  });
+
+  try {
+    if (options.cutover) {
+      await cutover(app, options);
+      await app.destroy();
+      process.exit(0);
+    }
+
+    const indexingService = app.plugin('semantic-search').service('indexingService');
+
+    const report = await indexingService.reindex({
+      ...options,
+      onProgress(progress) {
+        const line = Object.entries(progress.contentTypes)
+          .map(([uid, state]) => `${uid}: ${state.processed} processed`)
+          .join(', ');
+        process.stdout.write(`\r${line}`);
+      }
+    });
+
+    process.stdout.write('\n');
+    console.log(`${report.dryRun ? 'Dry run' : report.migration ? 'Migration reindex' : 'Reindex'} ${report.status}`);
+    Object.entries(report.contentTypes).forEach(([uid, state]) => {
+      console.log(`  ${uid}: embedded ${state.embedded}, skipped ${state.skipped}, failed ${state.failed}`);
+      state.errors.forEach(error => console.log(`    entry ${error.id}: ${error.error}`));
+    });
+    console.log(`Total: embedded ${report.totals.embedded}, skipped ${report.totals.skipped}, failed ${report.totals.failed}`);
+
+    if (report.status === 'interrupted') {
+      console.log('Run again with --resume to continue.');
+      exitCode = 130;
+    } else if (report.totals.failed > 0) {
+      exitCode = 2;
+    }
+
+  } catch (error) {
+    console.error(`\n${options.cutover ? 'Cut-over' : 'Reindex'} failed: ${error.message}`);
+    exitCode = 1;
+  }
+
+  await app.destroy();
+  process.exit(exitCode);
+}
+
+main();
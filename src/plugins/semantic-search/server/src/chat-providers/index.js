@@ -0,0 +1,34 @@
+'use strict';
+
+const openai = require('./openai');
+const openaiCompatible = require('./openai-compatible');
+
+const chatProviders = {
+  openai,
+  'openai-compatible': openaiCompatible,
+};
+
+const defaultModels = {
+  openai: 'gpt-4o-mini',
+  'openai-compatible': 'llama3.1',
+};
+
+function createChatProvider(config = {}, { strapi }) {
+  const type = config.type || 'openai';
+  const factory = chatProviders[type];
+
+  if (!factory) {
+    throw new Error(`Unknown chat provider "${type}". Expected one of: ${Object.keys(chatProviders).join(', ')}`);
+  }
+
+  return factory({
+    strapi,
+    config: { ...config, type, model: config.model || defaultModels[type] }
+  });
+}
+
+module.exports = {
+  chatProviders,
+  defaultModels,
+  createChatProvider,
+};
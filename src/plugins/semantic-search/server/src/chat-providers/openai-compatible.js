@@ -0,0 +1,75 @@
+'use strict';
+
+const axios = require('axios');
+
+// Reads the text deltas of an OpenAI-style event stream: `data: {...}` lines ending with `data: [DONE]`
+async function readStream(stream, onToken) {
+  let buffer = '';
+  let text = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') {
+        return text;
+      }
+
+      const choice = JSON.parse(payload).choices[0];
+      const delta = choice && choice.delta && choice.delta.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }
+  }
+
+  return text;
+}
+
+// Any server exposing an OpenAI-style `POST /chat/completions` route (Ollama, vLLM, LocalAI, ...)
+module.exports = ({ strapi, config }) => {
+  if (!config.baseURL) {
+    strapi.log.warn('Chat provider "openai-compatible" requires a baseURL. Answers will not function.');
+    return null;
+  }
+
+  const client = axios.create({
+    baseURL: config.baseURL.replace(/\/+$/, ''),
+    timeout: config.timeout || 60000,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` }),
+      ...config.headers,
+    },
+  });
+
+  return {
+    name: 'openai-compatible',
+    model: config.model,
+
+    async complete(messages, { maxTokens, signal, onToken = null } = {}) {
+      const request = {
+        model: config.model,
+        messages,
+        stream: !!onToken,
+        ...(config.temperature !== undefined && { temperature: config.temperature }),
+        ...(maxTokens && { max_tokens: maxTokens }),
+      };
+
+      if (!onToken) {
+        const response = await client.post('/chat/completions', request, { signal });
+        return response.data.choices[0].message.content || '';
+      }
+
+      const response = await client.post('/chat/completions', request, { signal, responseType: 'stream' });
+      return readStream(response.data, onToken);
+    }
+  };
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+const OpenAI = require('openai');
+
+module.exports = ({ strapi, config }) => {
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+
+  if (!apiKey) {
+    strapi.log.warn('OpenAI API key not found. Answers will not function.');
+    return null;
+  }
+
+  const client = new OpenAI({
+    apiKey,
+    ...(config.baseURL && { baseURL: config.baseURL }),
+    ...(config.organization && { organization: config.organization }),
+  });
+
+  return {
+    name: 'openai',
+    model: config.model,
+
+    // Returns the whole answer; with `onToken` the answer is streamed and each piece passed on as it arrives
+    async complete(messages, { maxTokens, signal, onToken = null } = {}) {
+      const request = {
+        model: config.model,
+        messages,
+        ...(config.temperature !== undefined && { temperature: config.temperature }),
+        ...(maxTokens && { max_tokens: maxTokens }),
+      };
+
+      if (!onToken) {
+        const response = await client.chat.completions.create(request, { signal });
+        return response.choices[0].message.content || '';
+      }
+
+      const stream = await client.chat.completions.create({ ...request, stream: true }, { signal });
+      let text = '';
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }
+
+      return text;
+    }
+  };
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+const embeddingJob = require('./embedding-job/schema.json');
+const queryCacheEntry = require('./query-cache-entry/schema.json');
+const searchQuery = require('./search-query/schema.json');
+const searchFeedback = require('./search-feedback/schema.json');
+const migrationEmbedding = require('./migration-embedding/schema.json');
+
+module.exports = {
+  'embedding-job': { schema: embeddingJob },
+  'query-cache-entry': { schema: queryCacheEntry },
+  'search-query': { schema: searchQuery },
+  'search-feedback': { schema: searchFeedback },
+  'migration-embedding': { schema: migrationEmbedding },
+};
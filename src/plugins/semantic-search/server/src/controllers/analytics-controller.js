@@ -0,0 +1,140 @@
+'use strict';
+
+// Reporting period and size shared by the admin reports
+function parseReportQuery({ days = 30, limit = 20 }) {
+  return {
+    days: Math.min(Math.max(parseInt(days) || 30, 1), 365),
+    limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+  };
+}
+
+module.exports = ({ strapi }) => ({
+
+  async feedback(ctx) {
+    try {
+      const { searchId, documentId, contentType, action, position } = ctx.request.body || {};
+      const analyticsService = strapi.plugin('semantic-search').service('analyticsService');
+
+      if (!analyticsService.isEnabled()) {
+        return ctx.badRequest('Search analytics are not enabled');
+      }
+
+      if (!Number.isInteger(searchId)) {
+        return ctx.badRequest('searchId must be the searchId of a search response');
+      }
+
+      if (!documentId || typeof documentId !== 'string') {
+        return ctx.badRequest('documentId is required');
+      }
+
+      if (!['click', 'ignore'].includes(action)) {
+        return ctx.badRequest('action must be one of: click, ignore');
+      }
+
+      if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+        return ctx.badRequest('position must be a non-negative integer');
+      }
+
+      const contentTypes = (strapi.plugin('semantic-search').config || {}).contentTypes || {};
+      if (contentType !== undefined && !Object.prototype.hasOwnProperty.call(contentTypes, contentType)) {
+        return ctx.badRequest(`Content type ${contentType} is not configured for search`);
+      }
+
+      const feedback = await analyticsService.recordFeedback({
+        searchId,
+        documentId,
+        contentType: contentType || null,
+        action,
+        position: position === undefined ? null : position,
+        clientId: strapi.plugin('semantic-search').service('rateLimitService').getClientKey(ctx)
+      });
+
+      if (!feedback) {
+        return ctx.notFound(`Search ${searchId} not found`);
+      }
+
+      ctx.status = 201;
+      ctx.body = {
+        success: true,
+        data: { id: feedback.id }
+      };
+
+    } catch (error) {
+      strapi.log.error('Search feedback error:', error);
+      ctx.internalServerError('Failed to record feedback', { error: error.message });
+    }
+  },
+
+  async getSummary(ctx) {
+    try {
+      const { days } = parseReportQuery(ctx.query);
+      const analyticsService = strapi.plugin('semantic-search').service('analyticsService');
+
+      ctx.body = {
+        success: true,
+        data: await analyticsService.getSummary({ days }),
+        meta: {
+          enabled: analyticsService.isEnabled()
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error('Search analytics summary error:', error);
+      ctx.internalServerError('Failed to get search analytics', { error: error.message });
+    }
+  },
+
+  async getTopQueries(ctx) {
+    try {
+      const analyticsService = strapi.plugin('semantic-search').service('analyticsService');
+
+      ctx.body = {
+        success: true,
+        data: await analyticsService.getTopQueries(parseReportQuery(ctx.query))
+      };
+
+    } catch (error) {
+      strapi.log.error('Top search queries error:', error);
+      ctx.internalServerError('Failed to get top queries', { error: error.message });
+    }
+  },
+
+  async getZeroResultQueries(ctx) {
+    try {
+      const analyticsService = strapi.plugin('semantic-search').service('analyticsService');
+
+      ctx.body = {
+        success: true,
+        data: await analyticsService.getZeroResultQueries(parseReportQuery(ctx.query))
+      };
+
+    } catch (error) {
+      strapi.log.error('Zero-result search queries error:', error);
+      ctx.internalServerError('Failed to get zero-result queries', { error: error.message });
+    }
+  },
+
+  async getLowConfidenceQueries(ctx) {
+    try {
+      const analyticsService = strapi.plugin('semantic-search').service('analyticsService');
+      const threshold = ctx.query.threshold !== undefined ? parseFloat(ctx.query.threshold) : undefined;
+
+      if (threshold !== undefined && isNaN(threshold)) {
+        return ctx.badRequest('threshold must be a number');
+      }
+
+      ctx.body = {
+        success: true,
+        data: await analyticsService.getLowConfidenceQueries({ ...parseReportQuery(ctx.query), threshold }),
+        meta: {
+          threshold: threshold !== undefined ? threshold : analyticsService.getConfig().lowConfidenceThreshold
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error('Low-confidence search queries error:', error);
+      ctx.internalServerError('Failed to get low-confidence queries', { error: error.message });
+    }
+  }
+
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+module.exports = ({ strapi }) => ({
+
+  async reindex(ctx) {
+    try {
+      const {
+        contentTypes,
+        missingOnly = false,
+        force = false,
+        locale = null,
+        dryRun = false,
+        resume = false,
+        migration = false,
+        pageSize = 50
+      } = ctx.request.body || {};
+
+      if (contentTypes !== undefined && (!Array.isArray(contentTypes) || contentTypes.some(type => typeof type !== 'string'))) {
+        return ctx.badRequest('contentTypes must be an array of content type UIDs');
+      }
+
+      if (missingOnly && force) {
+        return ctx.badRequest('missingOnly and force cannot be combined');
+      }
+
+      const indexingService = strapi.plugin('semantic-search').service('indexingService');
+
+      if (indexingService.running) {
+        return ctx.conflict('A reindex is already running');
+      }
+
+      const migrationRun = migration === true || migration === 'true';
+      if (migrationRun && !strapi.plugin('semantic-search').service('migrationService').isRunning()) {
+        return ctx.badRequest('No embedding model migration is running');
+      }
+
+      const configured = Object.keys((strapi.plugin('semantic-search').config || {}).contentTypes || {});
+      const unknown = (contentTypes || []).filter(type => !configured.includes(type));
+      if (unknown.length > 0) {
+        return ctx.badRequest(`Content types not configured for semantic search: ${unknown.join(', ')}`);
+      }
+
+      const options = {
+        contentTypes,
+        missingOnly: missingOnly === true || missingOnly === 'true',
+        force: force === true || force === 'true',
+        locale,
+        dryRun: dryRun === true || dryRun === 'true',
+        resume: resume === true || resume === 'true',
+        migration: migrationRun,
+        pageSize: Math.min(Math.max(parseInt(pageSize) || 50, 1), 500)
+      };
+
+      // Dry runs make no provider calls, so report their counts directly
+      if (options.dryRun) {
+        const report = await indexingService.reindex(options);
+        ctx.body = { success: true, data: report };
+        return;
+      }
+
+      // Real runs can take a long time: start in the background and poll /reindex/status
+      indexingService.reindex(options).catch(error => {
+        strapi.log.error('Background reindex failed:', error.message);
+      });
+
+      ctx.status = 202;
+      ctx.body = {
+        success: true,
+        data: {
+          started: true,
+          options
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error('Reindex error:', error);
+      ctx.internalServerError('Reindex failed', { error: error.message });
+    }
+  },
+
+  // Configured content types and the active model, for the admin panel
+  async getSettings(ctx) {
+    try {
+      const plugin = strapi.plugin('semantic-search');
+      const contentTypes = (plugin.config || {}).contentTypes || {};
+
+      ctx.body = {
+        success: true,
+        data: {
+          provider: plugin.service('embeddingService').getModelInfo(),
+          rerankAvailable: plugin.service('rerankService').isAvailable(),
+          contentTypes: Object.entries(contentTypes).map(([uid, options]) => {
+            const model = strapi.getModel(uid);
+
+            return {
+              uid,
+              displayName: model ? model.info.displayName : uid,
+              kind: model ? model.kind : null,
+              localized: !!(model && model.attributes.locale),
+              draftAndPublish: !!(model && model.options && model.options.draftAndPublish),
+              fields: options.fields,
+              fieldWeights: options.fieldWeights || null
+            };
+          })
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error('Get settings error:', error);
+      ctx.internalServerError('Failed to get settings', { error: error.message });
+    }
+  },
+
+  async getDocumentStatus(ctx) {
+    try {
+      const { contentType, documentId } = ctx.params;
+      const { locale = null } = ctx.query;
+      const contentTypes = (strapi.plugin('semantic-search').config || {}).contentTypes || {};
+
+      // Unconfigured types answer with `configured: false` so the edit view panel can stay hidden
+      if (!Object.prototype.hasOwnProperty.call(contentTypes, contentType)) {
+        ctx.body = { success: true, data: { configured: false, entries: [] } };
+        return;
+      }
+
+      const indexingService = strapi.plugin('semantic-search').service('indexingService');
+      const entries = await indexingService.getDocumentStatus(contentType, documentId, { locale });
+
+      ctx.body = {
+        success: true,
+        data: {
+          configured: true,
+          provider: strapi.plugin('semantic-search').service('embeddingService').getModelInfo(),
+          entries
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error('Get document embedding status error:', error);
+      ctx.internalServerError('Failed to get document embedding status', { error: error.message });
+    }
+  },
+
+  async reindexDocument(ctx) {
+    try {
+      const { contentType, documentId } = ctx.params;
+      const { locale = null } = ctx.request.body || {};
+      const contentTypes = (strapi.plugin('semantic-search').config || {}).contentTypes || {};
+
+      if (!Object.prototype.hasOwnProperty.call(contentTypes, contentType)) {
+        return ctx.badRequest(`Content type ${contentType} is not configured for semantic search`);
+      }
+
+      if (locale !== null && typeof locale !== 'string') {
+        return ctx.badRequest('locale must be a locale code');
+      }
+
+      const indexingService = strapi.plugin('semantic-search').service('indexingService');
+      const result = await indexingService.reindexDocument(contentType, documentId, { locale });
+
+      if (!result) {
+        return ctx.notFound(`Document ${documentId} not found in ${contentType}`);
+      }
+
+      ctx.body = {
+        success: true,
+        data: result
+      };
+
+    } catch (error) {
+      strapi.log.error('Reindex document error:', error);
+      ctx.internalServerError('Failed to reindex document', { error: error.message });
+    }
+  },
+
+  // Progress of an embedding model migration: how many entries each index covers and which one is searched
+  async getMigrationStatus(ctx) {
+    try {
+      const migrationService = strapi.plugin('semantic-search').service('migrationService');
+
+      ctx.body = {
+        success: true,
+        data: await migrationService.getStatus()
+      };
+
+    } catch (error) {
+      strapi.log.error('Get migration status error:', error);
+      ctx.internalServerError('Failed to get migration status', { error: error.message });
+    }
+  },
+
+  async cutover(ctx) {
+    try {
+      const { force = false } = ctx.request.body || {};
+      const migrationService = strapi.plugin('semantic-search').service('migrationService');
+
+      if (!migrationService.isRunning()) {
+        return ctx.badRequest('No embedding model migration is running');
+      }
+
+      if (strapi.plugin('semantic-search').service('indexingService').running) {
+        return ctx.conflict('Wait for the running reindex to finish before cutting over');
+      }
+
+      const result = await migrationService.cutover({ force: force === true || force === 'true' });
+
+      ctx.body = {
+        success: true,
+        data: result
+      };
+
+    } catch (error) {
+      if (error.code === 'migration_incomplete') {
+        return ctx.badRequest(error.message);
+      }
+
+      strapi.log.error('Migration cut-over error:', error);
+      ctx.internalServerError('Migration cut-over failed', { error: error.message });
+    }
+  },
+
+  async getReindexStatus(ctx) {
+    try {
+      const indexingService = strapi.plugin('semantic-search').service('indexingService');
+      const status = await indexingService.getReindexStatus();
+
+      ctx.body = {
+        success: true,
+        data: status
+      };
+
+    } catch (error) {
+      strapi.log.error('Get reindex status error:', error);
+      ctx.internalServerError('Failed to get reindex status', { error: error.message });
+    }
+  }
+
+});
@@ -1,7 +1,13 @@
 'use strict';
 
 const searchController = require('./search-controller');
+const indexController = require('./index-controller');
+const queueController = require('./queue-controller');
+const analyticsController = require('./analytics-controller');
 
 module.exports = {
   searchController,
+  indexController,
+  queueController,
+  analyticsController,
 };
\ No newline at end of file
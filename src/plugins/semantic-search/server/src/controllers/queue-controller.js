@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = ({ strapi }) => ({
+
+  async listJobs(ctx) {
+    try {
+      const { status = 'dead', page = 1, pageSize = 25 } = ctx.query;
+
+      if (!['pending', 'processing', 'dead', 'all'].includes(status)) {
+        return ctx.badRequest('status must be one of: pending, processing, dead, all');
+      }
+
+      const queueService = strapi.plugin('semantic-search').service('queueService');
+      const jobs = await queueService.listJobs({
+        status,
+        page: Math.max(parseInt(page) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(pageSize) || 25, 1), 100)
+      });
+
+      ctx.body = {
+        success: true,
+        data: jobs.results,
+        meta: {
+          pagination: jobs.pagination,
+          counts: await queueService.getCounts()
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error('List embedding jobs error:', error);
+      ctx.internalServerError('Failed to list embedding jobs', { error: error.message });
+    }
+  },
+
+  async retryJobs(ctx) {
+    try {
+      const { ids } = ctx.request.body || {};
+
+      if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id)))) {
+        return ctx.badRequest('ids must be an array of job ids');
+      }
+
+      const queueService = strapi.plugin('semantic-search').service('queueService');
+      const result = await queueService.retryJobs(ids);
+
+      ctx.body = {
+        success: true,
+        data: result
+      };
+
+    } catch (error) {
+      strapi.log.error('Retry embedding jobs error:', error);
+      ctx.internalServerError('Failed to retry embedding jobs', { error: error.message });
+    }
+  }
+
+});
@@ -1,10 +1,272 @@
 'use strict';
 
+const { PassThrough } = require('stream');
+const { splitResult } = require('../utils/results');
+const { validateFilterQuery, resolveAttribute, isScalar } = require('../utils/filters');
+
+const MAX_FACETS = 10;
+
+// Validates the hybrid search parameters shared by /search and /multi-search
+function parseHybridOptions({ mode = 'semantic', alpha = 0.5, fusion = 'rrf' }) {
+  if (!['semantic', 'hybrid'].includes(mode)) {
+    return { error: 'mode must be one of: semantic, hybrid' };
+  }
+
+  if (!['rrf', 'weighted'].includes(fusion)) {
+    return { error: 'fusion must be one of: rrf, weighted' };
+  }
+
+  const parsedAlpha = parseFloat(alpha);
+  if (isNaN(parsedAlpha) || parsedAlpha < 0 || parsedAlpha > 1) {
+    return { error: 'alpha must be a number between 0 and 1' };
+  }
+
+  return { options: { mode, alpha: parsedAlpha, fusion } };
+}
+
+// Validates the result diversification parameters shared by /search and /multi-search
+function parseDiversity({ mmr = false, lambda = 0.5, dedupe = null }) {
+  const parsedLambda = parseFloat(lambda);
+  if (isNaN(parsedLambda) || parsedLambda < 0 || parsedLambda > 1) {
+    return { error: 'lambda must be a number between 0 and 1' };
+  }
+
+  return {
+    options: {
+      mmr: mmr === true || mmr === 'true',
+      lambda: parsedLambda,
+      // Unset keeps the content type's `dedupe` setting
+      dedupe: dedupe === null ? null : dedupe === true || dedupe === 'true'
+    }
+  };
+}
+
+// Validates how /multi-search merges its content types: the score `merge` strategy, and `boosts` and
+// `quotas` keyed by the content types searched
+function parseMerge({ merge = 'raw', boosts = {}, quotas = {} }, contentTypes) {
+  if (!['raw', 'minmax', 'zscore', 'rrf'].includes(merge)) {
+    return { error: 'merge must be one of: raw, minmax, zscore, rrf' };
+  }
+
+  const parsed = { boosts: {}, quotas: {} };
+
+  for (const [name, values] of Object.entries({ boosts, quotas })) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return { error: `${name} must be an object keyed by content type` };
+    }
+
+    for (const [contentType, value] of Object.entries(values)) {
+      if (!contentTypes.includes(contentType)) {
+        return { error: `${name} can only name content types searched, not ${contentType}` };
+      }
+
+      const number = Number(value);
+      if (name === 'boosts' && (!Number.isFinite(number) || number <= 0 || number > 10)) {
+        return { error: `Boost for ${contentType} must be a number above 0 and at most 10` };
+      }
+      if (name === 'quotas' && (!Number.isInteger(number) || number < 0 || number > 50)) {
+        return { error: `Quota for ${contentType} must be an integer between 0 and 50` };
+      }
+
+      parsed[name][contentType] = number;
+    }
+  }
+
+  return { options: { merge, ...parsed } };
+}
+
+// The content API only serves content types configured for search
+function getSearchConfig(strapi, contentType) {
+  const contentTypes = (strapi.plugin('semantic-search').config || {}).contentTypes || {};
+  return Object.prototype.hasOwnProperty.call(contentTypes, contentType) ? contentTypes[contentType] : null;
+}
+
+// `searchField` limits a search to the vectors of one field, for content types that embed fields separately
+function validateSearchField(searchConfig, contentType, searchField) {
+  if (searchField === undefined || searchField === null) {
+    return null;
+  }
+
+  if (!searchConfig.fieldWeights) {
+    return `Content type ${contentType} does not embed its fields separately, so searchField cannot be used`;
+  }
+
+  if (typeof searchField !== 'string' || !searchConfig.fields.includes(searchField)) {
+    return `searchField must be one of: ${searchConfig.fields.join(', ')}`;
+  }
+
+  return null;
+}
+
+// `filters` use the Strapi filter syntax on the content type's `filterableFields`, checked against its schema
+function validateFilters(strapi, contentType, filters) {
+  if (!filters) {
+    return null;
+  }
+
+  return validateFilterQuery(filters, {
+    contentType,
+    allowed: getSearchConfig(strapi, contentType).filterableFields,
+    getModel: uid => strapi.getModel(uid)
+  });
+}
+
+// `facets` counts the values of filterable fields among the results, e.g. `['category', 'author.name']`
+function validateFacets(strapi, contentType, facets) {
+  if (facets === undefined || facets === null) {
+    return null;
+  }
+
+  if (!Array.isArray(facets) || facets.some(facet => typeof facet !== 'string')) {
+    return 'facets must be an array of field names';
+  }
+
+  if (facets.length > MAX_FACETS) {
+    return `At most ${MAX_FACETS} facets can be requested`;
+  }
+
+  for (const facet of facets) {
+    if (!getSearchConfig(strapi, contentType).filterableFields.includes(facet)) {
+      return `Faceting on ${facet} is not allowed for ${contentType}`;
+    }
+
+    const attribute = resolveAttribute(facet, contentType, uid => strapi.getModel(uid));
+    if (!attribute || !isScalar(attribute)) {
+      return `${facet} is not a field that can be faceted on ${contentType}`;
+    }
+  }
+
+  return null;
+}
+
+// `fields`, `populate` and `sort` use the REST API syntax and are validated as the REST API validates
+// them, against every content type searched and the caller's permissions
+async function parseResponseQuery(strapi, ctx, contentTypes, { fields, populate, sort }) {
+  const query = {
+    ...(fields && { fields }),
+    ...(populate && { populate }),
+    ...(sort && { sort })
+  };
+
+  try {
+    for (const contentType of contentTypes) {
+      await strapi.contentAPI.validate.query(query, strapi.getModel(contentType), { auth: ctx.state.auth });
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { options: query };
+}
+
+// Runs results through the content API sanitizer, so they expose what the REST API would expose. The
+// sanitizer does not see the matched passage, which is dropped when it comes from a hidden field.
+async function sanitizeResults(strapi, ctx, results, contentType) {
+  const vectorService = strapi.plugin('semantic-search').service('vectorService');
+
+  return Promise.all(results.map(async result => {
+    const { document, scores } = splitResult(result);
+    const resultType = scores.contentType || contentType;
+    const sanitized = await strapi.contentAPI.sanitize.output(document, strapi.getModel(resultType), { auth: ctx.state.auth });
+
+    if (scores.matchedPassage && !vectorService.isPassagePublic(resultType, scores.matchedPassage)) {
+      scores.matchedPassage = null;
+    }
+
+    return { ...sanitized, ...scores };
+  }));
+}
+
+// `page`/`pageSize` select a page the way the REST API does; `cursor` continues from a previous response
+function parsePagination({ page, pageSize, cursor }) {
+  if (cursor !== undefined && (typeof cursor !== 'string' || !cursor)) {
+    return { error: 'cursor must be a string' };
+  }
+
+  const parsedPage = page !== undefined ? Number(page) : undefined;
+  if (parsedPage !== undefined && (!Number.isInteger(parsedPage) || parsedPage < 1)) {
+    return { error: 'page must be a positive integer' };
+  }
+
+  const parsedPageSize = pageSize !== undefined ? Number(pageSize) : undefined;
+  if (parsedPageSize !== undefined && (!Number.isInteger(parsedPageSize) || parsedPageSize < 1 || parsedPageSize > 50)) {
+    return { error: 'pageSize must be an integer between 1 and 50' };
+  }
+
+  return {
+    options: {
+      ...(parsedPage && { page: parsedPage }),
+      ...(parsedPageSize && { pageSize: parsedPageSize }),
+      ...(cursor && { cursor })
+    }
+  };
+}
+
+// `rerank` turns the re-ranking stage on or off for one request; omitted, the content type's setting applies
+function parseRerank(rerank, strapi) {
+  if (rerank === undefined || rerank === null) {
+    return { value: null };
+  }
+
+  if (![true, false, 'true', 'false'].includes(rerank)) {
+    return { error: 'rerank must be a boolean' };
+  }
+
+  const value = rerank === true || rerank === 'true';
+  if (value && !strapi.plugin('semantic-search').service('rerankService').isAvailable()) {
+    return { error: 'Re-ranking is not configured' };
+  }
+
+  return { value };
+}
+
+// Streams an answer as server-sent events: `sources` once the passages are retrieved, `token` for each
+// piece of the answer, then `done` with the whole answer and its citations, or `error`
+function streamAnswer(strapi, ctx, question, contentTypes, options) {
+  const stream = new PassThrough();
+  const abort = new AbortController();
+  const send = (event, data) => stream.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Stop generating when the client goes away
+  ctx.res.on('close', () => {
+    if (!ctx.res.writableFinished) {
+      abort.abort();
+    }
+  });
+
+  ctx.req.socket.setTimeout(0);
+  ctx.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  ctx.status = 200;
+  ctx.body = stream;
+
+  strapi.plugin('semantic-search').service('answerService')
+    .ask(question, contentTypes, {
+      ...options,
+      signal: abort.signal,
+      onSources: sources => send('sources', sources),
+      onToken: text => send('token', { text })
+    })
+    .then(({ sources, ...answer }) => send('done', answer))
+    .catch(error => {
+      if (abort.signal.aborted) {
+        return;
+      }
+      strapi.log.error('Answer stream error:', error);
+      send('error', { message: 'Answer failed', error: error.message });
+    })
+    .finally(() => stream.end());
+}
+
 module.exports = ({ strapi }) => ({
 
   async search(ctx) {
     try {
-      const { query, contentType, limit = 10, threshold = 0.1, filters = {} } = ctx.request.body;
+      const { query, contentType, limit = 10, threshold = 0.1, filters = {}, facets, chunkAggregation, status, locale, searchField } = ctx.request.body;
 
       if (!query) {
         return ctx.badRequest('Query is required');
@@ -14,10 +276,56 @@ module.exports = ({ strapi }) => ({
         return ctx.badRequest('Content type is required');
       }
 
-      // Validate content type exists
-      const model = strapi.contentTypes[contentType];
-      if (!model) {
-        return ctx.badRequest(`Content type ${contentType} not found`);
+      if (chunkAggregation && !['max', 'mean', 'top3'].includes(chunkAggregation)) {
+        return ctx.badRequest('chunkAggregation must be one of: max, mean, top3');
+      }
+
+      if (status && !['published', 'draft'].includes(status)) {
+        return ctx.badRequest('status must be one of: published, draft');
+      }
+
+      if (locale && typeof locale !== 'string') {
+        return ctx.badRequest('locale must be a locale code or "all"');
+      }
+
+      const hybrid = parseHybridOptions(ctx.request.body);
+      if (hybrid.error) {
+        return ctx.badRequest(hybrid.error);
+      }
+
+      const diversity = parseDiversity(ctx.request.body);
+      if (diversity.error) {
+        return ctx.badRequest(diversity.error);
+      }
+
+      const rerank = parseRerank(ctx.request.body.rerank, strapi);
+      if (rerank.error) {
+        return ctx.badRequest(rerank.error);
+      }
+
+      const pagination = parsePagination(ctx.request.body);
+      if (pagination.error) {
+        return ctx.badRequest(pagination.error);
+      }
+
+      const searchConfig = getSearchConfig(strapi, contentType);
+      if (!searchConfig) {
+        return ctx.badRequest(`Content type ${contentType} is not configured for search`);
+      }
+
+      const searchFieldError = validateSearchField(searchConfig, contentType, searchField);
+      if (searchFieldError) {
+        return ctx.badRequest(searchFieldError);
+      }
+
+      const responseQuery = await parseResponseQuery(strapi, ctx, [contentType], ctx.request.body);
+      if (responseQuery.error) {
+        return ctx.badRequest(responseQuery.error);
+      }
+
+      const filterError = validateFilters(strapi, contentType, filters) || validateFacets(strapi, contentType, facets);
+      if (filterError) {
+        return ctx.badRequest(filterError);
       }
 
       const searchService = strapi.plugin('semantic-search').service('searchService');
@@ -26,17 +334,37 @@ module.exports = ({ strapi }) => ({
         limit: Math.min(parseInt(limit), 50), // Max 50 results
         threshold: parseFloat(threshold),
         filters: filters || {},
-        includeEmbedding: false
+        facets: facets || [],
+        chunkAggregation,
+        status,
+        locale: locale || null,
+        ...hybrid.options,
+        rerank: rerank.value,
+        ...diversity.options,
+        searchField: searchField || null,
+        ...pagination.options,
+        ...responseQuery.options,
+        includeEmbedding: false,
+        track: true,
+        clientId: strapi.plugin('semantic-search').service('rateLimitService').getClientKey(ctx)
       };
 
-      const results = await searchService.semanticSearch(query, contentType, searchOptions);
+      const { pagination: page, ...results } = await searchService.semanticSearch(query, contentType, searchOptions);
 
       ctx.body = {
         success: true,
-        data: results
+        data: {
+          ...results,
+          results: await sanitizeResults(strapi, ctx, results.results, contentType)
+        },
+        ...(page && { meta: { pagination: page } })
       };
 
     } catch (error) {
+      if (error.code === 'invalid_pagination') {
+        return ctx.badRequest(error.message);
+      }
+
       strapi.log.error('Semantic search error:', error);
       ctx.internalServerError('Search failed', { error: error.message });
     }
@@ -44,7 +372,7 @@ module.exports = ({ strapi }) => ({
 
   async multiSearch(ctx) {
     try {
-      const { query, contentTypes, limit = 10, threshold = 0.1, aggregateResults = true } = ctx.request.body;
+      const { query, contentTypes, limit = 10, threshold = 0.1, filters = {}, facets, aggregateResults = true, chunkAggregation, status, locale } = ctx.request.body;
 
       if (!query) {
         return ctx.badRequest('Query is required');
@@ -54,45 +382,352 @@ module.exports = ({ strapi }) => ({
         return ctx.badRequest('Content types array is required');
       }
 
-      // Validate all content types exist
+      if (chunkAggregation && !['max', 'mean', 'top3'].includes(chunkAggregation)) {
+        return ctx.badRequest('chunkAggregation must be one of: max, mean, top3');
+      }
+
+      if (status && !['published', 'draft'].includes(status)) {
+        return ctx.badRequest('status must be one of: published, draft');
+      }
+
+      if (locale && typeof locale !== 'string') {
+        return ctx.badRequest('locale must be a locale code or "all"');
+      }
+
+      const hybrid = parseHybridOptions(ctx.request.body);
+      if (hybrid.error) {
+        return ctx.badRequest(hybrid.error);
+      }
+
+      const diversity = parseDiversity(ctx.request.body);
+      if (diversity.error) {
+        return ctx.badRequest(diversity.error);
+      }
+
+      const rerank = parseRerank(ctx.request.body.rerank, strapi);
+      if (rerank.error) {
+        return ctx.badRequest(rerank.error);
+      }
+
+      const pagination = parsePagination(ctx.request.body);
+      if (pagination.error) {
+        return ctx.badRequest(pagination.error);
+      }
+
+      // Filters and facets must be valid for every content type searched
       for (const contentType of contentTypes) {
-        const model = strapi.contentTypes[contentType];
-        if (!model) {
-          return ctx.badRequest(`Content type ${contentType} not found`);
+        if (!getSearchConfig(strapi, contentType)) {
+          return ctx.badRequest(`Content type ${contentType} is not configured for search`);
+        }
+
+        const filterError = validateFilters(strapi, contentType, filters) || validateFacets(strapi, contentType, facets);
+        if (filterError) {
+          return ctx.badRequest(filterError);
         }
       }
 
+      const responseQuery = await parseResponseQuery(strapi, ctx, contentTypes, ctx.request.body);
+      if (responseQuery.error) {
+        return ctx.badRequest(responseQuery.error);
+      }
+
+      const merge = parseMerge(ctx.request.body, contentTypes);
+      if (merge.error) {
+        return ctx.badRequest(merge.error);
+      }
+
       const searchService = strapi.plugin('semantic-search').service('searchService');
 
       const searchOptions = {
         limit: Math.min(parseInt(limit), 50),
         threshold: parseFloat(threshold),
-        aggregateResults: aggregateResults === true || aggregateResults === 'true'
+        aggregateResults: aggregateResults === true || aggregateResults === 'true',
+        filters: filters || {},
+        facets: facets || [],
+        chunkAggregation,
+        status,
+        locale: locale || null,
+        ...hybrid.options,
+        rerank: rerank.value,
+        ...diversity.options,
+        ...merge.options,
+        ...pagination.options,
+        ...responseQuery.options,
+        track: true,
+        clientId: strapi.plugin('semantic-search').service('rateLimitService').getClientKey(ctx)
       };
 
-      const results = await searchService.multiContentTypeSearch(query, contentTypes, searchOptions);
+      const { pagination: page, ...results } = await searchService.multiContentTypeSearch(query, contentTypes, searchOptions);
+
+      // Aggregated results carry their content type; separate results are grouped per content type
+      const sanitized = searchOptions.aggregateResults
+        ? await sanitizeResults(strapi, ctx, results.results)
+        : await Promise.all(results.results.map(async searchResult => ({
+          ...searchResult,
+          results: await sanitizeResults(strapi, ctx, searchResult.results, searchResult.contentType)
+        })));
 
       ctx.body = {
         success: true,
-        data: results
+        data: {
+          ...results,
+          results: sanitized
+        },
+        ...(page && { meta: { pagination: page } })
       };
 
     } catch (error) {
+      if (error.code === 'invalid_pagination') {
+        return ctx.badRequest(error.message);
+      }
+
       strapi.log.error('Multi-content type search error:', error);
       ctx.internalServerError('Multi-search failed', { error: error.message });
     }
   },
 
+  async related(ctx) {
+    try {
+      const { contentType, documentId } = ctx.params;
+      const { contentTypes, limit = 10, threshold = 0.1, filters = {}, chunkAggregation, status, locale } = ctx.query;
+
+      if (!getSearchConfig(strapi, contentType)) {
+        return ctx.badRequest(`Content type ${contentType} is not configured for search`);
+      }
+
+      // Target types as repeated `contentTypes[]` params or a comma separated list; defaults to the source type
+      const targetTypes = contentTypes
+        ? [].concat(contentTypes).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean)
+        : [contentType];
+
+      for (const targetType of targetTypes) {
+        if (!getSearchConfig(strapi, targetType)) {
+          return ctx.badRequest(`Content type ${targetType} is not configured for search`);
+        }
+
+        const filterError = validateFilters(strapi, targetType, filters);
+        if (filterError) {
+          return ctx.badRequest(filterError);
+        }
+      }
+
+      if (chunkAggregation && !['max', 'mean', 'top3'].includes(chunkAggregation)) {
+        return ctx.badRequest('chunkAggregation must be one of: max, mean, top3');
+      }
+
+      if (status && !['published', 'draft'].includes(status)) {
+        return ctx.badRequest('status must be one of: published, draft');
+      }
+
+      if (locale && typeof locale !== 'string') {
+        return ctx.badRequest('locale must be a locale code or "all"');
+      }
+
+      const responseQuery = await parseResponseQuery(strapi, ctx, targetTypes, ctx.query);
+      if (responseQuery.error) {
+        return ctx.badRequest(responseQuery.error);
+      }
+
+      const searchService = strapi.plugin('semantic-search').service('searchService');
+
+      const results = await searchService.relatedDocuments(contentType, documentId, {
+        contentTypes: targetTypes,
+        limit: Math.min(parseInt(limit) || 10, 50),
+        threshold: parseFloat(threshold),
+        filters: filters || {},
+        locale: locale || null,
+        chunkAggregation,
+        status,
+        ...responseQuery.options
+      });
+
+      if (!results) {
+        return ctx.notFound(`Document ${documentId} not found in ${contentType}`);
+      }
+
+      ctx.body = {
+        success: true,
+        data: {
+          ...results,
+          results: await sanitizeResults(strapi, ctx, results.results)
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error('Related documents error:', error);
+      ctx.internalServerError('Related search failed', { error: error.message });
+    }
+  },
+
+  // Answers a question from the best matching passages of the configured content types, citing them.
+  // Streams over server-sent events with `stream: true` or an `Accept: text/event-stream` header.
+  async ask(ctx) {
+    try {
+      const { question, contentTypes, locale, status, filters, passages, stream = false } = ctx.request.body || {};
+      const answerService = strapi.plugin('semantic-search').service('answerService');
+
+      if (!answerService.isAvailable()) {
+        return ctx.badRequest('Answers are not configured');
+      }
+
+      if (!question || typeof question !== 'string') {
+        return ctx.badRequest('Question is required');
+      }
+
+      if (contentTypes !== undefined && (!Array.isArray(contentTypes) || contentTypes.length === 0)) {
+        return ctx.badRequest('contentTypes must be a non-empty array of content type UIDs');
+      }
+
+      if (status && !['published', 'draft'].includes(status)) {
+        return ctx.badRequest('status must be one of: published, draft');
+      }
+
+      if (locale && typeof locale !== 'string') {
+        return ctx.badRequest('locale must be a locale code or "all"');
+      }
+
+      // Without `contentTypes`, every configured content type is searched
+      const targetTypes = contentTypes || Object.keys((strapi.plugin('semantic-search').config || {}).contentTypes || {});
+
+      for (const contentType of targetTypes) {
+        if (!getSearchConfig(strapi, contentType)) {
+          return ctx.badRequest(`Content type ${contentType} is not configured for search`);
+        }
+
+        const filterError = validateFilters(strapi, contentType, filters);
+        if (filterError) {
+          return ctx.badRequest(filterError);
+        }
+      }
+
+      const parsedPassages = passages === undefined ? null : parseInt(passages);
+      if (parsedPassages !== null && (isNaN(parsedPassages) || parsedPassages < 1)) {
+        return ctx.badRequest('passages must be a positive integer');
+      }
+
+      const options = {
+        locale: locale || null,
+        status,
+        filters: filters || {},
+        ...(parsedPassages && { passages: Math.min(parsedPassages, 20) })
+      };
+
+      if (stream === true || stream === 'true' || ctx.get('Accept').includes('text/event-stream')) {
+        return streamAnswer(strapi, ctx, question, targetTypes, options);
+      }
+
+      ctx.body = {
+        success: true,
+        data: await answerService.ask(question, targetTypes, options)
+      };
+
+    } catch (error) {
+      strapi.log.error('Answer error:', error);
+      ctx.internalServerError('Answer failed', { error: error.message });
+    }
+  },
+
+  // Admin search playground. Results skip the content API sanitizer, so only a label, the scores and
+  // the matched passage of each are returned.
+  async playground(ctx) {
+    try {
+      const { query, contentType, limit = 10, threshold = 0, status, locale, searchField } = ctx.request.body;
+
+      if (!query) {
+        return ctx.badRequest('Query is required');
+      }
+
+      const searchConfig = contentType && getSearchConfig(strapi, contentType);
+      if (!searchConfig) {
+        return ctx.badRequest(`Content type ${contentType} is not configured for search`);
+      }
+
+      if (status && !['published', 'draft'].includes(status)) {
+        return ctx.badRequest('status must be one of: published, draft');
+      }
+
+      if (locale && typeof locale !== 'string') {
+        return ctx.badRequest('locale must be a locale code or "all"');
+      }
+
+      const searchFieldError = validateSearchField(searchConfig, contentType, searchField);
+      if (searchFieldError) {
+        return ctx.badRequest(searchFieldError);
+      }
+
+      const hybrid = parseHybridOptions(ctx.request.body);
+      if (hybrid.error) {
+        return ctx.badRequest(hybrid.error);
+      }
+
+      const rerank = parseRerank(ctx.request.body.rerank, strapi);
+      if (rerank.error) {
+        return ctx.badRequest(rerank.error);
+      }
+
+      const searchService = strapi.plugin('semantic-search').service('searchService');
+      const startedAt = Date.now();
+
+      const results = await searchService.semanticSearch(query, contentType, {
+        limit: Math.min(parseInt(limit) || 10, 50),
+        threshold: parseFloat(threshold) || 0,
+        status,
+        locale: locale || null,
+        ...hybrid.options,
+        rerank: rerank.value,
+        searchField: searchField || null
+      });
+
+      // The first configured field that holds a string labels the result
+      const labelOf = document => {
+        const field = searchConfig.fields.find(name => typeof document[name] === 'string' && document[name].trim());
+        return field ? document[field] : document.documentId;
+      };
+
+      ctx.body = {
+        success: true,
+        data: {
+          ...results,
+          results: results.results.map(result => {
+            const { document, scores } = splitResult(result);
+
+            return {
+              id: document.id,
+              documentId: document.documentId,
+              locale: document.locale || null,
+              label: labelOf(document),
+              ...scores
+            };
+          })
+        },
+        meta: {
+          took: Date.now() - startedAt
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error('Search playground error:', error);
+      ctx.internalServerError('Search failed', { error: error.message });
+    }
+  },
+
   async getStats(ctx) {
     try {
       const { contentType } = ctx.query;
 
+      if (contentType && !getSearchConfig(strapi, contentType)) {
+        return ctx.badRequest(`Content type ${contentType} is not configured for search`);
+      }
+
       const vectorService = strapi.plugin('semantic-search').service('vectorService');
       const stats = await vectorService.getEmbeddingStats(contentType);
 
       ctx.body = {
         success: true,
-        data: stats
+        data: stats,
+        meta: {
+          queryCache: strapi.plugin('semantic-search').service('queryCacheService').getStats()
+        }
       };
 
     } catch (error) {
@@ -1,25 +1,72 @@
 'use strict';
 
+const pluginContentTypes = require('./content-types');
 const services = require('./services');
 const controllers = require('./controllers');
 const routes = require('./routes');
+const middlewares = require('./middlewares');
+const { getRootField } = require('./utils/text-extractor');
+const { resolveAttribute, isScalar } = require('./utils/filters');
+
+const DEFAULT_CHUNKING = { size: 2000, overlap: 200, aggregation: 'max' };
+const CHUNK_AGGREGATIONS = ['max', 'mean', 'top3'];
+
+// Row attributes that decide which searches may return an entry
+const SCOPE_ATTRIBUTES = ['publishedAt', 'locale'];
+
+// Admin permissions, granted per role under Settings > Roles > Plugins
+const ADMIN_ACTIONS = [
+  { section: 'plugins', displayName: 'View index coverage, document status and the search playground', uid: 'read', pluginName: 'semantic-search' },
+  { section: 'plugins', displayName: 'Reindex embeddings and retry failed jobs', uid: 'reindex', pluginName: 'semantic-search' },
+  { section: 'plugins', displayName: 'View search analytics', uid: 'analytics', pluginName: 'semantic-search' },
+  { section: 'plugins', displayName: 'View and cut over model migrations', uid: 'migration', pluginName: 'semantic-search' }
+];
 
 module.exports = {
+  contentTypes: pluginContentTypes,
   services,
   controllers,
   routes,
+  middlewares,
   
   register({ strapi }) {
     // Initialize the embedding service
     const embeddingService = strapi.plugin('semantic-search').service('embeddingService');
     embeddingService.init();
+
+    strapi.plugin('semantic-search').service('rerankService').init();
+    strapi.plugin('semantic-search').service('answerService').init();
   },
   
-  bootstrap({ strapi }) {
+  async bootstrap({ strapi }) {
     strapi.log.info('Semantic Search plugin bootstrapped successfully');
+
+    await strapi.service('admin::permission').actionProvider.registerMany(ADMIN_ACTIONS);
     
     // Register lifecycle hooks for auto-embedding in bootstrap phase
     registerEmbeddingLifecycles(strapi);
+
+    // The reindex CLI boots the app next to the running servers only to run its command, so it leaves
+    // queued jobs and in-process indexes to them
+    const background = process.env.SEMANTIC_SEARCH_CLI !== 'true';
+
+    await strapi.plugin('semantic-search').service('migrationService').init();
+    await strapi.plugin('semantic-search').service('vectorService').initStore({ background });
+    await strapi.plugin('semantic-search').service('lexicalService').initIndex({ background });
+    await strapi.plugin('semantic-search').service('queryCacheService').init();
+    await strapi.plugin('semantic-search').service('analyticsService').init();
+
+    if (background) {
+      await strapi.plugin('semantic-search').service('queueService').start();
+    }
+  },
+
+  async destroy({ strapi }) {
+    strapi.plugin('semantic-search').service('queueService').stop();
+    strapi.plugin('semantic-search').service('migrationService').stop();
+    await strapi.plugin('semantic-search').service('vectorService').closeStore();
+    await strapi.plugin('semantic-search').service('queryCacheService').close();
+    strapi.plugin('semantic-search').service('analyticsService').stop();
   },
 };
 
@@ -34,27 +81,195 @@ function registerEmbeddingLifecycles(strapi) {
   };
   
   // Validate and use configured content types or defaults
-  const contentTypes = validateConfiguration(config.contentTypes || defaultContentTypes, strapi);
+  const chunking = validateChunking(config.chunking, {}, null, strapi);
+  const contentTypes = validateConfiguration(config.contentTypes || defaultContentTypes, strapi, chunking);
   
   // Store the configuration for use in other functions
-  strapi.plugin('semantic-search').config = { contentTypes };
+  strapi.plugin('semantic-search').config = { contentTypes, chunking };
   
+  const queueService = strapi.plugin('semantic-search').service('queueService');
+  const useQueue = queueService.isEnabled();
+
+  // Deletions (including unpublishing, which deletes the published rows) and bulk updates are handled
+  // the same way whichever way embeddings are generated
+  const bulkHooks = {
+    afterDelete: async (event) => {
+      await removeFromSearchIndexes(event, strapi);
+    },
+    beforeDeleteMany: async (event) => {
+      await collectAffectedEntries(event, strapi);
+    },
+    afterDeleteMany: async (event) => {
+      await removeFromSearchIndexes(event, strapi);
+    },
+    beforeUpdateMany: async (event) => {
+      await collectAffectedEntries(event, strapi);
+    },
+    afterUpdateMany: async (event) => {
+      await processBulkUpdate(event, useQueue, strapi);
+    }
+  };
+
   Object.keys(contentTypes).forEach(contentType => {
     // Use Strapi 5 lifecycle hooks
-    strapi.db.lifecycles.subscribe({
-      models: [contentType],
-      beforeCreate: async (event) => {
-        await processDocumentEmbedding(event, 'create', strapi);
-      },
-      beforeUpdate: async (event) => {
-        await processDocumentEmbedding(event, 'update', strapi);
-      }
-    });
+    if (useQueue) {
+      // Embed in the background once the entry is saved, so saves never wait on the provider
+      strapi.db.lifecycles.subscribe({
+        models: [contentType],
+        ...bulkHooks,
+        afterCreate: async (event) => {
+          await syncSearchIndexes(event, strapi);
+          await queueDocumentEmbedding(event, strapi);
+        },
+        afterUpdate: async (event) => {
+          await syncSearchIndexes(event, strapi);
+          await queueDocumentEmbedding(event, strapi);
+        }
+      });
+    } else {
+      strapi.db.lifecycles.subscribe({
+        models: [contentType],
+        ...bulkHooks,
+        beforeCreate: async (event) => {
+          await processDocumentEmbedding(event, 'create', strapi);
+        },
+        beforeUpdate: async (event) => {
+          await processDocumentEmbedding(event, 'update', strapi);
+        },
+        afterCreate: async (event) => {
+          await syncSearchIndexes(event, strapi);
+        },
+        afterUpdate: async (event) => {
+          await syncSearchIndexes(event, strapi);
+        }
+      });
+    }
     
-    strapi.log.info(`Registered embedding lifecycle hooks for ${contentType} with fields: ${contentTypes[contentType].join(', ')}`);
+    strapi.log.info(`Registered embedding lifecycle hooks for ${contentType} with fields: ${contentTypes[contentType].fields.join(', ')}${useQueue ? ' (queued)' : ''}`);
   });
 }
 
+// Whether a write changes what the search indexes hold for an entry
+function changesIndexedEntry(data) {
+  return !!data && (data.embedding !== undefined || SCOPE_ATTRIBUTES.some(attribute => data[attribute] !== undefined));
+}
+
+async function syncEntryIndexes(modelName, entry, strapi) {
+  await strapi.plugin('semantic-search').service('vectorService').syncEntry(modelName, entry);
+  await strapi.plugin('semantic-search').service('lexicalService').syncEntry(modelName, entry);
+  await strapi.plugin('semantic-search').service('migrationService').syncEntry(modelName, entry);
+}
+
+async function syncSearchIndexes(event, strapi) {
+  const { model, params, result } = event;
+  const modelName = typeof model === 'string' ? model : model.uid;
+
+  // Writes that carry an embedding (lifecycle, queue worker, reindex, publishing a draft) change the stored
+  // vectors and chunks; a new status or locale changes which searches may return the entry
+  if (!changesIndexedEntry(params.data)) {
+    return;
+  }
+
+  await syncEntryIndexes(modelName, result, strapi);
+}
+
+// `deleteMany` and `updateMany` only report a count, so note which rows they are about to change
+async function collectAffectedEntries(event, strapi) {
+  const { model, params } = event;
+  const modelName = typeof model === 'string' ? model : model.uid;
+
+  try {
+    const entries = await strapi.db.query(modelName).findMany({
+      where: params.where,
+      select: ['id']
+    });
+    event.state.entryIds = entries.map(entry => entry.id);
+  } catch (error) {
+    strapi.log.error(`Failed to collect affected ${modelName} entries:`, error.message);
+  }
+}
+
+async function removeFromSearchIndexes(event, strapi) {
+  const { model, result, state } = event;
+  const modelName = typeof model === 'string' ? model : model.uid;
+
+  const entryIds = state && state.entryIds
+    ? state.entryIds
+    : [result && result.id].filter(id => id !== undefined && id !== null);
+
+  await strapi.plugin('semantic-search').service('vectorService').removeEntries(modelName, entryIds);
+  await strapi.plugin('semantic-search').service('lexicalService').removeEntries(modelName, entryIds);
+  await strapi.plugin('semantic-search').service('migrationService').removeEntries(modelName, entryIds);
+}
+
+// `updateMany` skips the per-entry hooks, so re-sync and re-embed every row it changed
+async function processBulkUpdate(event, useQueue, strapi) {
+  const { model, params, state } = event;
+  const modelName = typeof model === 'string' ? model : model.uid;
+  const entryIds = (state && state.entryIds) || [];
+
+  const indexingService = strapi.plugin('semantic-search').service('indexingService');
+  const reembed = indexingService.touchesIndexedFields(modelName, params.data);
+  const resync = changesIndexedEntry(params.data);
+
+  if (entryIds.length === 0 || (!reembed && !resync)) {
+    return;
+  }
+
+  try {
+    const entries = await strapi.db.query(modelName).findMany({
+      where: { id: { $in: entryIds } },
+      populate: reembed ? indexingService.buildFieldsPopulate(modelName) : {}
+    });
+
+    for (const entry of entries) {
+      if (resync) {
+        await syncEntryIndexes(modelName, entry, strapi);
+      }
+
+      if (!reembed) {
+        continue;
+      }
+
+      if (useQueue) {
+        await strapi.plugin('semantic-search').service('queueService').enqueue(modelName, entry);
+        continue;
+      }
+
+      // The write goes through the update hooks, which sync the search indexes
+      const result = await indexingService.embedDocument(modelName, entry, { previous: entry });
+      if (result) {
+        await strapi.db.query(modelName).update({ where: { id: entry.id }, data: result });
+      }
+    }
+
+    strapi.log.info(`Processed bulk update of ${entries.length} ${modelName} entries`);
+
+  } catch (error) {
+    strapi.log.error(`Failed to process bulk update for ${modelName}:`, error.message);
+    // Don't throw error - we don't want to break content updates
+  }
+}
+
+async function queueDocumentEmbedding(event, strapi) {
+  const { model, params, result } = event;
+  const modelName = typeof model === 'string' ? model : model.uid;
+
+  const indexingService = strapi.plugin('semantic-search').service('indexingService');
+
+  // Writes that only touch other fields (including our own embedding updates) need no new embedding
+  if (!indexingService.touchesIndexedFields(modelName, params.data)) {
+    return;
+  }
+
+  try {
+    await strapi.plugin('semantic-search').service('queueService').enqueue(modelName, result);
+  } catch (error) {
+    strapi.log.error(`Failed to queue embedding for ${modelName} document:`, error.message);
+    // Don't throw error - we don't want to break content creation/update
+  }
+}
+
 async function processDocumentEmbedding(event, action, strapi) {
   const { model, params } = event;
   const data = params.data;
@@ -68,71 +283,55 @@ async function processDocumentEmbedding(event, action, strapi) {
   }
 
   try {
-    const embeddingService = strapi.plugin('semantic-search').service('embeddingService');
+    const indexingService = strapi.plugin('semantic-search').service('indexingService');
 
-    // Extract text content from the document
-    const textContent = extractTextContent(data, modelName, strapi);
-    
-    if (!textContent || textContent.trim().length < 10) {
-      strapi.log.debug(`Skipping embedding generation for ${modelName} - insufficient text content`);
+    // Writes that only touch other fields (e.g. category, author) keep the current embedding
+    if (action === 'update' && !indexingService.touchesIndexedFields(modelName, data)) {
       return;
     }
 
-    // Generate embedding
-    const embeddingResult = await embeddingService.generateEmbedding(textContent);
-    
-    if (embeddingResult && embeddingResult.embedding) {
-      // Add embedding to the data that will be saved
-      data.embedding = embeddingResult.embedding;
-      data.embeddingMetadata = {
-        model: 'text-embedding-ada-002',
-        generatedAt: new Date().toISOString(),
-        dimensions: embeddingResult.embedding.length,
-        processedText: embeddingResult.processedText,
-        originalLength: embeddingResult.originalLength,
-        processedLength: embeddingResult.processedLength
-      };
+    // Partial updates are merged with the stored entry so the content hash covers every configured field.
+    // A create may carry an existing embedding too, e.g. when publishing copies the draft.
+    let document = data;
+    let previous = data;
+
+    if (action === 'update' && params.where) {
+      const existing = await strapi.db.query(modelName).findOne({
+        where: params.where,
+        populate: indexingService.buildFieldsPopulate(modelName)
+      });
 
-      strapi.log.info(`Generated embedding for ${modelName} document (${action})`);
+      if (existing) {
+        document = { ...existing, ...data };
+        previous = existing;
+      }
+    }
+
+    // Extract text and generate one embedding per chunk, plus a document-level embedding
+    const result = await indexingService.embedDocument(modelName, document, { previous });
+    
+    if (!result) {
+      return;
     }
 
+    // Add embedding to the data that will be saved
+    data.embedding = result.embedding;
+    data.embeddingMetadata = result.embeddingMetadata;
+
+    // Every locale is its own row, so each one is embedded from its own text
+    const localeLabel = result.embeddingMetadata.locale ? `, locale ${result.embeddingMetadata.locale}` : '';
+    strapi.log.info(`Generated embedding for ${modelName} document (${action}${localeLabel}, ${result.embeddingMetadata.chunks.length} chunk(s))`);
+
   } catch (error) {
     strapi.log.error(`Failed to generate embedding for ${modelName} document:`, error.message);
     // Don't throw error - we don't want to break content creation/update
   }
 }
 
-function extractTextContent(data, modelName, strapi) {
-  let textContent = '';
-  
-  // Get configured field mappings for this content type
-  const config = strapi.plugin('semantic-search').config || {};
-  const contentTypes = config.contentTypes || {};
-  
-  // Get fields for this specific content type, or use defaults
-  const textFields = contentTypes[modelName] || ['title', 'name', 'content', 'body', 'summary', 'description', 'excerpt'];
-  
-  textFields.forEach(field => {
-    if (data[field]) {
-      if (typeof data[field] === 'string') {
-        textContent += data[field] + ' ';
-      } else if (Array.isArray(data[field])) {
-        // Handle rich text blocks or arrays
-        textContent += JSON.stringify(data[field]) + ' ';
-      } else if (typeof data[field] === 'object') {
-        // Handle nested objects (like rich text)
-        textContent += JSON.stringify(data[field]) + ' ';
-      }
-    }
-  });
-
-  return textContent.trim();
-}
-
-function validateConfiguration(contentTypes, strapi) {
+function validateConfiguration(contentTypes, strapi, chunkingDefaults = {}) {
   if (!contentTypes || typeof contentTypes !== 'object') {
     strapi.log.warn('Semantic Search: Invalid contentTypes configuration, using defaults');
-    return {
+    contentTypes = {
       'api::article.article': ['title', 'content', 'summary'],
       'api::blog.blog': ['title', 'body', 'excerpt']
     };
@@ -147,27 +346,197 @@ function validateConfiguration(contentTypes, strapi) {
       return;
     }
 
+    // Accept either a plain fields array or an options object with a `fields` array
+    const entry = contentTypes[contentType];
+    const options = Array.isArray(entry) ? { fields: entry } : (entry || {});
+
     // Validate fields array
-    const fields = contentTypes[contentType];
+    const fields = options.fields;
     if (!Array.isArray(fields) || fields.length === 0) {
       strapi.log.warn(`Semantic Search: Invalid fields for ${contentType}. Should be an array of field names`);
       return;
     }
 
     // Validate field names
-    const validFields = fields.filter(field => {
-      if (typeof field !== 'string' || field.trim() === '') {
-        strapi.log.warn(`Semantic Search: Invalid field name '${field}' for ${contentType}`);
-        return false;
-      }
-      return true;
-    });
+    const fieldOptions = fields.map(field => validateField(field, contentType, strapi)).filter(Boolean);
+    const validFields = fieldOptions.map(({ field }) => field);
 
     if (validFields.length > 0) {
-      validatedConfig[contentType] = validFields;
+      validatedConfig[contentType] = {
+        fields: validFields,
+        fieldWeights: getFieldWeights(fields, fieldOptions),
+        chunking: validateChunking(options.chunking, chunkingDefaults, contentType, strapi),
+        rerank: validateRerank(options.rerank, contentType, strapi),
+        dedupe: validateDedupe(options.dedupe, contentType, strapi),
+        filterableFields: validateFilterableFields(options.filterableFields, contentType, strapi),
+        systemPrompt: validateSystemPrompt(options.systemPrompt, contentType, strapi)
+      };
       strapi.log.info(`Semantic Search: Validated configuration for ${contentType}: ${validFields.join(', ')}`);
+
+      // Public embedding fields would send every chunk's vector and text with each REST response
+      const schema = strapi.contentTypes[contentType];
+      const exposed = ['embedding', 'embeddingMetadata'].filter(name =>
+        schema && schema.attributes[name] && !schema.attributes[name].private);
+      if (exposed.length > 0) {
+        strapi.log.warn(`Semantic Search: ${exposed.join(' and ')} on ${contentType} should be private, otherwise the REST API returns them with every entry`);
+      }
     }
   });
 
   return validatedConfig;
-}
\ No newline at end of file
+}
+
+// A field is a name or path, or `{ field, weight }` to embed the field on its own
+function validateField(field, contentType, strapi) {
+  const options = field && typeof field === 'object' ? field : { field };
+  const name = options.field;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    strapi.log.warn(`Semantic Search: Invalid field name '${typeof field === 'object' ? JSON.stringify(field) : field}' for ${contentType}`);
+    return null;
+  }
+
+  const schema = strapi.contentTypes[contentType];
+  if (schema && !schema.attributes[getRootField(name)]) {
+    strapi.log.warn(`Semantic Search: Field '${getRootField(name)}' does not exist on ${contentType}`);
+  }
+
+  let weight = options.weight === undefined ? 1 : options.weight;
+  if (!Number.isFinite(weight) || weight <= 0) {
+    strapi.log.warn(`Semantic Search: Invalid weight for field '${name}' on ${contentType}, using 1`);
+    weight = 1;
+  }
+
+  return { field: name, weight };
+}
+
+// Fields given as objects switch the content type to one set of vectors per field. Returns the
+// weight of every field then, or null when the fields are embedded together.
+function getFieldWeights(fields, fieldOptions) {
+  if (!fields.some(field => field && typeof field === 'object')) {
+    return null;
+  }
+
+  const weights = {};
+  fieldOptions.forEach(({ field, weight }) => {
+    weights[field] = weight;
+  });
+
+  return weights;
+}
+
+function validateChunking(chunking = {}, defaults = {}, contentType, strapi) {
+  const merged = { ...DEFAULT_CHUNKING, ...defaults, ...chunking };
+  const label = contentType ? ` for ${contentType}` : '';
+
+  if (!Number.isInteger(merged.size) || merged.size < 100) {
+    strapi.log.warn(`Semantic Search: Invalid chunk size${label}, using ${DEFAULT_CHUNKING.size}`);
+    merged.size = DEFAULT_CHUNKING.size;
+  }
+
+  if (!Number.isInteger(merged.overlap) || merged.overlap < 0 || merged.overlap >= merged.size) {
+    const fallbackOverlap = Math.min(DEFAULT_CHUNKING.overlap, Math.floor(merged.size / 4));
+    strapi.log.warn(`Semantic Search: Invalid chunk overlap${label}, using ${fallbackOverlap}`);
+    merged.overlap = fallbackOverlap;
+  }
+
+  if (!CHUNK_AGGREGATIONS.includes(merged.aggregation)) {
+    strapi.log.warn(`Semantic Search: Invalid chunk aggregation '${merged.aggregation}'${label}. Should be one of: ${CHUNK_AGGREGATIONS.join(', ')}`);
+    merged.aggregation = DEFAULT_CHUNKING.aggregation;
+  }
+
+  return merged;
+}
+
+// `rerank: true` re-ranks the content type's searches by default; an object may also set `candidates`
+function validateRerank(rerank = false, contentType, strapi) {
+  if (typeof rerank === 'boolean') {
+    return { enabled: rerank, candidates: null };
+  }
+
+  if (!rerank || typeof rerank !== 'object') {
+    strapi.log.warn(`Semantic Search: Invalid rerank option for ${contentType}, re-ranking disabled`);
+    return { enabled: false, candidates: null };
+  }
+
+  let candidates = rerank.candidates === undefined ? null : rerank.candidates;
+  if (candidates !== null && (!Number.isInteger(candidates) || candidates < 1)) {
+    strapi.log.warn(`Semantic Search: Invalid rerank candidates for ${contentType}, using the re-ranker default`);
+    candidates = null;
+  }
+
+  return { enabled: rerank.enabled !== false, candidates };
+}
+
+// `dedupe: true`, or `{ threshold, groupBy }` where entries with the same `groupBy` value are copies
+// of each other (a canonical URL, a syndication id) whatever their embeddings
+function validateDedupe(dedupe = false, contentType, strapi) {
+  if (typeof dedupe === 'boolean') {
+    return { enabled: dedupe, threshold: null, groupBy: null };
+  }
+
+  if (!dedupe || typeof dedupe !== 'object') {
+    strapi.log.warn(`Semantic Search: Invalid dedupe option for ${contentType}, de-duplication disabled`);
+    return { enabled: false, threshold: null, groupBy: null };
+  }
+
+  let threshold = dedupe.threshold === undefined ? null : dedupe.threshold;
+  if (threshold !== null && (typeof threshold !== 'number' || threshold <= 0 || threshold > 1)) {
+    strapi.log.warn(`Semantic Search: Invalid dedupe threshold for ${contentType}, using the default`);
+    threshold = null;
+  }
+
+  let groupBy = dedupe.groupBy === undefined ? null : dedupe.groupBy;
+  if (groupBy !== null) {
+    const attribute = typeof groupBy === 'string' && !groupBy.includes('.') && resolveAttribute(groupBy, contentType, uid => strapi.getModel(uid));
+    if (!attribute || !isScalar(attribute)) {
+      strapi.log.warn(`Semantic Search: dedupe groupBy for ${contentType} must be a scalar field of the content type, ignoring it`);
+      groupBy = null;
+    }
+  }
+
+  return { enabled: dedupe.enabled !== false, threshold, groupBy };
+}
+
+// Instructions for answers drawn from this content type only (see the `answers` option)
+function validateSystemPrompt(systemPrompt = null, contentType, strapi) {
+  if (systemPrompt === null) {
+    return null;
+  }
+
+  if (typeof systemPrompt !== 'string' || systemPrompt.trim() === '') {
+    strapi.log.warn(`Semantic Search: Invalid systemPrompt for ${contentType}, using the default answer prompt`);
+    return null;
+  }
+
+  return systemPrompt.trim();
+}
+
+// Fields the content API may filter on; none unless listed, so requests cannot probe arbitrary columns
+function validateFilterableFields(filterableFields = [], contentType, strapi) {
+  if (!Array.isArray(filterableFields)) {
+    strapi.log.warn(`Semantic Search: Invalid filterableFields for ${contentType}. Should be an array of field names`);
+    return [];
+  }
+
+  const schema = strapi.contentTypes[contentType];
+
+  return filterableFields.filter(field => {
+    if (typeof field !== 'string' || field.trim() === '') {
+      strapi.log.warn(`Semantic Search: Invalid filterable field '${field}' for ${contentType}`);
+      return false;
+    }
+
+    // Filters and facets need a path to a scalar field, following relations and components
+    const attribute = schema && resolveAttribute(field, contentType, uid => strapi.getModel(uid));
+    if (schema && !attribute) {
+      strapi.log.warn(`Semantic Search: Filterable field '${field}' does not exist on ${contentType}, ignoring it`);
+      return false;
+    }
+    if (attribute && !isScalar(attribute)) {
+      strapi.log.warn(`Semantic Search: Filterable field '${field}' on ${contentType} is a ${attribute.type} field, ignoring it; list one of its fields instead, e.g. '${field}.id'`);
+      return false;
+    }
+    return true;
+  });
+}
@@ -0,0 +1,147 @@
+'use strict';
+
+const { tokenize, getChunkTexts } = require('../utils/lexical');
+
+// In-process Okapi BM25 over chunk texts, for databases without a usable full-text search (MySQL).
+// Rebuilt from the stored chunks at bootstrap and kept current by the lifecycles.
+module.exports = ({ strapi, config, vectorService }) => ({
+
+  name: 'bm25',
+  indexes: new Map(),
+
+  getIndex(contentType) {
+    if (!this.indexes.has(contentType)) {
+      this.indexes.set(contentType, {
+        chunks: new Map(),
+        postings: new Map(),
+        entries: new Map(),
+        totalLength: 0
+      });
+    }
+    return this.indexes.get(contentType);
+  },
+
+  async init() {},
+
+  async count(contentType) {
+    return this.getIndex(contentType).entries.size;
+  },
+
+  async upsert(contentType, entry) {
+    const index = this.getIndex(contentType);
+    this.removeEntry(index, entry.id);
+
+    const chunks = getChunkTexts(entry);
+    if (chunks.length === 0) {
+      return;
+    }
+
+    chunks.forEach(chunk => {
+      const label = `${entry.id}:${chunk.index}`;
+      const terms = new Map();
+      const tokens = tokenize(chunk.text);
+
+      tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+      terms.forEach((frequency, term) => {
+        if (!index.postings.has(term)) {
+          index.postings.set(term, new Set());
+        }
+        index.postings.get(term).add(label);
+      });
+
+      index.chunks.set(label, { entryId: entry.id, chunkIndex: chunk.index, length: tokens.length, terms });
+      index.totalLength += tokens.length;
+    });
+
+    index.entries.set(entry.id, {
+      locale: entry.locale || null,
+      published: !!entry.publishedAt,
+      chunks: chunks.map(chunk => chunk.index)
+    });
+  },
+
+  removeEntry(index, entryId) {
+    const entry = index.entries.get(entryId);
+    if (!entry) {
+      return;
+    }
+
+    entry.chunks.forEach(chunkIndex => {
+      const label = `${entryId}:${chunkIndex}`;
+      const chunk = index.chunks.get(label);
+      if (!chunk) return;
+
+      chunk.terms.forEach((frequency, term) => {
+        const postings = index.postings.get(term);
+        postings.delete(label);
+        if (postings.size === 0) {
+          index.postings.delete(term);
+        }
+      });
+
+      index.totalLength -= chunk.length;
+      index.chunks.delete(label);
+    });
+
+    index.entries.delete(entryId);
+  },
+
+  async remove(contentType, entryIds) {
+    const index = this.getIndex(contentType);
+    entryIds.forEach(entryId => this.removeEntry(index, entryId));
+  },
+
+  async search(query, contentType, { limit, filters, locale, status }) {
+    const index = this.getIndex(contentType);
+    const terms = [...new Set(tokenize(query))];
+
+    if (terms.length === 0 || index.chunks.size === 0) {
+      return [];
+    }
+
+    const k1 = config.k1 || 1.2;
+    const b = config.b === undefined ? 0.75 : config.b;
+    const averageLength = index.totalLength / index.chunks.size;
+    const scope = await vectorService.resolveEntryScope(contentType, { locale, status });
+
+    let allowedIds = null;
+    if (filters && Object.keys(filters).length > 0) {
+      const rows = await strapi.db.query(contentType).findMany({
+        where: await vectorService.buildEntryWhere(contentType, { filters, locale, status }),
+        select: ['id']
+      });
+      allowedIds = new Set(rows.map(row => row.id));
+    }
+
+    const scores = new Map();
+
+    terms.forEach(term => {
+      const postings = index.postings.get(term);
+      if (!postings) return;
+
+      const idf = Math.log(1 + (index.chunks.size - postings.size + 0.5) / (postings.size + 0.5));
+
+      postings.forEach(label => {
+        const chunk = index.chunks.get(label);
+        const entry = index.entries.get(chunk.entryId);
+
+        if ((allowedIds && !allowedIds.has(chunk.entryId)) || !vectorService.isInEntryScope(entry, scope)) {
+          return;
+        }
+
+        const frequency = chunk.terms.get(term);
+        const score = idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * chunk.length / averageLength));
+        scores.set(label, (scores.get(label) || 0) + score);
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([label, score]) => {
+        const chunk = index.chunks.get(label);
+        return { entryId: chunk.entryId, chunkIndex: chunk.chunkIndex, score };
+      })
+      .sort((first, second) => second.score - first.score)
+      .slice(0, limit);
+  }
+
+});
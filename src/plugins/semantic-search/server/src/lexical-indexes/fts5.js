@@ -0,0 +1,116 @@
+'use strict';
+
+const { tokenize, getChunkTexts } = require('../utils/lexical');
+
+const TABLE = 'semantic_search_lexical';
+const FTS_TABLE = `${TABLE}_fts`;
+
+// SQLite full-text search: chunk texts live in a plain table, mirrored by triggers into an
+// external-content FTS5 table that ranks matches with BM25
+module.exports = ({ strapi, config, vectorService }) => ({
+
+  name: 'fts5',
+
+  getKnex() {
+    return strapi.db.connection;
+  },
+
+  async init() {
+    const knex = this.getKnex();
+    const tokenizer = config.tokenizer || 'unicode61 remove_diacritics 2';
+
+    await knex.raw(`
+      CREATE TABLE IF NOT EXISTS ${TABLE} (
+        id INTEGER PRIMARY KEY,
+        content_type TEXT NOT NULL,
+        entry_id INTEGER NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        UNIQUE (content_type, entry_id, chunk_index)
+      )
+    `);
+
+    // Fails when SQLite was built without FTS5, which the lexical service reports before falling back
+    await knex.raw(
+      `CREATE VIRTUAL TABLE IF NOT EXISTS ${FTS_TABLE} USING fts5(text, content='${TABLE}', content_rowid='id', tokenize=${knex.raw('?', [tokenizer]).toQuery()})`
+    );
+
+    await knex.raw(`
+      CREATE TRIGGER IF NOT EXISTS ${TABLE}_ai AFTER INSERT ON ${TABLE} BEGIN
+        INSERT INTO ${FTS_TABLE} (rowid, text) VALUES (new.id, new.text);
+      END
+    `);
+    await knex.raw(`
+      CREATE TRIGGER IF NOT EXISTS ${TABLE}_ad AFTER DELETE ON ${TABLE} BEGIN
+        INSERT INTO ${FTS_TABLE} (${FTS_TABLE}, rowid, text) VALUES ('delete', old.id, old.text);
+      END
+    `);
+  },
+
+  async count(contentType) {
+    const [row] = await this.getKnex()(TABLE)
+      .where('content_type', contentType)
+      .countDistinct({ count: 'entry_id' });
+
+    return Number(row.count);
+  },
+
+  async upsert(contentType, entry) {
+    const chunks = getChunkTexts(entry);
+
+    await this.getKnex().transaction(async trx => {
+      await trx(TABLE).where({ content_type: contentType, entry_id: entry.id }).delete();
+
+      if (chunks.length > 0) {
+        await trx(TABLE).insert(chunks.map(chunk => ({
+          content_type: contentType,
+          entry_id: entry.id,
+          chunk_index: chunk.index,
+          text: chunk.text
+        })));
+      }
+    });
+  },
+
+  async remove(contentType, entryIds) {
+    await this.getKnex()(TABLE)
+      .where('content_type', contentType)
+      .whereIn('entry_id', entryIds)
+      .delete();
+  },
+
+  async search(query, contentType, { limit, filters, locale, status }) {
+    // Quote every term so user input can never be read as FTS5 query syntax
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const match = terms.map(term => `"${term}"`).join(' OR ');
+
+    const entries = strapi.db.queryBuilder(contentType)
+      .select('id')
+      .where(await vectorService.buildEntryWhere(contentType, { filters, locale, status }))
+      .getKnexQuery();
+
+    const knex = this.getKnex();
+    const rows = await knex(FTS_TABLE)
+      .join(`${TABLE} as c`, 'c.id', `${FTS_TABLE}.rowid`)
+      .select('c.entry_id', 'c.chunk_index', knex.raw(`bm25(${FTS_TABLE}) AS rank`))
+      .whereRaw(`${FTS_TABLE} MATCH ?`, [match])
+      .where('c.content_type', contentType)
+      .whereIn('c.entry_id', entries)
+      .orderBy('rank')
+      .limit(limit);
+
+    // bm25() is lower for better matches
+    return rows.map(row => ({
+      entryId: row.entry_id,
+      chunkIndex: row.chunk_index,
+      score: -Number(row.rank)
+    }));
+  }
+
+});
+
+module.exports.TABLE = TABLE;
@@ -0,0 +1,47 @@
+'use strict';
+
+const fts5 = require('./fts5');
+const tsvector = require('./tsvector');
+const bm25 = require('./bm25');
+
+const indexes = {
+  fts5,
+  tsvector,
+  bm25,
+};
+
+function resolveIndexType(type, { strapi }) {
+  if (type !== 'auto') {
+    return type;
+  }
+
+  // Use the database's own full-text search where there is one, otherwise score BM25 in Node (MySQL)
+  const client = strapi.db.dialect.client;
+  if (client === 'sqlite') {
+    return 'fts5';
+  }
+  if (client === 'postgres') {
+    return 'tsvector';
+  }
+
+  return 'bm25';
+}
+
+async function createLexicalIndex(config = {}, { strapi, vectorService }) {
+  const type = resolveIndexType(config.type || 'auto', { strapi });
+  const factory = indexes[type];
+
+  if (!factory) {
+    throw new Error(`Unknown lexical index "${type}". Expected one of: auto, ${Object.keys(indexes).join(', ')}`);
+  }
+
+  const index = factory({ strapi, config, vectorService });
+  await index.init();
+
+  return index;
+}
+
+module.exports = {
+  indexes,
+  createLexicalIndex,
+};
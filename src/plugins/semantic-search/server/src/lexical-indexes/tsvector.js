@@ -0,0 +1,108 @@
+'use strict';
+
+const { getChunkTexts } = require('../utils/lexical');
+
+const TABLE = 'semantic_search_lexical';
+
+// Postgres full-text search: one tsvector per chunk behind a GIN index, ranked with ts_rank_cd
+module.exports = ({ strapi, config, vectorService }) => ({
+
+  name: 'tsvector',
+
+  getKnex() {
+    return strapi.db.connection;
+  },
+
+  // Text search configuration, e.g. `english` for stemming; `simple` works for every language
+  getLanguage() {
+    const language = config.language || 'simple';
+
+    if (!/^[a-z_]+$/i.test(language)) {
+      throw new Error(`Invalid text search configuration "${language}"`);
+    }
+
+    return language;
+  },
+
+  async init() {
+    const knex = this.getKnex();
+
+    await knex.raw(`
+      CREATE TABLE IF NOT EXISTS ${TABLE} (
+        id bigserial PRIMARY KEY,
+        content_type varchar(255) NOT NULL,
+        entry_id integer NOT NULL,
+        chunk_index integer NOT NULL,
+        text text NOT NULL,
+        tsv tsvector NOT NULL,
+        UNIQUE (content_type, entry_id, chunk_index)
+      )
+    `);
+    await knex.raw(`CREATE INDEX IF NOT EXISTS ${TABLE}_tsv_idx ON ${TABLE} USING gin (tsv)`);
+
+    this.getLanguage();
+  },
+
+  async count(contentType) {
+    const [row] = await this.getKnex()(TABLE)
+      .where('content_type', contentType)
+      .countDistinct({ count: 'entry_id' });
+
+    return Number(row.count);
+  },
+
+  async upsert(contentType, entry) {
+    const chunks = getChunkTexts(entry);
+    const language = this.getLanguage();
+
+    await this.getKnex().transaction(async trx => {
+      await trx(TABLE).where({ content_type: contentType, entry_id: entry.id }).delete();
+
+      if (chunks.length > 0) {
+        await trx(TABLE).insert(chunks.map(chunk => ({
+          content_type: contentType,
+          entry_id: entry.id,
+          chunk_index: chunk.index,
+          text: chunk.text,
+          tsv: trx.raw('to_tsvector(?::regconfig, ?)', [language, chunk.text])
+        })));
+      }
+    });
+  },
+
+  async remove(contentType, entryIds) {
+    await this.getKnex()(TABLE)
+      .where('content_type', contentType)
+      .whereIn('entry_id', entryIds)
+      .delete();
+  },
+
+  async search(query, contentType, { limit, filters, locale, status }) {
+    const knex = this.getKnex();
+
+    // Any query term may match: plainto_tsquery ANDs the terms, so turn them into an OR query
+    const tsquery = knex.raw("replace(plainto_tsquery(?::regconfig, ?)::text, '&', '|')::tsquery", [this.getLanguage(), query]);
+
+    const entries = strapi.db.queryBuilder(contentType)
+      .select('id')
+      .where(await vectorService.buildEntryWhere(contentType, { filters, locale, status }))
+      .getKnexQuery();
+
+    const rows = await knex(TABLE)
+      .select('entry_id', 'chunk_index', knex.raw('ts_rank_cd(tsv, ?) AS rank', [tsquery]))
+      .whereRaw('tsv @@ ?', [tsquery])
+      .where('content_type', contentType)
+      .whereIn('entry_id', entries)
+      .orderBy('rank', 'desc')
+      .limit(limit);
+
+    return rows.map(row => ({
+      entryId: row.entry_id,
+      chunkIndex: row.chunk_index,
+      score: Number(row.rank)
+    }));
+  }
+
+});
+
+module.exports.TABLE = TABLE;
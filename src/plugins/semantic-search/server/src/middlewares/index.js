@@ -0,0 +1,7 @@
+'use strict';
+
+const rateLimit = require('./rate-limit');
+
+module.exports = {
+  'rate-limit': rateLimit,
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+// Route middleware for the content API: every search costs a provider call, so each client
+// (user, API token or IP) gets a fixed number of requests per window
+module.exports = (config, { strapi }) => async (ctx, next) => {
+  const rateLimitService = strapi.plugin('semantic-search').service('rateLimitService');
+
+  if (!rateLimitService.isEnabled()) {
+    return next();
+  }
+
+  const result = rateLimitService.consume(rateLimitService.getClientKey(ctx));
+
+  ctx.set('X-RateLimit-Limit', String(result.limit));
+  ctx.set('X-RateLimit-Remaining', String(result.remaining));
+  ctx.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+
+  if (!result.allowed) {
+    ctx.set('Retry-After', String(Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1)));
+    return ctx.tooManyRequests('Too many search requests, please try again later');
+  }
+
+  return next();
+};
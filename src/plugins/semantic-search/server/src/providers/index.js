@@ -0,0 +1,48 @@
+'use strict';
+
+const openai = require('./openai');
+const openaiCompatible = require('./openai-compatible');
+const local = require('./local');
+
+const providers = {
+  openai,
+  'openai-compatible': openaiCompatible,
+  local,
+};
+
+const defaultModels = {
+  openai: 'text-embedding-ada-002',
+  'openai-compatible': 'nomic-embed-text',
+  local: 'Xenova/all-MiniLM-L6-v2',
+};
+
+// Models that map text in different languages into one vector space, so a query can match content
+// in another language
+const multilingualModels = {
+  openai: 'text-embedding-3-small',
+  'openai-compatible': 'bge-m3',
+  local: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+};
+
+function createProvider(config = {}, { strapi }) {
+  const type = config.type || 'openai';
+  const factory = providers[type];
+
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${type}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  const model = config.model || (config.multilingual ? multilingualModels : defaultModels)[type];
+
+  return factory({
+    strapi,
+    config: { ...config, type, model }
+  });
+}
+
+module.exports = {
+  providers,
+  defaultModels,
+  multilingualModels,
+  createProvider,
+};
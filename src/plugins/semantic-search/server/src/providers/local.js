@@ -0,0 +1,40 @@
+'use strict';
+
+// Runs a sentence-transformers model in-process through transformers.js.
+// The package is an optional peer dependency and is only loaded on first use.
+module.exports = ({ strapi, config }) => {
+  const { model } = config;
+  let extractorPromise = null;
+
+  const getExtractor = () => {
+    if (!extractorPromise) {
+      extractorPromise = import('@xenova/transformers')
+        .then(({ pipeline, env }) => {
+          if (config.cacheDir) {
+            env.cacheDir = config.cacheDir;
+          }
+          strapi.log.info(`Loading local embedding model ${model}`);
+          return pipeline('feature-extraction', model, { quantized: config.quantized !== false });
+        })
+        .catch(error => {
+          extractorPromise = null;
+          if (error.code === 'ERR_MODULE_NOT_FOUND' || error.code === 'MODULE_NOT_FOUND') {
+            throw new Error('The "local" embedding provider requires @xenova/transformers. Run: npm install @xenova/transformers');
+          }
+          throw error;
+        });
+    }
+    return extractorPromise;
+  };
+
+  return {
+    name: 'local',
+    model,
+
+    async embed(inputs) {
+      const extractor = await getExtractor();
+      const output = await extractor(inputs, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    }
+  };
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+const axios = require('axios');
+
+// Any server exposing an OpenAI-style `POST /embeddings` route (Ollama, vLLM, LocalAI, ...)
+module.exports = ({ strapi, config }) => {
+  if (!config.baseURL) {
+    strapi.log.warn('Embedding provider "openai-compatible" requires a baseURL. Embedding service will not function.');
+    return null;
+  }
+
+  const client = axios.create({
+    baseURL: config.baseURL.replace(/\/+$/, ''),
+    timeout: config.timeout || 30000,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` }),
+      ...config.headers,
+    },
+  });
+
+  return {
+    name: 'openai-compatible',
+    model: config.model,
+    dimensions: config.dimensions || null,
+
+    async embed(inputs) {
+      try {
+        const response = await client.post('/embeddings', {
+          model: config.model,
+          input: inputs,
+          ...(config.dimensions && { dimensions: config.dimensions }),
+        });
+
+        return response.data.data
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding);
+
+      } catch (error) {
+        // Normalize HTTP failures to the error codes the embedding service understands
+        const status = error.response && error.response.status;
+        if (status === 429) {
+          error.code = 'rate_limit_exceeded';
+        } else if (status === 401 || status === 403) {
+          error.code = 'invalid_api_key';
+        }
+        throw error;
+      }
+    }
+  };
+};
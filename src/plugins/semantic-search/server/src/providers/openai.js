@@ -0,0 +1,36 @@
+'use strict';
+
+const OpenAI = require('openai');
+
+module.exports = ({ strapi, config }) => {
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+
+  if (!apiKey) {
+    strapi.log.warn('OpenAI API key not found. Embedding service will not function.');
+    return null;
+  }
+
+  const client = new OpenAI({
+    apiKey,
+    ...(config.baseURL && { baseURL: config.baseURL }),
+    ...(config.organization && { organization: config.organization }),
+  });
+
+  return {
+    name: 'openai',
+    model: config.model,
+    dimensions: config.dimensions || null,
+
+    async embed(inputs) {
+      const response = await client.embeddings.create({
+        model: config.model,
+        input: inputs,
+        ...(config.dimensions && { dimensions: config.dimensions }),
+      });
+
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const ENTRY_UID = 'plugin::semantic-search.query-cache-entry';
+
+// Keeps cached query embeddings in the plugin's `semantic_search_query_cache` table
+module.exports = ({ strapi }) => ({
+
+  name: 'database',
+
+  async init() {
+    // Expired entries are otherwise only removed when they are read again
+    await strapi.db.query(ENTRY_UID).deleteMany({
+      where: { expiresAt: { $lt: new Date() } }
+    });
+  },
+
+  async get(key) {
+    const entries = strapi.db.query(ENTRY_UID);
+    const entry = await entries.findOne({ where: { cacheKey: key } });
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && new Date(entry.expiresAt) <= new Date()) {
+      await entries.delete({ where: { id: entry.id } });
+      return null;
+    }
+
+    return entry.value;
+  },
+
+  async set(key, value, { model, ttl }) {
+    const entries = strapi.db.query(ENTRY_UID);
+    const data = { cacheKey: key, model, value, expiresAt: ttl > 0 ? new Date(Date.now() + ttl) : null };
+
+    const existing = await entries.findOne({ where: { cacheKey: key }, select: ['id'] });
+    if (existing) {
+      await entries.update({ where: { id: existing.id }, data });
+    } else {
+      await entries.create({ data });
+    }
+  },
+
+  async clear() {
+    await strapi.db.query(ENTRY_UID).deleteMany({ where: {} });
+  }
+
+});
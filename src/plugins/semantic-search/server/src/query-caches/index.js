@@ -0,0 +1,35 @@
+'use strict';
+
+const database = require('./database');
+const redis = require('./redis');
+
+// Shared second level behind the in-process LRU, so cached query embeddings survive restarts
+// and are shared between instances
+const stores = {
+  database,
+  redis,
+};
+
+async function createQueryCacheStore(config = {}, { strapi }) {
+  const type = config.store || 'memory';
+
+  if (type === 'memory') {
+    return null;
+  }
+
+  const factory = stores[type];
+
+  if (!factory) {
+    throw new Error(`Unknown query cache store "${type}". Expected one of: memory, ${Object.keys(stores).join(', ')}`);
+  }
+
+  const store = factory({ strapi, config });
+  await store.init();
+
+  return store;
+}
+
+module.exports = {
+  stores,
+  createQueryCacheStore,
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+// Any Redis-compatible server (Redis, Valkey, KeyDB, Dragonfly) through ioredis, an optional peer
+// dependency that is only loaded when this store is configured
+module.exports = ({ strapi, config }) => {
+  const keyPrefix = config.keyPrefix || 'semantic-search:query:';
+  let client = null;
+
+  return {
+    name: 'redis',
+
+    async init() {
+      let Redis;
+      try {
+        Redis = require('ioredis');
+      } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+          throw new Error('The "redis" query cache store requires ioredis. Run: npm install ioredis');
+        }
+        throw error;
+      }
+
+      client = config.url ? new Redis(config.url, config.redis) : new Redis(config.redis);
+      client.on('error', error => {
+        strapi.log.warn(`Semantic Search: Query cache Redis error: ${error.message}`);
+      });
+    },
+
+    async get(key) {
+      const value = await client.get(keyPrefix + key);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, value, { ttl }) {
+      if (ttl > 0) {
+        await client.set(keyPrefix + key, JSON.stringify(value), 'PX', ttl);
+      } else {
+        await client.set(keyPrefix + key, JSON.stringify(value));
+      }
+    },
+
+    async clear() {
+      let cursor = '0';
+      do {
+        const [next, keys] = await client.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 500);
+        if (keys.length > 0) {
+          await client.del(...keys);
+        }
+        cursor = next;
+      } while (cursor !== '0');
+    },
+
+    async close() {
+      if (client) {
+        await client.quit();
+        client = null;
+      }
+    }
+  };
+};
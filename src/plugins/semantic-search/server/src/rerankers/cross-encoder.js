@@ -0,0 +1,50 @@
+'use strict';
+
+// Scores query/passage pairs with a cross-encoder running in-process through transformers.js.
+// Like the local embedding provider, the package is an optional peer dependency loaded on first use.
+module.exports = ({ strapi, config }) => {
+  const { model } = config;
+  let modelPromise = null;
+
+  const getModel = () => {
+    if (!modelPromise) {
+      modelPromise = import('@xenova/transformers')
+        .then(async ({ AutoTokenizer, AutoModelForSequenceClassification, env }) => {
+          if (config.cacheDir) {
+            env.cacheDir = config.cacheDir;
+          }
+          strapi.log.info(`Loading cross-encoder model ${model}`);
+          return {
+            tokenizer: await AutoTokenizer.from_pretrained(model),
+            classifier: await AutoModelForSequenceClassification.from_pretrained(model, { quantized: config.quantized !== false })
+          };
+        })
+        .catch(error => {
+          modelPromise = null;
+          if (error.code === 'ERR_MODULE_NOT_FOUND' || error.code === 'MODULE_NOT_FOUND') {
+            throw new Error('The "cross-encoder" re-ranker requires @xenova/transformers. Run: npm install @xenova/transformers');
+          }
+          throw error;
+        });
+    }
+    return modelPromise;
+  };
+
+  return {
+    name: 'cross-encoder',
+    model,
+
+    async rerank(query, documents) {
+      const { tokenizer, classifier } = await getModel();
+      const inputs = tokenizer(documents.map(() => query), {
+        text_pair: documents,
+        padding: true,
+        truncation: true
+      });
+
+      // One relevance logit per pair, squashed to 0..1
+      const { logits } = await classifier(inputs);
+      return logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit)));
+    }
+  };
+};
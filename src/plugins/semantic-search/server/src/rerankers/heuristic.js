@@ -0,0 +1,26 @@
+'use strict';
+
+const { tokenize } = require('../utils/lexical');
+
+// Dependency-free scorer for tests and development: the share of query terms found in the passage,
+// plus a bonus when the whole query appears verbatim
+module.exports = ({ config }) => ({
+  name: 'heuristic',
+  model: config.model,
+
+  async rerank(query, documents) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const phrase = queryTerms.join(' ');
+
+    return documents.map(document => {
+      if (queryTerms.length === 0) return 0;
+
+      const terms = tokenize(document);
+      const present = new Set(terms);
+      const overlap = queryTerms.filter(term => present.has(term)).length / queryTerms.length;
+      const exactPhrase = ` ${terms.join(' ')} `.includes(` ${phrase} `);
+
+      return overlap * 0.8 + (exactPhrase ? 0.2 : 0);
+    });
+  }
+});
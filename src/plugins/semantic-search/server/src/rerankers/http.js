@@ -0,0 +1,42 @@
+'use strict';
+
+const axios = require('axios');
+
+// Any `POST /rerank` endpoint with the Cohere request and response shape (Cohere, Jina)
+module.exports = ({ strapi, config }) => {
+  if (!config.baseURL) {
+    strapi.log.warn('Re-ranker "http" requires a baseURL. Re-ranking will not function.');
+    return null;
+  }
+
+  const client = axios.create({
+    baseURL: config.baseURL.replace(/\/+$/, ''),
+    timeout: config.timeout || 30000,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` }),
+      ...config.headers,
+    },
+  });
+
+  return {
+    name: 'http',
+    model: config.model,
+
+    async rerank(query, documents) {
+      const response = await client.post(config.path || '/rerank', {
+        model: config.model,
+        query,
+        documents,
+        top_n: documents.length,
+      });
+
+      // Results come back sorted by relevance, so put the scores back in input order
+      const scores = new Array(documents.length).fill(0);
+      response.data.results.forEach(result => {
+        scores[result.index] = result.relevance_score;
+      });
+      return scores;
+    }
+  };
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+const crossEncoder = require('./cross-encoder');
+const http = require('./http');
+const heuristic = require('./heuristic');
+
+const rerankers = {
+  'cross-encoder': crossEncoder,
+  http,
+  heuristic,
+};
+
+const defaultModels = {
+  'cross-encoder': 'Xenova/ms-marco-MiniLM-L-6-v2',
+  http: 'rerank-v3.5',
+  heuristic: 'term-overlap',
+};
+
+function createReranker(config = {}, { strapi }) {
+  const type = config.type || 'cross-encoder';
+  const factory = rerankers[type];
+
+  if (!factory) {
+    throw new Error(`Unknown re-ranker "${type}". Expected one of: ${Object.keys(rerankers).join(', ')}`);
+  }
+
+  return factory({
+    strapi,
+    config: { ...config, type, model: config.model || defaultModels[type] }
+  });
+}
+
+module.exports = {
+  rerankers,
+  defaultModels,
+  createReranker,
+};
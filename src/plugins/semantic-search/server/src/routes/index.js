@@ -9,7 +9,7 @@ module.exports = {
         path: '/search',
         handler: 'searchController.search',
         config: {
-          auth: false,
+          middlewares: ['plugin::semantic-search.rate-limit'],
           description: 'Perform semantic search on a specific content type',
           tags: ['semantic-search'],
         }
@@ -19,21 +19,251 @@ module.exports = {
         path: '/multi-search',
         handler: 'searchController.multiSearch',
         config: {
-          auth: false,
+          middlewares: ['plugin::semantic-search.rate-limit'],
           description: 'Perform semantic search across multiple content types',
           tags: ['semantic-search'],
         }
       },
+      {
+        method: 'GET',
+        path: '/related/:contentType/:documentId',
+        handler: 'searchController.related',
+        config: {
+          middlewares: ['plugin::semantic-search.rate-limit'],
+          description: 'Find documents similar to a stored document, without calling the embedding provider',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'POST',
+        path: '/ask',
+        handler: 'searchController.ask',
+        config: {
+          middlewares: ['plugin::semantic-search.rate-limit'],
+          description: 'Answer a question from the best matching passages, with cited sources',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'POST',
+        path: '/feedback',
+        handler: 'analyticsController.feedback',
+        config: {
+          middlewares: ['plugin::semantic-search.rate-limit'],
+          description: 'Record a clicked or ignored search result',
+          tags: ['semantic-search'],
+        }
+      },
       {
         method: 'GET',
         path: '/stats',
         handler: 'searchController.getStats',
         config: {
-          auth: false,
+          middlewares: ['plugin::semantic-search.rate-limit'],
           description: 'Get embedding statistics for content types',
           tags: ['semantic-search'],
         }
       }
     ]
+  },
+  admin: {
+    type: 'admin',
+    routes: [
+      {
+        method: 'POST',
+        path: '/reindex',
+        handler: 'indexController.reindex',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.reindex'] } }
+          ],
+          description: 'Reindex embeddings for one or all configured content types',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/reindex/status',
+        handler: 'indexController.getReindexStatus',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.read'] } }
+          ],
+          description: 'Get the progress of the current or last reindex run',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/migration',
+        handler: 'indexController.getMigrationStatus',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.migration'] } }
+          ],
+          description: 'Get the coverage of the active and the migration index per content type',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'POST',
+        path: '/migration/cutover',
+        handler: 'indexController.cutover',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.migration'] } }
+          ],
+          description: 'Swap in the embeddings of the migration target model',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/settings',
+        handler: 'indexController.getSettings',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.read'] } }
+          ],
+          description: 'Get the configured content types and the active embedding model',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/stats',
+        handler: 'searchController.getStats',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.read'] } }
+          ],
+          description: 'Get embedding coverage per content type and locale',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'POST',
+        path: '/playground',
+        handler: 'searchController.playground',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.read'] } }
+          ],
+          description: 'Run a search and explain its scores',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/documents/:contentType/:documentId',
+        handler: 'indexController.getDocumentStatus',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.read'] } }
+          ],
+          description: 'Get the embedding status of a document',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'POST',
+        path: '/documents/:contentType/:documentId/reindex',
+        handler: 'indexController.reindexDocument',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.reindex'] } }
+          ],
+          description: 'Re-embed one document',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/analytics/summary',
+        handler: 'analyticsController.getSummary',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.analytics'] } }
+          ],
+          description: 'Search volume, zero-result and low-confidence counts and click-through rate',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/analytics/top-queries',
+        handler: 'analyticsController.getTopQueries',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.analytics'] } }
+          ],
+          description: 'Most frequent search queries',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/analytics/zero-result-queries',
+        handler: 'analyticsController.getZeroResultQueries',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.analytics'] } }
+          ],
+          description: 'Search queries that returned no results',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/analytics/low-confidence-queries',
+        handler: 'analyticsController.getLowConfidenceQueries',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.analytics'] } }
+          ],
+          description: 'Search queries whose best result scored below the confidence threshold',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'GET',
+        path: '/jobs',
+        handler: 'queueController.listJobs',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.read'] } }
+          ],
+          description: 'List embedding jobs, dead-lettered ones by default',
+          tags: ['semantic-search'],
+        }
+      },
+      {
+        method: 'POST',
+        path: '/jobs/retry',
+        handler: 'queueController.retryJobs',
+        config: {
+          policies: [
+            'admin::isAuthenticatedAdmin',
+            { name: 'admin::hasPermissions', config: { actions: ['plugin::semantic-search.reindex'] } }
+          ],
+          description: 'Retry dead-lettered embedding jobs',
+          tags: ['semantic-search'],
+        }
+      }
+    ]
   }
 };
\ No newline at end of file
@@ -0,0 +1,302 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const QUERY_UID = 'plugin::semantic-search.search-query';
+const FEEDBACK_UID = 'plugin::semantic-search.search-feedback';
+
+const DEFAULT_ANALYTICS = {
+  enabled: false,
+  retentionDays: 90,
+  queryStorage: 'plain',
+  hashClientIds: true,
+  lowConfidenceThreshold: 0.3,
+  salt: null
+};
+
+const QUERY_STORAGES = ['plain', 'redact', 'hash'];
+const PURGE_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Personal data most often typed into search boxes. Numbers need six digits, so years and model
+// numbers are kept while phone, account and card numbers are not.
+const REDACTIONS = [
+  [/\bhttps?:\/\/\S+/g, '[url]'],
+  [/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]'],
+  [/\+?\d(?:[\s().-]{0,2}\d){5,}/g, '[number]']
+];
+
+// Raw queries return datetimes as stored: dates on Postgres and MySQL, numbers or strings on SQLite
+function toDate(value) {
+  if (value === null || value === undefined || value instanceof Date) {
+    return value || null;
+  }
+
+  return new Date(isNaN(Number(value)) ? value : Number(value));
+}
+
+module.exports = ({ strapi }) => ({
+
+  timer: null,
+
+  getConfig() {
+    const config = strapi.config.get('plugin.semantic-search') || {};
+    const analytics = { ...DEFAULT_ANALYTICS, ...config.analytics };
+
+    if (!Number.isInteger(analytics.retentionDays) || analytics.retentionDays < 0) {
+      analytics.retentionDays = DEFAULT_ANALYTICS.retentionDays;
+    }
+    if (!QUERY_STORAGES.includes(analytics.queryStorage)) {
+      strapi.log.warn(`Semantic Search: Invalid analytics queryStorage '${analytics.queryStorage}', using '${DEFAULT_ANALYTICS.queryStorage}'`);
+      analytics.queryStorage = DEFAULT_ANALYTICS.queryStorage;
+    }
+    if (typeof analytics.lowConfidenceThreshold !== 'number') {
+      analytics.lowConfidenceThreshold = DEFAULT_ANALYTICS.lowConfidenceThreshold;
+    }
+
+    return analytics;
+  },
+
+  isEnabled() {
+    return this.getConfig().enabled === true;
+  },
+
+  async init() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    await this.purge();
+
+    this.timer = setInterval(() => {
+      this.purge().catch(error => strapi.log.warn('Semantic Search: Failed to purge search analytics:', error.message));
+    }, PURGE_INTERVAL);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  },
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  },
+
+  // Deletes searches and feedback older than `retentionDays`; 0 keeps them forever
+  async purge() {
+    const { retentionDays } = this.getConfig();
+
+    if (retentionDays === 0) {
+      return;
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const [queries, feedback] = await Promise.all([
+      strapi.db.query(QUERY_UID).deleteMany({ where: { createdAt: { $lt: cutoff } } }),
+      strapi.db.query(FEEDBACK_UID).deleteMany({ where: { createdAt: { $lt: cutoff } } })
+    ]);
+
+    if (queries.count > 0 || feedback.count > 0) {
+      strapi.log.info(`Semantic Search: Purged ${queries.count} logged search(es) and ${feedback.count} feedback event(s)`);
+    }
+  },
+
+  // Keyed hashes, so short queries and IP addresses cannot be recovered by hashing guesses
+  hash(value) {
+    const config = this.getConfig();
+    const salt = config.salt || (strapi.config.get('server.app.keys') || [])[0] || 'semantic-search';
+
+    return crypto.createHmac('sha256', salt).update(value).digest('hex').slice(0, 32);
+  },
+
+  normalize(text) {
+    return text.normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+  },
+
+  redact(text) {
+    return REDACTIONS.reduce((redacted, [pattern, replacement]) => redacted.replace(pattern, replacement), text);
+  },
+
+  // The stored query text and the key searches are grouped by. `redact` keeps the text without
+  // emails, URLs and numbers; `hash` stores no text at all.
+  prepareQuery(text) {
+    const { queryStorage } = this.getConfig();
+    const normalized = this.normalize(text);
+
+    if (queryStorage === 'hash') {
+      return { query: null, queryKey: this.hash(normalized) };
+    }
+
+    const query = queryStorage === 'redact' ? this.redact(normalized) : normalized;
+    return { query, queryKey: this.hash(query) };
+  },
+
+  prepareClientId(clientId) {
+    if (!clientId) {
+      return null;
+    }
+
+    return this.getConfig().hashClientIds === false ? clientId : this.hash(clientId);
+  },
+
+  // Logs one search and returns its id, which clients send back with their feedback. Analytics never
+  // fail a search: errors are logged and the search is returned without an id.
+  async logSearch({ query, contentTypes, mode, locale, results, resultCount, latency, clientId }) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      const scores = results
+        .map(result => result.similarityScore)
+        .filter(score => typeof score === 'number');
+
+      const entry = await strapi.db.query(QUERY_UID).create({
+        data: {
+          ...this.prepareQuery(query),
+          contentTypes,
+          mode,
+          locale: locale || null,
+          resultCount: resultCount !== undefined ? resultCount : results.length,
+          topScore: scores.length > 0 ? Math.max(...scores) : null,
+          latency,
+          clientId: this.prepareClientId(clientId),
+          clicks: 0
+        }
+      });
+
+      return entry.id;
+
+    } catch (error) {
+      strapi.log.warn('Semantic Search: Failed to log search:', error.message);
+      return null;
+    }
+  },
+
+  // Returns null when the search does not exist, has been purged or was made by another client
+  async recordFeedback({ searchId, documentId, contentType = null, action, position = null, clientId }) {
+    const searches = strapi.db.query(QUERY_UID);
+    const search = await searches.findOne({ where: { id: searchId } });
+    const preparedClientId = this.prepareClientId(clientId);
+
+    if (!search || (search.clientId && search.clientId !== preparedClientId)) {
+      return null;
+    }
+
+    const feedback = await strapi.db.query(FEEDBACK_UID).create({
+      data: { searchId, documentId, contentType, action, position, clientId: preparedClientId }
+    });
+
+    if (action === 'click') {
+      await searches.update({ where: { id: searchId }, data: { clicks: (search.clicks || 0) + 1 } });
+    }
+
+    return feedback;
+  },
+
+  getSince(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  },
+
+  getQueryTable() {
+    const meta = strapi.db.metadata.get(QUERY_UID);
+    const column = (attribute, fallback) => (meta.attributes[attribute] && meta.attributes[attribute].columnName) || fallback;
+
+    return {
+      table: meta.tableName,
+      queryKey: column('queryKey', 'query_key'),
+      query: column('query', 'query'),
+      resultCount: column('resultCount', 'result_count'),
+      topScore: column('topScore', 'top_score'),
+      latency: column('latency', 'latency'),
+      clicks: column('clicks', 'clicks'),
+      createdAt: column('createdAt', 'created_at')
+    };
+  },
+
+  async getSummary({ days = 30 } = {}) {
+    const { lowConfidenceThreshold } = this.getConfig();
+    const since = this.getSince(days);
+    const searches = strapi.db.query(QUERY_UID);
+    const inPeriod = { createdAt: { $gte: since } };
+
+    const [total, withResults, zeroResults, lowConfidence, clicked] = await Promise.all([
+      searches.count({ where: inPeriod }),
+      searches.count({ where: { ...inPeriod, resultCount: { $gt: 0 } } }),
+      searches.count({ where: { ...inPeriod, resultCount: 0 } }),
+      searches.count({ where: { ...inPeriod, resultCount: { $gt: 0 }, topScore: { $lt: lowConfidenceThreshold } } }),
+      searches.count({ where: { ...inPeriod, clicks: { $gt: 0 } } })
+    ]);
+
+    const columns = this.getQueryTable();
+    const [{ averageLatency }] = await strapi.db.connection(columns.table)
+      .avg({ averageLatency: columns.latency })
+      .where(columns.createdAt, '>=', since);
+
+    return {
+      days,
+      searches: total,
+      zeroResultSearches: zeroResults,
+      lowConfidenceSearches: lowConfidence,
+      lowConfidenceThreshold,
+      // Share of searches with results in which at least one result was clicked
+      clickThroughRate: withResults > 0 ? clicked / withResults : 0,
+      averageLatency: averageLatency === null ? null : Math.round(Number(averageLatency))
+    };
+  },
+
+  // Searches grouped by query, most frequent first. `filter` narrows the searches counted.
+  async groupQueries({ days = 30, limit = 20, filter = null } = {}) {
+    const columns = this.getQueryTable();
+
+    const rows = await strapi.db.connection(columns.table)
+      .select({ queryKey: columns.queryKey })
+      .min({ query: columns.query })
+      .count({ searches: '*' })
+      .avg({ averageResults: columns.resultCount })
+      .avg({ averageTopScore: columns.topScore })
+      .sum({ clicks: columns.clicks })
+      .select(strapi.db.connection.raw('SUM(CASE WHEN ?? > 0 THEN 1 ELSE 0 END) AS ??', [columns.clicks, 'clickedSearches']))
+      .max({ lastSearchedAt: columns.createdAt })
+      .where(columns.createdAt, '>=', this.getSince(days))
+      .modify(builder => {
+        if (filter) filter(builder, columns);
+      })
+      .groupBy(columns.queryKey)
+      .orderBy([{ column: 'searches', order: 'desc' }, { column: 'lastSearchedAt', order: 'desc' }])
+      .limit(limit);
+
+    return rows.map(row => ({
+      queryKey: row.queryKey,
+      query: row.query,
+      searches: Number(row.searches),
+      averageResults: row.averageResults === null ? null : Number(row.averageResults),
+      averageTopScore: row.averageTopScore === null ? null : Number(row.averageTopScore),
+      clicks: Number(row.clicks) || 0,
+      clickThroughRate: Number(row.searches) > 0 ? (Number(row.clickedSearches) || 0) / Number(row.searches) : 0,
+      lastSearchedAt: toDate(row.lastSearchedAt)
+    }));
+  },
+
+  async getTopQueries({ days, limit } = {}) {
+    return this.groupQueries({ days, limit });
+  },
+
+  async getZeroResultQueries({ days, limit } = {}) {
+    return this.groupQueries({
+      days,
+      limit,
+      filter: (builder, columns) => builder.where(columns.resultCount, 0)
+    });
+  },
+
+  // Queries whose best result scored below the threshold: answered, but probably not well
+  async getLowConfidenceQueries({ days, limit, threshold = this.getConfig().lowConfidenceThreshold } = {}) {
+    return this.groupQueries({
+      days,
+      limit,
+      filter: (builder, columns) => builder.where(columns.resultCount, '>', 0).where(columns.topScore, '<', threshold)
+    });
+  }
+
+});
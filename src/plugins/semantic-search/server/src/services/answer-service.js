@@ -0,0 +1,231 @@
+'use strict';
+
+const { createChatProvider } = require('../chat-providers');
+
+const DEFAULT_ANSWERS = {
+  passages: 8,
+  threshold: 0.1,
+  minSimilarity: 0.3,
+  maxContextTokens: 3000,
+  maxAnswerTokens: 500,
+  systemPrompt: 'You answer questions about our content. Answer only from the sources below, be concise, and say so when they do not contain the answer.',
+  noAnswerMessage: 'Sorry, I could not find an answer to that in our content.'
+};
+
+// Appended to every system prompt, so citations can be mapped back to their documents
+const CITATION_INSTRUCTIONS = 'Each source starts with its number in square brackets. Cite the sources you use inline with their numbers, e.g. [1] or [2][3]. Never cite a number that is not listed.';
+
+// Added when several content types are asked, whose sources are labelled with their type
+const TYPE_LABEL_INSTRUCTIONS = 'After its number, each source names the content type it comes from in parentheses.';
+
+// Without a tokenizer for every model, assume about four characters per token
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+module.exports = ({ strapi }) => ({
+
+  provider: null,
+
+  getConfig() {
+    const config = strapi.config.get('plugin.semantic-search') || {};
+    return config.answers ? { ...DEFAULT_ANSWERS, ...config.answers } : null;
+  },
+
+  init() {
+    const config = this.getConfig();
+
+    // Answers are opt-in: without an `answers` config the /ask route is unavailable
+    if (!config) {
+      return;
+    }
+
+    try {
+      this.provider = createChatProvider(config.provider, { strapi });
+    } catch (error) {
+      strapi.log.error(`Failed to initialize chat provider: ${error.message}`);
+      this.provider = null;
+    }
+
+    if (!this.provider) {
+      return;
+    }
+
+    strapi.log.info(`Chat provider initialized: "${this.provider.name}" (model: ${this.provider.model})`);
+  },
+
+  isAvailable() {
+    return !!this.provider;
+  },
+
+  // A content type's own prompt replaces the shared one when it is the only type asked. With several
+  // types, sources are labelled with their type, and the own prompts of the types among them follow
+  // the shared one.
+  getSystemPrompt(contentTypes, sources = []) {
+    const configured = (strapi.plugin('semantic-search').config || {}).contentTypes || {};
+    const getOwn = contentType => configured[contentType] && configured[contentType].systemPrompt;
+
+    if (contentTypes.length === 1) {
+      return `${getOwn(contentTypes[0]) || this.getConfig().systemPrompt}\n\n${CITATION_INSTRUCTIONS}`;
+    }
+
+    const ownPrompts = [...new Set(sources.map(source => source.contentType))]
+      .filter(getOwn)
+      .map(contentType => `For sources from ${contentType}: ${getOwn(contentType)}`);
+
+    return [this.getConfig().systemPrompt, ...ownPrompts, `${CITATION_INSTRUCTIONS} ${TYPE_LABEL_INSTRUCTIONS}`].join('\n\n');
+  },
+
+  // Numbers the best passages and keeps as many as fit the context budget. A first passage longer than
+  // the budget is cut to fit rather than dropped. Passages of fields the REST API hides are left out.
+  buildSources(results, maxContextTokens) {
+    const vectorService = strapi.plugin('semantic-search').service('vectorService');
+    const sources = [];
+    let usedTokens = 0;
+
+    for (const result of results) {
+      const passage = result.matchedPassage;
+      if (!passage || !passage.text || !vectorService.isPassagePublic(result.contentType, passage)) {
+        continue;
+      }
+
+      let text = passage.text.trim();
+      const remaining = maxContextTokens - usedTokens;
+
+      if (estimateTokens(text) > remaining) {
+        if (sources.length > 0) {
+          continue;
+        }
+        text = text.slice(0, remaining * CHARS_PER_TOKEN);
+      }
+
+      usedTokens += estimateTokens(text);
+      sources.push({
+        index: sources.length + 1,
+        documentId: result.documentId,
+        contentType: result.contentType,
+        locale: result.locale || null,
+        similarityScore: result.similarityScore,
+        field: passage.field || null,
+        start: passage.start,
+        end: passage.end,
+        text
+      });
+    }
+
+    return { sources, usedTokens };
+  },
+
+  buildMessages(question, sources, contentTypes) {
+    const context = sources
+      .map(source => (contentTypes.length === 1
+        ? `[${source.index}] ${source.text}`
+        : `[${source.index}] (${source.contentType}) ${source.text}`))
+      .join('\n\n');
+
+    return [
+      { role: 'system', content: this.getSystemPrompt(contentTypes, sources) },
+      { role: 'user', content: `Sources:\n\n${context}\n\nQuestion: ${question}` }
+    ];
+  },
+
+  // Source numbers the answer cites, in order of first use; numbers that match no source are ignored
+  getCitations(answer, sources) {
+    const cited = [];
+
+    for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+      const index = Number(match[1]);
+      if (index >= 1 && index <= sources.length && !cited.includes(index)) {
+        cited.push(index);
+      }
+    }
+
+    return cited.map(index => {
+      const { documentId, contentType, locale } = sources[index - 1];
+      return { index, documentId, contentType, locale };
+    });
+  },
+
+  noAnswer(question, sources, { reason, contentTypes, topSimilarity }) {
+    return {
+      question,
+      answer: null,
+      noAnswer: true,
+      message: this.getConfig().noAnswerMessage,
+      reason,
+      citations: [],
+      sources,
+      metadata: { contentTypes, topSimilarity }
+    };
+  },
+
+  // Answers a question from the best matching passages of `contentTypes`. `onSources` receives the
+  // passages before the chat provider is called, and `onToken` makes the answer stream piece by piece.
+  async ask(question, contentTypes, options = {}) {
+    if (!this.provider) {
+      throw new Error('Answers are not configured');
+    }
+
+    const config = this.getConfig();
+    const {
+      locale = null,
+      status = null,
+      filters = {},
+      passages = config.passages,
+      signal,
+      onSources = null,
+      onToken = null
+    } = options;
+
+    const search = await strapi.plugin('semantic-search').service('searchService').multiContentTypeSearch(question, contentTypes, {
+      limit: passages,
+      threshold: config.threshold,
+      aggregateResults: true,
+      locale,
+      status,
+      filters,
+      includeEmbedding: false,
+      track: false
+    });
+
+    const { sources, usedTokens } = this.buildSources(search.results, config.maxContextTokens);
+    const topSimilarity = sources.length > 0 ? Math.max(...sources.map(source => source.similarityScore)) : null;
+
+    if (onSources) {
+      onSources(sources);
+    }
+
+    // Nothing close enough to the question: answering would only be a guess
+    if (topSimilarity === null || topSimilarity < config.minSimilarity) {
+      return this.noAnswer(question, sources, {
+        reason: sources.length === 0 ? 'no_sources' : 'low_similarity',
+        contentTypes,
+        topSimilarity
+      });
+    }
+
+    const answer = (await this.provider.complete(this.buildMessages(question, sources, contentTypes), {
+      maxTokens: config.maxAnswerTokens,
+      signal,
+      onToken
+    })).trim();
+
+    return {
+      question,
+      answer,
+      noAnswer: false,
+      citations: this.getCitations(answer, sources),
+      sources,
+      metadata: {
+        provider: this.provider.name,
+        model: this.provider.model,
+        contentTypes,
+        topSimilarity,
+        contextTokens: usedTokens
+      }
+    };
+  }
+
+});
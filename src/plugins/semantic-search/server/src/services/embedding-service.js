@@ -1,26 +1,46 @@
 'use strict';
 
-const OpenAI = require('openai');
+const { createProvider } = require('../providers');
 
 module.exports = ({ strapi }) => ({
   
-  openai: null,
+  provider: null,
 
   init() {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      strapi.log.warn('OpenAI API key not found. Embedding service will not function.');
+    const config = strapi.config.get('plugin.semantic-search') || {};
+
+    try {
+      this.provider = createProvider(config.provider, { strapi });
+    } catch (error) {
+      strapi.log.error(`Failed to initialize embedding provider: ${error.message}`);
+      this.provider = null;
+    }
+
+    if (!this.provider) {
       return;
     }
     
-    this.openai = new OpenAI({
-      apiKey: apiKey,
-    });
-    
-    strapi.log.info('OpenAI embedding service initialized');
+    strapi.log.info(`Embedding service initialized with provider "${this.provider.name}" (model: ${this.provider.model})`);
+  },
+
+  getModelInfo() {
+    if (!this.provider) {
+      return null;
+    }
+
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      dimensions: this.provider.dimensions || null
+    };
+  },
+
+  // This service bound to another provider, e.g. the target model of a migration
+  withProvider(provider) {
+    return Object.assign(Object.create(this), { provider });
   },
 
-  preprocessText(text) {
+  preprocessText(text, maxLength = null) {
     if (!text) return '';
     
     // Remove HTML tags
@@ -29,18 +49,84 @@ module.exports = ({ strapi }) => ({
     // Remove extra whitespace
     const normalizedText = cleanText.replace(/\s+/g, ' ').trim();
     
-    // Truncate if too long (OpenAI has token limits)
-    const maxLength = 8000; // Conservative limit for text-embedding-ada-002
-    if (normalizedText.length > maxLength) {
+    // Truncate only when asked to (documents are chunked instead)
+    if (maxLength && normalizedText.length > maxLength) {
       return normalizedText.substring(0, maxLength) + '...';
     }
     
     return normalizedText;
   },
 
+  chunkText(text, { size = 2000, overlap = 200 } = {}) {
+    if (!text) return [];
+
+    if (text.length <= size) {
+      return [{ index: 0, start: 0, end: text.length, text }];
+    }
+
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(start + size, text.length);
+
+      // Prefer to break at a sentence end, then at whitespace, in the second half of the window
+      if (end < text.length) {
+        const window = text.slice(start, end);
+        const minBreak = Math.floor(size / 2);
+        const sentenceBreak = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+        const spaceBreak = window.lastIndexOf(' ');
+
+        if (sentenceBreak >= minBreak) {
+          end = start + sentenceBreak + 1;
+        } else if (spaceBreak >= minBreak) {
+          end = start + spaceBreak;
+        }
+      }
+
+      chunks.push({ index: chunks.length, start, end, text: text.slice(start, end).trim() });
+
+      if (end >= text.length) {
+        break;
+      }
+
+      // Step back by the overlap, then forward to the next word so chunks never start mid-word
+      let nextStart = Math.max(end - overlap, start + 1);
+      if (nextStart > 0 && text[nextStart - 1] !== ' ') {
+        const nextSpace = text.indexOf(' ', nextStart);
+        if (nextSpace !== -1 && nextSpace < end) {
+          nextStart = nextSpace + 1;
+        }
+      }
+      start = nextStart;
+    }
+
+    return chunks;
+  },
+
+  translateProviderError(error) {
+    const label = this.provider.name === 'openai' ? 'OpenAI' : `Embedding provider "${this.provider.name}"`;
+    const code = error.code || (error.status === 429 ? 'rate_limit_exceeded' : null);
+
+    const messages = {
+      insufficient_quota: `${label} API quota exceeded`,
+      invalid_api_key: `Invalid ${label} API key`,
+      rate_limit_exceeded: `${label} API rate limit exceeded`
+    };
+
+    if (!messages[code]) {
+      return error;
+    }
+
+    // Keep the code so callers such as the embedding queue can decide whether to retry
+    const translated = new Error(messages[code]);
+    translated.code = code;
+    return translated;
+  },
+
   async generateEmbedding(text) {
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized. Check your API key.');
+    if (!this.provider) {
+      throw new Error('Embedding provider not initialized. Check your provider configuration.');
     }
     
     if (!text || text.trim().length === 0) {
@@ -48,23 +134,21 @@ module.exports = ({ strapi }) => ({
     }
     
     try {
-      const processedText = this.preprocessText(text);
+      // Queries are embedded whole, so keep them within the model's input limit
+      const processedText = this.preprocessText(text, 8000);
       
       if (processedText.length < 10) {
         throw new Error('Text too short for meaningful embedding');
       }
       
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-ada-002',
-        input: processedText,
-      });
-      
-      const embedding = response.data[0].embedding;
+      const [embedding] = await this.provider.embed([processedText]);
       
       strapi.log.debug(`Generated embedding for text of length ${processedText.length}`);
       
       return {
         embedding,
+        provider: this.provider.name,
+        model: this.provider.model,
         processedText,
         originalLength: text.length,
         processedLength: processedText.length
@@ -73,17 +157,124 @@ module.exports = ({ strapi }) => ({
     } catch (error) {
       strapi.log.error('Failed to generate embedding:', error.message);
       
-      // Handle specific OpenAI errors
-      if (error.code === 'insufficient_quota') {
-        throw new Error('OpenAI API quota exceeded');
-      } else if (error.code === 'invalid_api_key') {
-        throw new Error('Invalid OpenAI API key');
-      } else if (error.code === 'rate_limit_exceeded') {
-        throw new Error('OpenAI API rate limit exceeded');
+      // Handle specific provider errors
+      throw this.translateProviderError(error);
+    }
+  },
+
+  // Search queries repeat a lot, so their embeddings go through the query cache
+  async generateQueryEmbedding(text) {
+    const queryCacheService = strapi.plugin('semantic-search').service('queryCacheService');
+    return queryCacheService.wrap(text, this.getModelInfo(), () => this.generateEmbedding(text));
+  },
+
+  async generateDocumentEmbeddings(text, chunking = {}) {
+    if (!this.provider) {
+      throw new Error('Embedding provider not initialized. Check your provider configuration.');
+    }
+
+    if (!text || text.trim().length === 0) {
+      throw new Error('Text is required for embedding generation');
+    }
+
+    try {
+      const processedText = this.preprocessText(text);
+
+      if (processedText.length < 10) {
+        throw new Error('Text too short for meaningful embedding');
       }
-      
-      throw error;
+
+      const chunks = this.chunkText(processedText, chunking);
+      const embeddedChunks = await this.embedChunks(chunks);
+
+      strapi.log.debug(`Generated ${embeddedChunks.length} chunk embedding(s) for text of length ${processedText.length}`);
+
+      return {
+        embedding: this.averageEmbeddings(embeddedChunks.map(chunk => chunk.embedding)),
+        chunks: embeddedChunks,
+        provider: this.provider.name,
+        model: this.provider.model,
+        originalLength: text.length,
+        processedLength: processedText.length
+      };
+
+    } catch (error) {
+      strapi.log.error('Failed to generate document embeddings:', error.message);
+      throw this.translateProviderError(error);
+    }
+  },
+
+  // Multi-vector documents: each field is chunked on its own, so every chunk belongs to one field.
+  // Chunk indexes run across all fields; `start` and `end` are offsets in the field's text.
+  async generateFieldEmbeddings(fieldTexts, chunking = {}) {
+    if (!this.provider) {
+      throw new Error('Embedding provider not initialized. Check your provider configuration.');
+    }
+
+    const processed = (fieldTexts || [])
+      .map(({ field, text }) => ({ field, text: this.preprocessText(text) }))
+      .filter(({ text }) => text);
+    const originalLength = (fieldTexts || []).reduce((sum, { text }) => sum + (text ? text.length : 0), 0);
+    const processedLength = processed.reduce((sum, { text }) => sum + text.length, 0);
+
+    if (processedLength < 10) {
+      throw new Error('Text too short for meaningful embedding');
     }
+
+    try {
+      const chunks = [];
+      processed.forEach(({ field, text }) => {
+        this.chunkText(text, chunking).forEach(chunk => {
+          chunks.push({ ...chunk, index: chunks.length, field });
+        });
+      });
+
+      const embeddedChunks = await this.embedChunks(chunks);
+
+      strapi.log.debug(`Generated ${embeddedChunks.length} chunk embedding(s) for ${processed.length} field(s)`);
+
+      return {
+        embedding: this.averageEmbeddings(embeddedChunks.map(chunk => chunk.embedding)),
+        chunks: embeddedChunks,
+        provider: this.provider.name,
+        model: this.provider.model,
+        originalLength,
+        processedLength
+      };
+
+    } catch (error) {
+      strapi.log.error('Failed to generate field embeddings:', error.message);
+      throw this.translateProviderError(error);
+    }
+  },
+
+  async embedChunks(chunks) {
+    const batchSize = 16;
+    const vectors = [];
+
+    for (let i = 0; i < chunks.length; i += batchSize) {
+      const batch = chunks.slice(i, i + batchSize).map(chunk => chunk.text);
+      vectors.push(...await this.provider.embed(batch));
+    }
+
+    return chunks.map((chunk, i) => ({ ...chunk, embedding: vectors[i] }));
+  },
+
+  averageEmbeddings(vectors) {
+    if (vectors.length === 1) {
+      return vectors[0];
+    }
+
+    // Mean of the chunk vectors, re-normalized so cosine scores stay comparable
+    const mean = new Array(vectors[0].length).fill(0);
+    vectors.forEach(vector => {
+      for (let i = 0; i < mean.length; i++) {
+        mean[i] += vector[i] / vectors.length;
+      }
+    });
+
+    const magnitude = Math.sqrt(mean.reduce((sum, value) => sum + value * value, 0));
+    return magnitude === 0 ? mean : mean.map(value => value / magnitude);
   },
 
   async generateBatchEmbeddings(texts) {
@@ -3,9 +3,27 @@
 const embeddingService = require('./embedding-service');
 const vectorService = require('./vector-service');
 const searchService = require('./search-service');
+const indexingService = require('./indexing-service');
+const queueService = require('./queue-service');
+const lexicalService = require('./lexical-service');
+const rerankService = require('./rerank-service');
+const queryCacheService = require('./query-cache-service');
+const rateLimitService = require('./rate-limit-service');
+const analyticsService = require('./analytics-service');
+const migrationService = require('./migration-service');
+const answerService = require('./answer-service');
 
 module.exports = {
   embeddingService,
   vectorService,
   searchService,
+  indexingService,
+  queueService,
+  lexicalService,
+  rerankService,
+  queryCacheService,
+  rateLimitService,
+  analyticsService,
+  migrationService,
+  answerService,
 };
\ No newline at end of file
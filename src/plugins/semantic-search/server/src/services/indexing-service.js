@@ -0,0 +1,584 @@
+'use strict';
+
+const crypto = require('crypto');
+const { extractFieldTexts, getRootField } = require('../utils/text-extractor');
+const { getModelVersion, matchesModel } = require('../utils/model-version');
+
+const DEFAULT_TEXT_FIELDS = ['title', 'name', 'content', 'body', 'summary', 'description', 'excerpt'];
+const DEFAULT_CHUNKING = { size: 2000, overlap: 200, aggregation: 'max' };
+const PROGRESS_KEY = 'reindex-progress';
+
+module.exports = ({ strapi }) => ({
+
+  running: null,
+  stopping: false,
+
+  getEmbeddingService() {
+    return strapi.plugin('semantic-search').service('embeddingService');
+  },
+
+  getMigrationService() {
+    return strapi.plugin('semantic-search').service('migrationService');
+  },
+
+  getPluginConfig() {
+    return strapi.plugin('semantic-search').config || {};
+  },
+
+  getContentTypeConfig(contentType) {
+    return (this.getPluginConfig().contentTypes || {})[contentType] || null;
+  },
+
+  getChunking(contentType) {
+    const contentTypeConfig = this.getContentTypeConfig(contentType) || {};
+    return contentTypeConfig.chunking || this.getPluginConfig().chunking || DEFAULT_CHUNKING;
+  },
+
+  getTextFields(contentType) {
+    const contentTypeConfig = this.getContentTypeConfig(contentType);
+    return (contentTypeConfig && contentTypeConfig.fields) || DEFAULT_TEXT_FIELDS;
+  },
+
+  // Weights of a content type whose fields are embedded separately, or null
+  getFieldWeights(contentType) {
+    const contentTypeConfig = this.getContentTypeConfig(contentType);
+    return (contentTypeConfig && contentTypeConfig.fieldWeights) || null;
+  },
+
+  getStore() {
+    return strapi.store({ type: 'plugin', name: 'semantic-search' });
+  },
+
+  // Whether a write touches any field the embedding is built from
+  touchesIndexedFields(contentType, data) {
+    if (!data) {
+      return false;
+    }
+
+    return this.getTextFields(contentType).some(field => data[getRootField(field)] !== undefined);
+  },
+
+  isComponentReference(item) {
+    return !!item && typeof item === 'object' && item.id !== undefined &&
+      Object.keys(item).every(key => ['id', '__pivot', '__component'].includes(key));
+  },
+
+  buildComponentPopulate(componentUid, depth = 0) {
+    const schema = strapi.getModel(componentUid);
+    if (!schema || depth > 4) {
+      return true;
+    }
+
+    const populate = {};
+    Object.keys(schema.attributes).forEach(name => {
+      const attribute = schema.attributes[name];
+      if (attribute.type === 'component') {
+        populate[name] = { populate: this.buildComponentPopulate(attribute.component, depth + 1) };
+      } else if (attribute.type === 'dynamiczone') {
+        populate[name] = true;
+      }
+    });
+
+    return Object.keys(populate).length > 0 ? populate : true;
+  },
+
+  // Populate clause that loads every component and dynamic zone used by the configured fields
+  buildFieldsPopulate(contentType) {
+    const schema = strapi.getModel(contentType);
+    if (!schema) {
+      return {};
+    }
+
+    const populate = {};
+    new Set(this.getTextFields(contentType).map(getRootField)).forEach(root => {
+      const attribute = schema.attributes[root];
+      if (!attribute) return;
+
+      if (attribute.type === 'component') {
+        populate[root] = { populate: this.buildComponentPopulate(attribute.component) };
+      } else if (attribute.type === 'dynamiczone') {
+        populate[root] = true;
+      }
+    });
+
+    return populate;
+  },
+
+  async loadComponentData(contentType, data) {
+    const schema = strapi.getModel(contentType);
+    if (!schema) {
+      return data;
+    }
+
+    // At the database layer components arrive as `{ id, __pivot }` references, so load their content
+    const loaded = { ...data };
+    const roots = [...new Set(this.getTextFields(contentType).map(getRootField))];
+
+    for (const root of roots) {
+      const attribute = schema.attributes[root];
+      if (!attribute || !data[root] || !['component', 'dynamiczone'].includes(attribute.type)) {
+        continue;
+      }
+
+      const items = Array.isArray(data[root]) ? data[root] : [data[root]];
+      const resolved = await Promise.all(items.map(async item => {
+        if (!this.isComponentReference(item)) {
+          return item;
+        }
+
+        const componentUid = item.__component || (item.__pivot && item.__pivot.component_type) || attribute.component;
+        const component = await strapi.db.query(componentUid).findOne({
+          where: { id: item.id },
+          populate: this.buildComponentPopulate(componentUid)
+        });
+
+        return component ? { ...component, __component: componentUid } : null;
+      }));
+
+      loaded[root] = Array.isArray(data[root]) ? resolved.filter(Boolean) : resolved[0];
+    }
+
+    return loaded;
+  },
+
+  async extractFieldTexts(contentType, data) {
+    const loaded = await this.loadComponentData(contentType, data);
+
+    return extractFieldTexts(loaded, this.getTextFields(contentType), {
+      uid: contentType,
+      getModel: uid => strapi.getModel(uid)
+    });
+  },
+
+  // The text a document is embedded from, its fields' texts and the hash compared on later saves.
+  // Field names are part of the hash when fields are embedded separately, so text moving between
+  // two fields still counts as a change.
+  async prepareDocumentText(contentType, data) {
+    const fieldTexts = await this.extractFieldTexts(contentType, data);
+    const text = fieldTexts.map(item => item.text).join('\n').trim();
+    const hashSource = this.getFieldWeights(contentType)
+      ? fieldTexts.map(item => `${item.field}\n${item.text}`).join('\n')
+      : text;
+
+    return { text, fieldTexts, contentHash: this.hashText(hashSource) };
+  },
+
+  hashText(text) {
+    const processedText = this.getEmbeddingService().preprocessText(text);
+    return crypto.createHash('sha256').update(processedText).digest('hex');
+  },
+
+  buildEmbeddingMetadata(embeddingResult, chunking, contentHash, locale = null, fieldVectors = false) {
+    return {
+      provider: embeddingResult.provider,
+      model: embeddingResult.model,
+      version: getModelVersion({
+        provider: embeddingResult.provider,
+        model: embeddingResult.model,
+        dimensions: embeddingResult.embedding.length
+      }),
+      locale,
+      generatedAt: new Date().toISOString(),
+      dimensions: embeddingResult.embedding.length,
+      contentHash,
+      originalLength: embeddingResult.originalLength,
+      processedLength: embeddingResult.processedLength,
+      chunkSize: chunking.size,
+      chunkOverlap: chunking.overlap,
+      fieldVectors,
+      chunks: embeddingResult.chunks
+    };
+  },
+
+  // Returns `{ embedding, embeddingMetadata }` for a document, or null when it has too little text
+  // or when `previous` already holds a current embedding of the same text. `embeddingService` defaults
+  // to the active model.
+  async embedDocument(contentType, data, { previous = null, force = false, embeddingService = this.getEmbeddingService() } = {}) {
+    const { text: textContent, fieldTexts, contentHash } = await this.prepareDocumentText(contentType, data);
+
+    if (!textContent || textContent.length < 10) {
+      strapi.log.debug(`No embedding needed for ${contentType} entry - insufficient text content`);
+      return null;
+    }
+
+    if (!force && previous && this.isUpToDate(contentType, previous, embeddingService.getModelInfo()) &&
+      previous.embeddingMetadata.contentHash === contentHash) {
+      strapi.log.debug(`No embedding needed for ${contentType} entry - indexed text unchanged`);
+      return null;
+    }
+
+    // Generate one embedding per chunk, plus a document-level embedding
+    const chunking = this.getChunking(contentType);
+    const fieldVectors = !!this.getFieldWeights(contentType);
+    const embeddingResult = fieldVectors
+      ? await embeddingService.generateFieldEmbeddings(fieldTexts, chunking)
+      : await embeddingService.generateDocumentEmbeddings(textContent, chunking);
+
+    if (!embeddingResult || !embeddingResult.embedding) {
+      return null;
+    }
+
+    return {
+      embedding: embeddingResult.embedding,
+      embeddingMetadata: this.buildEmbeddingMetadata(embeddingResult, chunking, contentHash, data.locale || null, fieldVectors)
+    };
+  },
+
+  // An entry is current when it was embedded by the active model (or `modelInfo`) with the active chunk
+  // settings, and its fields embedded together or separately as configured
+  isUpToDate(contentType, entry, modelInfo = this.getEmbeddingService().getModelInfo()) {
+    const metadata = entry.embeddingMetadata;
+
+    if (!entry.embedding || !metadata || !modelInfo || !Array.isArray(metadata.chunks)) {
+      return false;
+    }
+
+    const chunking = this.getChunking(contentType);
+    return matchesModel(metadata, modelInfo) &&
+      metadata.chunkSize === chunking.size &&
+      metadata.chunkOverlap === chunking.overlap &&
+      !!metadata.fieldVectors === !!this.getFieldWeights(contentType);
+  },
+
+  // Embedding state of each stored row of a document (its locales, and draft and published versions)
+  async getDocumentStatus(contentType, documentId, { locale = null } = {}) {
+    const schema = strapi.getModel(contentType);
+    const where = { documentId };
+
+    if (locale && schema && schema.attributes.locale) {
+      where.locale = locale;
+    }
+
+    const entries = await strapi.db.query(contentType).findMany({ where, orderBy: { id: 'asc' } });
+    const jobs = await strapi.plugin('semantic-search').service('queueService').getDocumentJobs(contentType, documentId);
+
+    return entries.map(entry => {
+      const metadata = entry.embeddingMetadata || {};
+      const job = jobs.find(item => item.entryId === entry.id);
+
+      return {
+        id: entry.id,
+        locale: entry.locale || null,
+        status: entry.publishedAt ? 'published' : 'draft',
+        embedded: Array.isArray(entry.embedding) && entry.embedding.length > 0,
+        upToDate: this.isUpToDate(contentType, entry),
+        provider: metadata.provider || null,
+        model: metadata.model || null,
+        dimensions: metadata.dimensions || null,
+        version: metadata.provider ? getModelVersion(metadata) : null,
+        chunks: Array.isArray(metadata.chunks) ? metadata.chunks.length : null,
+        generatedAt: metadata.generatedAt || null,
+        job: job ? { status: job.status, attempts: job.attempts, lastError: job.lastError } : null
+      };
+    });
+  },
+
+  // Re-embeds every stored row of one document, even when its text is unchanged. Returns null when
+  // the document does not exist.
+  async reindexDocument(contentType, documentId, { locale = null } = {}) {
+    if (!this.getEmbeddingService().getModelInfo()) {
+      throw new Error('Embedding provider not initialized. Check your provider configuration.');
+    }
+
+    const schema = strapi.getModel(contentType);
+    const where = { documentId };
+
+    if (locale && schema && schema.attributes.locale) {
+      where.locale = locale;
+    }
+
+    const entries = await strapi.db.query(contentType).findMany({
+      where,
+      orderBy: { id: 'asc' },
+      populate: this.buildFieldsPopulate(contentType)
+    });
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const totals = { processed: 0, embedded: 0, skipped: 0 };
+
+    for (const entry of entries) {
+      totals.processed++;
+
+      const result = await this.embedDocument(contentType, entry, { force: true });
+      if (!result) {
+        totals.skipped++;
+        continue;
+      }
+
+      await strapi.db.query(contentType).update({
+        where: { id: entry.id },
+        data: result
+      });
+      totals.embedded++;
+    }
+
+    strapi.log.info(`Semantic Search: Reindexed ${contentType} document ${documentId} - embedded: ${totals.embedded}, skipped: ${totals.skipped}`);
+
+    return totals;
+  },
+
+  // Ends the running reindex once its current page is saved. The run is left `interrupted`, so it can be resumed.
+  stopReindex() {
+    if (this.running) {
+      this.stopping = true;
+    }
+  },
+
+  async getReindexStatus() {
+    const progress = await this.getStore().get({ key: PROGRESS_KEY });
+
+    return {
+      running: !!this.running,
+      progress: progress || null
+    };
+  },
+
+  async reindex(options = {}) {
+    if (this.running) {
+      throw new Error('A reindex is already running');
+    }
+
+    // Claimed before the first await, so a second call made meanwhile is refused
+    this.running = true;
+    this.stopping = false;
+
+    try {
+      return await this.runReindex(options);
+    } finally {
+      this.running = null;
+      this.stopping = false;
+    }
+  },
+
+  async runReindex(options) {
+    const {
+      missingOnly = false,
+      force = false,
+      locale = null,
+      dryRun = false,
+      resume = false,
+      migration = false,
+      pageSize = 50,
+      onProgress = null
+    } = options;
+
+    if (missingOnly && force) {
+      throw new Error('missingOnly and force cannot be combined');
+    }
+
+    if (migration && !this.getMigrationService().isRunning()) {
+      throw new Error('No embedding model migration is running. Configure migration.provider first.');
+    }
+
+    if (!dryRun && !this.getEmbeddingService().getModelInfo()) {
+      throw new Error('Embedding provider not initialized. Check your provider configuration.');
+    }
+
+    const configured = Object.keys(this.getPluginConfig().contentTypes || {});
+    const contentTypes = options.contentTypes && options.contentTypes.length > 0 ? options.contentTypes : configured;
+
+    const unknown = contentTypes.filter(contentType => !configured.includes(contentType));
+    if (unknown.length > 0) {
+      throw new Error(`Content types not configured for semantic search: ${unknown.join(', ')}`);
+    }
+
+    const runOptions = { contentTypes, missingOnly, force, locale, dryRun, migration };
+    const store = this.getStore();
+    const previous = resume ? await store.get({ key: PROGRESS_KEY }) : null;
+
+    let progress;
+    if (previous && previous.status !== 'completed' && JSON.stringify(previous.options) === JSON.stringify(runOptions)) {
+      progress = { ...previous, status: 'running', resumedAt: new Date().toISOString() };
+      strapi.log.info('Semantic Search: Resuming previous reindex run');
+    } else {
+      if (resume) {
+        strapi.log.info('Semantic Search: No resumable reindex run found, starting a new one');
+      }
+      progress = {
+        status: 'running',
+        options: runOptions,
+        startedAt: new Date().toISOString(),
+        contentTypes: {}
+      };
+    }
+
+    const saveProgress = async () => {
+      if (!dryRun) {
+        await store.set({ key: PROGRESS_KEY, value: progress });
+      }
+      if (onProgress) {
+        onProgress(progress);
+      }
+    };
+
+    this.running = progress;
+
+    try {
+      for (const contentType of contentTypes) {
+        const state = progress.contentTypes[contentType] || {
+          lastId: 0,
+          processed: 0,
+          embedded: 0,
+          skipped: 0,
+          failed: 0,
+          errors: [],
+          done: false
+        };
+        progress.contentTypes[contentType] = state;
+
+        if (state.done) {
+          continue;
+        }
+
+        await this.reindexContentType(contentType, state, { missingOnly, force, locale, dryRun, migration, pageSize, saveProgress });
+        if (this.stopping) {
+          break;
+        }
+
+        state.done = true;
+        await saveProgress();
+
+        strapi.log.info(`Semantic Search: Reindexed ${contentType} - embedded: ${state.embedded}, skipped: ${state.skipped}, failed: ${state.failed}`);
+      }
+
+      if (this.stopping) {
+        progress.status = 'interrupted';
+        strapi.log.info('Semantic Search: Reindex interrupted');
+      } else {
+        progress.status = 'completed';
+        progress.completedAt = new Date().toISOString();
+      }
+      await saveProgress();
+
+      return this.summarize(progress);
+
+    } catch (error) {
+      progress.status = 'failed';
+      progress.error = error.message;
+      await saveProgress();
+      strapi.log.error('Semantic Search: Reindex failed:', error.message);
+      throw error;
+    }
+  },
+
+  // With `migration`, entries are embedded with the migration's target model into its own index, and
+  // `missingOnly` means entries that index does not have yet
+  async reindexContentType(contentType, state, { missingOnly, force, locale, dryRun, migration, pageSize, saveProgress }) {
+    const schema = strapi.getModel(contentType);
+    const populate = this.buildFieldsPopulate(contentType);
+    const migrationService = this.getMigrationService();
+    const modelInfo = migration
+      ? migrationService.getTargetService().getModelInfo()
+      : this.getEmbeddingService().getModelInfo();
+
+    // Page by row id rather than offset so rows leaving the filter (e.g. with --missing-only) are never skipped
+    while (true) {
+      const where = { id: { $gt: state.lastId } };
+
+      if (missingOnly && !migration) {
+        where.embedding = { $null: true };
+      }
+
+      if (locale && schema && schema.attributes.locale) {
+        where.locale = locale;
+      }
+
+      const entries = await strapi.db.query(contentType).findMany({
+        where,
+        orderBy: { id: 'asc' },
+        limit: pageSize,
+        populate
+      });
+
+      if (entries.length === 0) {
+        break;
+      }
+
+      for (const entry of entries) {
+        state.processed++;
+        state.lastId = entry.id;
+
+        try {
+          const previous = migration ? await migrationService.getStagedEntry(contentType, entry.id) : entry;
+
+          if (migration && missingOnly && previous) {
+            state.skipped++;
+            continue;
+          }
+
+          if (dryRun) {
+            const { text, contentHash } = await this.prepareDocumentText(contentType, entry);
+            const unchanged = !force && !!previous && this.isUpToDate(contentType, previous, modelInfo) && text.length >= 10 &&
+              previous.embeddingMetadata.contentHash === contentHash;
+
+            if (text.length < 10 || unchanged) {
+              state.skipped++;
+            } else {
+              state.embedded++;
+            }
+            continue;
+          }
+
+          if (migration) {
+            const staged = await migrationService.embedEntry(contentType, entry, { previous, force });
+            if (staged) {
+              state.embedded++;
+            } else {
+              state.skipped++;
+            }
+            continue;
+          }
+
+          const result = await this.embedDocument(contentType, entry, { previous: entry, force });
+          if (!result) {
+            state.skipped++;
+            continue;
+          }
+
+          await strapi.db.query(contentType).update({
+            where: { id: entry.id },
+            data: result
+          });
+          state.embedded++;
+
+        } catch (error) {
+          state.failed++;
+          if (state.errors.length < 100) {
+            state.errors.push({ id: entry.id, documentId: entry.documentId, error: error.message });
+          }
+          strapi.log.warn(`Semantic Search: Failed to reindex ${contentType} entry ${entry.id}:`, error.message);
+        }
+      }
+
+      await saveProgress();
+
+      if (this.stopping) {
+        return;
+      }
+    }
+  },
+
+  summarize(progress) {
+    const totals = { processed: 0, embedded: 0, skipped: 0, failed: 0 };
+
+    Object.values(progress.contentTypes).forEach(state => {
+      Object.keys(totals).forEach(key => {
+        totals[key] += state[key];
+      });
+    });
+
+    return {
+      status: progress.status,
+      dryRun: progress.options.dryRun,
+      migration: !!progress.options.migration,
+      startedAt: progress.startedAt,
+      completedAt: progress.completedAt,
+      totals,
+      contentTypes: progress.contentTypes
+    };
+  }
+
+});
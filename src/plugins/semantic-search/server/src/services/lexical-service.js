@@ -0,0 +1,123 @@
+'use strict';
+
+const { createLexicalIndex } = require('../lexical-indexes');
+const bm25Index = require('../lexical-indexes/bm25');
+
+module.exports = ({ strapi }) => ({
+
+  index: null,
+
+  getVectorService() {
+    return strapi.plugin('semantic-search').service('vectorService');
+  },
+
+  async initIndex({ background = true } = {}) {
+    const config = strapi.config.get('plugin.semantic-search') || {};
+    const vectorService = this.getVectorService();
+
+    try {
+      this.index = await createLexicalIndex(config.lexical, { strapi, vectorService });
+    } catch (error) {
+      strapi.log.warn(`Semantic Search: Lexical index unavailable (${error.message}), falling back to in-process BM25`);
+      this.index = bm25Index({ strapi, config: {}, vectorService });
+    }
+
+    strapi.log.info(`Semantic Search: Lexical index "${this.index.name}" ready`);
+
+    // Fill the index from the stored chunks in the background, e.g. on first start or for BM25 after every restart.
+    // The servers do that, not the reindex CLI.
+    if (!background) {
+      return;
+    }
+
+    this.backfill().catch(error => {
+      strapi.log.error('Semantic Search: Failed to fill the lexical index:', error.message);
+    });
+  },
+
+  getIndex() {
+    if (!this.index) {
+      this.index = bm25Index({ strapi, config: {}, vectorService: this.getVectorService() });
+    }
+    return this.index;
+  },
+
+  async backfill() {
+    const index = this.getIndex();
+    const contentTypes = Object.keys((strapi.plugin('semantic-search').config || {}).contentTypes || {});
+
+    for (const contentType of contentTypes) {
+      if (await index.count(contentType) > 0) {
+        continue;
+      }
+
+      const select = ['id', 'embeddingMetadata', ...this.getVectorService().getScopeAttributes(contentType)];
+      let lastId = 0;
+      let indexed = 0;
+
+      while (true) {
+        const entries = await strapi.db.query(contentType).findMany({
+          where: { id: { $gt: lastId }, embedding: { $notNull: true } },
+          select,
+          orderBy: { id: 'asc' },
+          limit: 200
+        });
+
+        if (entries.length === 0) {
+          break;
+        }
+
+        for (const entry of entries) {
+          await index.upsert(contentType, entry);
+        }
+        indexed += entries.length;
+        lastId = entries[entries.length - 1].id;
+      }
+
+      if (indexed > 0) {
+        strapi.log.info(`Semantic Search: Added ${indexed} ${contentType} entries to the lexical index`);
+      }
+    }
+  },
+
+  async syncEntry(contentType, entry) {
+    if (!entry || entry.id === undefined) {
+      return;
+    }
+
+    try {
+      if (entry.embedding) {
+        await this.getIndex().upsert(contentType, entry);
+      } else {
+        await this.getIndex().remove(contentType, [entry.id]);
+      }
+    } catch (error) {
+      strapi.log.error(`Failed to sync ${contentType} entry ${entry.id} to the lexical index:`, error.message);
+    }
+  },
+
+  async removeEntries(contentType, entryIds) {
+    if (!entryIds || entryIds.length === 0) {
+      return;
+    }
+
+    try {
+      await this.getIndex().remove(contentType, entryIds);
+    } catch (error) {
+      strapi.log.error(`Failed to remove ${contentType} entries ${entryIds.join(', ')} from the lexical index:`, error.message);
+    }
+  },
+
+  // Keyword search over the indexed chunk texts. Returns documents with a `lexicalScore` and the best matching passage.
+  async search(query, contentType, { limit = 10, filters = {}, locale = null, status = null } = {}) {
+    const vectorService = this.getVectorService();
+
+    // Several chunks can belong to the same entry
+    const matches = await this.getIndex().search(query, contentType, { limit: limit * 5, filters, locale, status });
+    const ranked = vectorService.rankChunkMatches(matches, { limit, threshold: 0, chunkAggregation: 'max' });
+    const documents = await vectorService.loadRankedEntries(contentType, ranked, { locale, status });
+
+    return documents.map(({ similarityScore, ...doc }) => ({ ...doc, lexicalScore: similarityScore }));
+  }
+
+});
@@ -0,0 +1,516 @@
+'use strict';
+
+const { createProvider } = require('../providers');
+const { getModelVersion, matchesModel } = require('../utils/model-version');
+
+const STAGED_UID = 'plugin::semantic-search.migration-embedding';
+const STATE_KEY = 'model-migration';
+
+// How long coverage counts are reused to route searches
+const COVERAGE_TTL = 30 * 1000;
+
+// How often instances read the shared migration state, and how long a cut-over waits for all of
+// them to follow a step
+const STATE_POLL_INTERVAL = 5 * 1000;
+const SWITCH_DELAY = 2 * STATE_POLL_INTERVAL;
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Moves every entry to another embedding model without a gap in search. While `migration.provider`
+// is configured, entries are also embedded with that model into a second index (the staged rows),
+// searches go to whichever index covers every entry, and `cutover()` swaps the indexes in one step.
+// The migration state is kept in the plugin store, which every instance (and the CLI) follows.
+module.exports = ({ strapi }) => ({
+
+  target: null,
+  switching: false,
+  coverage: new Map(),
+  watchTimer: null,
+
+  getEmbeddingService() {
+    return strapi.plugin('semantic-search').service('embeddingService');
+  },
+
+  getIndexingService() {
+    return strapi.plugin('semantic-search').service('indexingService');
+  },
+
+  getVectorService() {
+    return strapi.plugin('semantic-search').service('vectorService');
+  },
+
+  getContentTypes() {
+    return Object.keys((strapi.plugin('semantic-search').config || {}).contentTypes || {});
+  },
+
+  getStore() {
+    return strapi.store({ type: 'plugin', name: 'semantic-search' });
+  },
+
+  async getState() {
+    return (await this.getStore().get({ key: STATE_KEY })) || null;
+  },
+
+  async setState(state) {
+    await this.getStore().set({ key: STATE_KEY, value: state });
+  },
+
+  async init() {
+    const config = strapi.config.get('plugin.semantic-search') || {};
+    const embeddingService = this.getEmbeddingService();
+    const state = await this.getState();
+
+    this.target = null;
+    this.switching = false;
+    this.coverage.clear();
+
+    if (!config.migration || !config.migration.provider) {
+      const active = embeddingService.getModelInfo();
+      if (state && state.status === 'completed' && active && getModelVersion(state.target) !== getModelVersion(active)) {
+        strapi.log.warn(`Semantic Search: Entries were migrated to ${getModelVersion(state.target)}, but the configured provider is ${getModelVersion(active)}. Update the provider or reindex with --force.`);
+      }
+      return;
+    }
+
+    let provider;
+    try {
+      provider = createProvider(config.migration.provider, { strapi });
+    } catch (error) {
+      strapi.log.error(`Semantic Search: Failed to initialize the migration provider: ${error.message}`);
+      return;
+    }
+
+    if (!provider) {
+      return;
+    }
+
+    const target = embeddingService.withProvider(provider);
+    const targetInfo = target.getModelInfo();
+    const targetVersion = getModelVersion(targetInfo);
+
+    // After the cut-over the target serves searches until the configuration is updated
+    if (state && state.status === 'completed' && getModelVersion(state.target) === targetVersion) {
+      embeddingService.provider = provider;
+      strapi.log.warn(`Semantic Search: The migration to ${targetVersion} is complete. Move migration.provider to provider in the plugin configuration.`);
+      return;
+    }
+
+    const active = embeddingService.getModelInfo();
+    if (!active) {
+      strapi.log.warn('Semantic Search: A migration needs a working provider to migrate from, ignoring migration.provider');
+      return;
+    }
+
+    if (getModelVersion(active) === targetVersion) {
+      strapi.log.warn(`Semantic Search: migration.provider is the active model ${targetVersion}, nothing to migrate`);
+      return;
+    }
+
+    this.target = target;
+
+    if (state && state.status === 'switching' && getModelVersion(state.target) === targetVersion) {
+      this.startSwitching();
+      strapi.log.warn(`Semantic Search: A cut-over to ${targetVersion} is in progress. If it was interrupted, run it again.`);
+    } else if (!state || state.status !== 'running' || getModelVersion(state.target) !== targetVersion) {
+      // Vectors staged for an earlier target are of no use to this one
+      await strapi.db.query(STAGED_UID).deleteMany({ where: { version: { $ne: targetVersion } } });
+      await this.setState({ status: 'running', source: active, target: targetInfo, startedAt: new Date().toISOString() });
+    }
+
+    this.watchState();
+    strapi.log.info(`Semantic Search: Migrating embeddings from ${getModelVersion(active)} to ${targetVersion}`);
+  },
+
+  // Follows cut-overs started by other instances or the CLI
+  watchState() {
+    this.stop();
+
+    this.watchTimer = setInterval(() => {
+      this.refreshState().catch(error => {
+        strapi.log.error('Semantic Search: Failed to read the model migration state:', error.message);
+      });
+    }, STATE_POLL_INTERVAL);
+
+    if (this.watchTimer.unref) {
+      this.watchTimer.unref();
+    }
+  },
+
+  stop() {
+    if (this.watchTimer) {
+      clearInterval(this.watchTimer);
+      this.watchTimer = null;
+    }
+  },
+
+  async refreshState() {
+    const state = await this.getState();
+
+    if (!this.isRunning() || !state || getModelVersion(state.target) !== this.getTargetVersion()) {
+      return;
+    }
+
+    if (state.status === 'switching' && !this.switching) {
+      this.startSwitching();
+      strapi.log.info(`Semantic Search: Cut-over to ${this.getTargetVersion()} started, searching the migration index`);
+    } else if (state.status === 'completed') {
+      const targetVersion = this.getTargetVersion();
+
+      // The entries were rewritten by another process, so in-process indexes are built again
+      this.finishSwitching();
+      await this.getVectorService().reloadStore();
+      strapi.log.info(`Semantic Search: Cut over to ${targetVersion}`);
+    }
+  },
+
+  // While the entries are rewritten, every search uses the complete migration index, and writes embed
+  // with the target model so that no entry is left with the old model's vectors
+  startSwitching() {
+    this.switching = true;
+    this.coverage.clear();
+    this.getEmbeddingService().provider = this.target.provider;
+  },
+
+  // The entries hold the target's vectors: the target is the active model from now on
+  finishSwitching() {
+    this.getEmbeddingService().provider = this.target.provider;
+    this.target = null;
+    this.switching = false;
+    this.coverage.clear();
+    this.stop();
+  },
+
+  isRunning() {
+    return !!this.target;
+  },
+
+  // The embedding service bound to the migration's target model
+  getTargetService() {
+    return this.target;
+  },
+
+  getTargetVersion() {
+    return this.target ? getModelVersion(this.target.getModelInfo()) : null;
+  },
+
+  // The target model's embedding of an entry, shaped like the entry itself: `{ embedding, embeddingMetadata }`
+  async getStagedEntry(contentType, entryId) {
+    return strapi.db.query(STAGED_UID).findOne({
+      where: { contentType, entryId, version: this.getTargetVersion() }
+    });
+  },
+
+  // Embeds an entry with the target model into the migration's index. Returns null when nothing was
+  // embedded, e.g. because the staged vectors are already current.
+  async embedEntry(contentType, entry, { previous, force = false } = {}) {
+    const staged = previous !== undefined ? previous : await this.getStagedEntry(contentType, entry.id);
+    const result = await this.getIndexingService().embedDocument(contentType, entry, {
+      previous: staged,
+      force,
+      embeddingService: this.target
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    const query = strapi.db.query(STAGED_UID);
+    if (staged) {
+      await query.update({ where: { id: staged.id }, data: result });
+    } else {
+      await query.create({ data: { contentType, entryId: entry.id, version: this.getTargetVersion(), ...result } });
+    }
+
+    return result;
+  },
+
+  // Keeps the migration's index in step with an entry whose embedding was just written. Errors are
+  // logged, never thrown: entries missed here are caught up by `reindex --migration --missing-only`.
+  async syncEntry(contentType, entry) {
+    if (!this.isRunning() || !entry || entry.id === undefined) {
+      return;
+    }
+
+    try {
+      if (!entry.embedding) {
+        await this.removeEntries(contentType, [entry.id]);
+        return;
+      }
+
+      const loaded = await strapi.db.query(contentType).findOne({
+        where: { id: entry.id },
+        populate: this.getIndexingService().buildFieldsPopulate(contentType)
+      });
+
+      if (loaded) {
+        await this.embedEntry(contentType, loaded);
+      }
+    } catch (error) {
+      strapi.log.error(`Semantic Search: Failed to embed ${contentType} entry ${entry.id} with the migration target:`, error.message);
+    }
+  },
+
+  async removeEntries(contentType, entryIds) {
+    if (!this.isRunning() || !entryIds || entryIds.length === 0) {
+      return;
+    }
+
+    try {
+      await strapi.db.query(STAGED_UID).deleteMany({ where: { contentType, entryId: { $in: entryIds } } });
+    } catch (error) {
+      strapi.log.error(`Semantic Search: Failed to remove ${contentType} entries from the migration index:`, error.message);
+    }
+  },
+
+  // Entries, how many of them are embedded, and how many each index holds. All of these count rows
+  // (draft and published versions, every locale), as the vectors are stored per row.
+  async getCoverage(contentType) {
+    const activeInfo = this.getEmbeddingService().getModelInfo();
+
+    const [entries, embedded, versions, target] = await Promise.all([
+      strapi.db.query(contentType).count(),
+      strapi.db.query(contentType).count({ where: { embedding: { $notNull: true } } }),
+      this.getVectorService().countVersions(contentType),
+      strapi.db.query(STAGED_UID).count({ where: { contentType, version: this.getTargetVersion() } })
+    ]);
+
+    const active = versions
+      .filter(version => matchesModel(version, activeInfo))
+      .reduce((sum, version) => sum + version.count, 0);
+
+    return { entries, embedded, active, target };
+  },
+
+  // Which index searches of a content type use: the active one while it covers every entry, then the
+  // migration's once it does, otherwise whichever covers more
+  async resolveIndex(contentType) {
+    if (!this.isRunning()) {
+      return 'active';
+    }
+    if (this.switching) {
+      return 'migration';
+    }
+
+    const cached = this.coverage.get(contentType);
+    let coverage = cached && cached.expiresAt > Date.now() ? cached.value : null;
+
+    if (!coverage) {
+      coverage = await this.getCoverage(contentType);
+      this.coverage.set(contentType, { value: coverage, expiresAt: Date.now() + COVERAGE_TTL });
+    }
+
+    if (coverage.active >= coverage.embedded) {
+      return 'active';
+    }
+    if (coverage.target >= coverage.embedded) {
+      return 'migration';
+    }
+
+    return coverage.target > coverage.active ? 'migration' : 'active';
+  },
+
+  async getContentTypeStatus(contentType) {
+    const coverage = await this.getCoverage(contentType);
+
+    return {
+      version: this.getTargetVersion(),
+      withEmbeddings: coverage.target,
+      coverage: coverage.entries > 0 ? (coverage.target / coverage.entries * 100).toFixed(2) + '%' : '0%',
+      complete: coverage.target >= coverage.embedded,
+      searchIndex: await this.resolveIndex(contentType)
+    };
+  },
+
+  async getStatus() {
+    const state = await this.getState();
+    const contentTypes = {};
+
+    if (this.isRunning()) {
+      for (const contentType of this.getContentTypes()) {
+        contentTypes[contentType] = { ...(await this.getCoverage(contentType)), searchIndex: await this.resolveIndex(contentType) };
+      }
+    }
+
+    return {
+      running: this.isRunning(),
+      activeVersion: getModelVersion(this.getEmbeddingService().getModelInfo() || {}),
+      targetVersion: this.getTargetVersion(),
+      state,
+      contentTypes
+    };
+  },
+
+  // Exact scan of the migration's vectors: they get an ANN index only once they are swapped in
+  async searchSimilar(queryEmbedding, contentType, options = {}) {
+    const vectorService = this.getVectorService();
+    const {
+      limit = 10,
+      threshold = 0.1,
+      filters = {},
+      locale = null,
+      status = null,
+      chunkAggregation = vectorService.getChunkAggregation(contentType),
+      field = null
+    } = options;
+    const scoring = { fieldWeights: vectorService.getFieldWeights(contentType), field };
+
+    const entries = await strapi.db.query(contentType).findMany({
+      where: await vectorService.buildEntryWhere(contentType, { filters, locale, status }),
+      select: ['id']
+    });
+    const entryIds = entries.map(entry => entry.id);
+    const scored = [];
+
+    for (let i = 0; i < entryIds.length; i += 200) {
+      const rows = await strapi.db.query(STAGED_UID).findMany({
+        where: { contentType, version: this.getTargetVersion(), entryId: { $in: entryIds.slice(i, i + 200) } }
+      });
+
+      rows.forEach(row => {
+        const { similarityScore, matchedPassage } = vectorService.scoreDocument(queryEmbedding, row, chunkAggregation, scoring);
+        if (similarityScore !== null && similarityScore >= threshold) {
+          scored.push({ entryId: row.entryId, similarityScore, matchedPassage });
+        }
+      });
+    }
+
+    const ranked = scored.sort((a, b) => b.similarityScore - a.similarityScore).slice(0, limit);
+    const passages = new Map(ranked.map(item => [item.entryId, item.matchedPassage]));
+
+    // Passages come from the staged chunks, the entries still hold the active model's
+    const documents = await vectorService.loadRankedEntries(
+      contentType,
+      ranked.map(item => ({ entryId: item.entryId, similarityScore: item.similarityScore, best: {} })),
+      { locale, status }
+    );
+
+    return documents.map(doc => ({ ...doc, matchedPassage: passages.get(doc.id) || null }));
+  },
+
+  // Swaps the target model's vectors into the entries and makes the target the active model. Refuses
+  // while an index is incomplete unless `force`d; entries the migration did not reach then lose their
+  // embedding until they are reindexed.
+  //
+  // Every instance follows the shared state: first all of them switch to the migration index, which
+  // stays complete while the entries are rewritten, then all of them switch to the rewritten entries.
+  // Each step waits until the other instances have read it.
+  async cutover({ force = false } = {}) {
+    if (!this.isRunning()) {
+      throw new Error('No embedding model migration is running');
+    }
+
+    if (this.getIndexingService().running) {
+      throw new Error('Wait for the running reindex to finish before cutting over');
+    }
+
+    const contentTypes = this.getContentTypes();
+    const coverage = {};
+    for (const contentType of contentTypes) {
+      coverage[contentType] = await this.getCoverage(contentType);
+    }
+
+    const incomplete = contentTypes.filter(contentType => coverage[contentType].target < coverage[contentType].embedded);
+    if (incomplete.length > 0 && !force) {
+      const error = new Error(`The migration index is incomplete for ${incomplete.join(', ')}. Run a migration reindex first, or force the cut-over.`);
+      error.code = 'migration_incomplete';
+      throw error;
+    }
+
+    const state = await this.getState();
+    const source = state && state.source ? state.source : this.getEmbeddingService().getModelInfo();
+    const targetInfo = this.target.getModelInfo();
+    const targetVersion = this.getTargetVersion();
+
+    if (!this.switching) {
+      await this.setState({ ...state, status: 'switching', switchedAt: new Date().toISOString() });
+      this.startSwitching();
+      await wait(SWITCH_DELAY);
+    }
+
+    await this.getVectorService().resetStore();
+
+    const totals = {};
+    for (const contentType of contentTypes) {
+      const swapped = await this.swapContentType(contentType, targetVersion);
+      const cleared = await this.clearUnmigrated(contentType, targetInfo);
+
+      totals[contentType] = { swapped, cleared };
+    }
+
+    await this.setState({ ...state, status: 'completed', completedAt: new Date().toISOString() });
+    this.finishSwitching();
+
+    // Instances that have not read the new state yet still search the staged vectors
+    await wait(SWITCH_DELAY);
+    await strapi.db.query(STAGED_UID).deleteMany({ where: {} });
+    await strapi.plugin('semantic-search').service('queryCacheService').clear();
+
+    strapi.log.info(`Semantic Search: Cut over from ${getModelVersion(source)} to ${targetVersion}`);
+
+    return { source: getModelVersion(source), target: targetVersion, contentTypes: totals };
+  },
+
+  // Writes the staged vectors into the entries. The writes go through the update hooks, which sync the
+  // vector store and keyword index.
+  async swapContentType(contentType, version) {
+    let swapped = 0;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await strapi.db.query(STAGED_UID).findMany({
+        where: { contentType, version, id: { $gt: lastId } },
+        orderBy: { id: 'asc' },
+        limit: 100
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        const updated = await strapi.db.query(contentType).update({
+          where: { id: row.entryId },
+          data: { embedding: row.embedding, embeddingMetadata: row.embeddingMetadata }
+        });
+        if (updated) {
+          swapped++;
+        }
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+
+    return swapped;
+  },
+
+  // Entries still holding the old model's vectors would be compared with queries of the new one
+  async clearUnmigrated(contentType, targetInfo) {
+    let cleared = 0;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await strapi.db.query(contentType).findMany({
+        where: { id: { $gt: lastId }, embedding: { $notNull: true } },
+        select: ['id', 'embeddingMetadata'],
+        orderBy: { id: 'asc' },
+        limit: 200
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        if (!matchesModel(row.embeddingMetadata, targetInfo)) {
+          await strapi.db.query(contentType).update({ where: { id: row.id }, data: { embedding: null, embeddingMetadata: null } });
+          cleared++;
+        }
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+
+    return cleared;
+  }
+
+});
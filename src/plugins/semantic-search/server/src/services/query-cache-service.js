@@ -0,0 +1,151 @@
+'use strict';
+
+const crypto = require('crypto');
+const { LruCache } = require('../utils/lru-cache');
+const { createQueryCacheStore } = require('../query-caches');
+
+const DEFAULT_QUERY_CACHE = {
+  enabled: true,
+  maxEntries: 1000,
+  ttl: 24 * 60 * 60 * 1000,
+  store: 'memory'
+};
+
+module.exports = ({ strapi }) => ({
+
+  cache: null,
+  store: null,
+  counters: { hits: 0, storeHits: 0, misses: 0 },
+
+  getConfig() {
+    const config = strapi.config.get('plugin.semantic-search') || {};
+    const queryCache = { ...DEFAULT_QUERY_CACHE, ...config.queryCache };
+
+    if (!Number.isInteger(queryCache.maxEntries) || queryCache.maxEntries < 1) {
+      queryCache.maxEntries = DEFAULT_QUERY_CACHE.maxEntries;
+    }
+    if (typeof queryCache.ttl !== 'number' || queryCache.ttl < 0) {
+      queryCache.ttl = DEFAULT_QUERY_CACHE.ttl;
+    }
+
+    return queryCache;
+  },
+
+  isEnabled() {
+    return this.getConfig().enabled !== false;
+  },
+
+  getCache() {
+    if (!this.cache) {
+      const config = this.getConfig();
+      this.cache = new LruCache({ maxEntries: config.maxEntries, ttl: config.ttl });
+    }
+    return this.cache;
+  },
+
+  async init() {
+    const config = this.getConfig();
+
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    try {
+      this.store = await createQueryCacheStore(config, { strapi });
+    } catch (error) {
+      strapi.log.warn(`Semantic Search: Query cache store unavailable (${error.message}), caching in memory only`);
+      this.store = null;
+    }
+  },
+
+  async close() {
+    if (this.store && this.store.close) {
+      await this.store.close();
+    }
+    this.store = null;
+  },
+
+  // Queries that differ only in case or whitespace share an entry; the model and its configured dimensions
+  // are part of the key so a provider or model change never serves vectors from the old space
+  getKey(text, modelInfo) {
+    const normalized = text.normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+    const model = modelInfo.dimensions ? `${modelInfo.model}\u0000${modelInfo.dimensions}` : modelInfo.model;
+
+    return crypto
+      .createHash('sha256')
+      .update(`${modelInfo.provider}\u0000${model}\u0000${normalized}`)
+      .digest('hex');
+  },
+
+  // Returns the cached value for `text`, or computes, stores and returns it
+  async wrap(text, modelInfo, compute) {
+    if (!this.isEnabled() || !modelInfo) {
+      return compute();
+    }
+
+    const cache = this.getCache();
+    const key = this.getKey(text, modelInfo);
+    const cached = cache.get(key);
+
+    if (cached) {
+      this.counters.hits++;
+      return cached;
+    }
+
+    if (this.store) {
+      try {
+        const stored = await this.store.get(key);
+        if (stored) {
+          this.counters.hits++;
+          this.counters.storeHits++;
+          cache.set(key, stored);
+          return stored;
+        }
+      } catch (error) {
+        strapi.log.warn(`Semantic Search: Query cache read failed: ${error.message}`);
+      }
+    }
+
+    this.counters.misses++;
+    const value = await compute();
+    cache.set(key, value);
+
+    if (this.store) {
+      try {
+        await this.store.set(key, value, { model: modelInfo.model, ttl: this.getConfig().ttl });
+      } catch (error) {
+        strapi.log.warn(`Semantic Search: Query cache write failed: ${error.message}`);
+      }
+    }
+
+    return value;
+  },
+
+  async clear() {
+    if (this.cache) {
+      this.cache.clear();
+    }
+    if (this.store) {
+      await this.store.clear();
+    }
+  },
+
+  getStats() {
+    const config = this.getConfig();
+    const { hits, storeHits, misses } = this.counters;
+    const lookups = hits + misses;
+
+    return {
+      enabled: this.isEnabled(),
+      store: this.store ? this.store.name : 'memory',
+      hits,
+      storeHits,
+      misses,
+      hitRate: lookups > 0 ? (hits / lookups * 100).toFixed(2) + '%' : '0%',
+      size: this.cache ? this.cache.size : 0,
+      maxEntries: config.maxEntries,
+      ttl: config.ttl
+    };
+  }
+
+});
@@ -0,0 +1,332 @@
+'use strict';
+
+const os = require('os');
+const crypto = require('crypto');
+
+const JOB_UID = 'plugin::semantic-search.embedding-job';
+
+const DEFAULT_QUEUE = {
+  enabled: true,
+  concurrency: 2,
+  maxAttempts: 5,
+  backoffBase: 2000,
+  backoffMax: 10 * 60 * 1000,
+  pollInterval: 1000,
+  lockTimeout: 10 * 60 * 1000
+};
+
+// Rate limits pause the whole queue; permanent errors skip straight to the dead-letter state
+const RATE_LIMIT_CODES = ['rate_limit_exceeded', 'insufficient_quota'];
+const PERMANENT_CODES = ['invalid_api_key'];
+
+module.exports = ({ strapi }) => ({
+
+  timer: null,
+  active: 0,
+  pausedUntil: 0,
+  stopped: true,
+  lastRecovery: 0,
+
+  // Marks the jobs this process claims, so a claim can be told apart from those of other instances
+  workerId: `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`,
+
+  getConfig() {
+    const config = strapi.config.get('plugin.semantic-search') || {};
+    const queue = { ...DEFAULT_QUEUE, ...config.queue };
+
+    if (!Number.isInteger(queue.concurrency) || queue.concurrency < 1) {
+      queue.concurrency = DEFAULT_QUEUE.concurrency;
+    }
+    if (!Number.isInteger(queue.maxAttempts) || queue.maxAttempts < 1) {
+      queue.maxAttempts = DEFAULT_QUEUE.maxAttempts;
+    }
+    if (!Number.isFinite(queue.lockTimeout) || queue.lockTimeout < queue.pollInterval) {
+      queue.lockTimeout = DEFAULT_QUEUE.lockTimeout;
+    }
+
+    return queue;
+  },
+
+  isEnabled() {
+    return this.getConfig().enabled !== false;
+  },
+
+  getIndexingService() {
+    return strapi.plugin('semantic-search').service('indexingService');
+  },
+
+  async enqueue(contentType, entry) {
+    if (!entry || entry.id === undefined) {
+      return null;
+    }
+
+    const jobs = strapi.db.query(JOB_UID);
+    const runAt = new Date();
+
+    // Coalesce repeated saves of the same entry into one pending job
+    const existing = await jobs.findOne({
+      where: { contentType, entryId: entry.id, status: 'pending' }
+    });
+
+    if (existing) {
+      return jobs.update({ where: { id: existing.id }, data: { runAt } });
+    }
+
+    const job = await jobs.create({
+      data: {
+        contentType,
+        entryId: entry.id,
+        targetDocumentId: entry.documentId || null,
+        targetLocale: entry.locale || null,
+        status: 'pending',
+        attempts: 0,
+        runAt
+      }
+    });
+
+    strapi.log.debug(`Queued embedding job ${job.id} for ${contentType} entry ${entry.id}`);
+    this.poll();
+
+    return job;
+  },
+
+  async start() {
+    if (!this.isEnabled() || !this.stopped) {
+      return;
+    }
+
+    this.stopped = false;
+    await this.requeueStaleJobs();
+
+    this.timer = setInterval(() => this.poll(), this.getConfig().pollInterval);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    strapi.log.info(`Semantic Search: Embedding queue started (concurrency: ${this.getConfig().concurrency})`);
+  },
+
+  // Jobs claimed longer than `lockTimeout` ago belong to a process that stopped mid-run. Claims that are
+  // still fresh may be running in another instance right now, so they are left alone.
+  async requeueStaleJobs() {
+    this.lastRecovery = Date.now();
+    const staleBefore = new Date(this.lastRecovery - this.getConfig().lockTimeout);
+
+    const { count } = await strapi.db.query(JOB_UID).updateMany({
+      where: {
+        status: 'processing',
+        $or: [{ lockedAt: { $lt: staleBefore } }, { lockedAt: { $null: true } }]
+      },
+      data: { status: 'pending', runAt: new Date(), lockedAt: null, lockedBy: null }
+    });
+
+    if (count > 0) {
+      strapi.log.info(`Semantic Search: Requeued ${count} interrupted embedding job(s)`);
+    }
+  },
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  },
+
+  async poll() {
+    if (this.stopped || Date.now() < this.pausedUntil) {
+      return;
+    }
+
+    const { concurrency, lockTimeout } = this.getConfig();
+
+    // Instances that crash leave their jobs claimed; whichever instance is still running takes them back
+    if (Date.now() - this.lastRecovery >= lockTimeout) {
+      this.requeueStaleJobs().catch(error => {
+        strapi.log.error('Semantic Search: Failed to requeue interrupted embedding jobs:', error.message);
+      });
+    }
+
+    const slots = concurrency - this.active;
+    if (slots <= 0) {
+      return;
+    }
+
+    // Reserve the slots before the query so overlapping polls cannot over-claim
+    this.active += slots;
+    let claimed = [];
+
+    try {
+      const candidates = await strapi.db.query(JOB_UID).findMany({
+        where: { status: 'pending', runAt: { $lte: new Date() } },
+        orderBy: { runAt: 'asc' },
+        limit: slots
+      });
+
+      for (const candidate of candidates) {
+        const data = {
+          status: 'processing',
+          attempts: (candidate.attempts || 0) + 1,
+          lockedAt: new Date(),
+          lockedBy: this.workerId
+        };
+
+        // A single conditional UPDATE, so of two instances polling the same job only one changes the row
+        const { count } = await strapi.db.query(JOB_UID).updateMany({
+          where: { id: candidate.id, status: 'pending' },
+          data
+        });
+        if (count === 1) {
+          claimed.push({ ...candidate, ...data });
+        }
+      }
+    } catch (error) {
+      strapi.log.error('Semantic Search: Failed to poll embedding queue:', error.message);
+    }
+
+    this.active -= slots - claimed.length;
+
+    claimed.forEach(job => {
+      this.runJob(job)
+        .catch(error => {
+          strapi.log.error(`Semantic Search: Failed to record the outcome of embedding job ${job.id}:`, error.message);
+        })
+        .finally(() => {
+          this.active--;
+        });
+    });
+  },
+
+  async runJob(job) {
+    const indexingService = this.getIndexingService();
+
+    try {
+      const entry = await strapi.db.query(job.contentType).findOne({
+        where: { id: job.entryId },
+        populate: indexingService.buildFieldsPopulate(job.contentType)
+      });
+
+      if (!entry) {
+        // The entry was deleted after the job was queued: nothing left to embed
+        await strapi.db.query(JOB_UID).delete({ where: { id: job.id } });
+        return;
+      }
+
+      // The stored entry is the full, saved document, so its hash check covers every configured field
+      const result = await indexingService.embedDocument(job.contentType, entry, { previous: entry });
+
+      if (result) {
+        await strapi.db.query(job.contentType).update({
+          where: { id: entry.id },
+          data: result
+        });
+        strapi.log.info(`Generated embedding for ${job.contentType} entry ${entry.id} (${result.embeddingMetadata.chunks.length} chunk(s))`);
+      }
+
+      await strapi.db.query(JOB_UID).delete({ where: { id: job.id } });
+
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  },
+
+  getBackoff(attempts) {
+    const { backoffBase, backoffMax } = this.getConfig();
+    const delay = backoffBase * Math.pow(2, attempts - 1);
+
+    // Jitter spreads out retries from jobs that failed together
+    return Math.min(delay, backoffMax) * (0.8 + Math.random() * 0.4);
+  },
+
+  async handleFailure(job, error) {
+    const { maxAttempts } = this.getConfig();
+    const code = error.code || null;
+    const dead = PERMANENT_CODES.includes(code) || job.attempts >= maxAttempts;
+    const delay = this.getBackoff(job.attempts);
+
+    // A rate limit or exhausted quota affects every job, so back the whole queue off
+    if (RATE_LIMIT_CODES.includes(code)) {
+      this.pausedUntil = Date.now() + delay;
+    }
+
+    await strapi.db.query(JOB_UID).update({
+      where: { id: job.id },
+      data: {
+        status: dead ? 'dead' : 'pending',
+        runAt: dead ? null : new Date(Date.now() + delay),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: error.message,
+        lastErrorCode: code
+      }
+    });
+
+    if (dead) {
+      strapi.log.error(`Embedding job ${job.id} for ${job.contentType} entry ${job.entryId} failed permanently after ${job.attempts} attempt(s): ${error.message}`);
+    } else {
+      strapi.log.warn(`Embedding job ${job.id} for ${job.contentType} entry ${job.entryId} failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    }
+  },
+
+  async listJobs({ status = 'dead', page = 1, pageSize = 25 } = {}) {
+    const where = status === 'all' ? {} : { status };
+    const jobs = strapi.db.query(JOB_UID);
+
+    const [results, total] = await Promise.all([
+      jobs.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        offset: (page - 1) * pageSize,
+        limit: pageSize
+      }),
+      jobs.count({ where })
+    ]);
+
+    return {
+      results,
+      pagination: {
+        page,
+        pageSize,
+        pageCount: Math.ceil(total / pageSize),
+        total
+      }
+    };
+  },
+
+  async retryJobs(ids = null) {
+    const where = { status: 'dead' };
+    if (Array.isArray(ids) && ids.length > 0) {
+      where.id = { $in: ids };
+    }
+
+    const { count } = await strapi.db.query(JOB_UID).updateMany({
+      where,
+      data: { status: 'pending', attempts: 0, runAt: new Date(), lastError: null, lastErrorCode: null }
+    });
+
+    this.pausedUntil = 0;
+    this.poll();
+
+    return { retried: count };
+  },
+
+  // Unfinished and dead-lettered jobs for the rows of one document
+  async getDocumentJobs(contentType, documentId) {
+    return strapi.db.query(JOB_UID).findMany({
+      where: { contentType, targetDocumentId: documentId },
+      orderBy: { id: 'desc' }
+    });
+  },
+
+  async getCounts() {
+    const jobs = strapi.db.query(JOB_UID);
+    const [pending, processing, dead] = await Promise.all([
+      jobs.count({ where: { status: 'pending' } }),
+      jobs.count({ where: { status: 'processing' } }),
+      jobs.count({ where: { status: 'dead' } })
+    ]);
+
+    return { pending, processing, dead };
+  }
+
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const DEFAULT_RATE_LIMIT = {
+  enabled: true,
+  max: 60,
+  interval: 60 * 1000
+};
+
+// Fixed-window request counters per client, held in memory: each Strapi instance counts on its own
+module.exports = ({ strapi }) => ({
+
+  windows: new Map(),
+  lastSweep: 0,
+
+  getConfig() {
+    const config = strapi.config.get('plugin.semantic-search') || {};
+    const rateLimit = { ...DEFAULT_RATE_LIMIT, ...config.rateLimit };
+
+    if (!Number.isInteger(rateLimit.max) || rateLimit.max < 1) {
+      rateLimit.max = DEFAULT_RATE_LIMIT.max;
+    }
+    if (!Number.isInteger(rateLimit.interval) || rateLimit.interval < 1000) {
+      rateLimit.interval = DEFAULT_RATE_LIMIT.interval;
+    }
+
+    return rateLimit;
+  },
+
+  isEnabled() {
+    return this.getConfig().enabled !== false;
+  },
+
+  // Authenticated users and API tokens get their own budget; anonymous requests share one per IP
+  getClientKey(ctx) {
+    const auth = ctx.state && ctx.state.auth;
+
+    if (auth && auth.credentials && auth.credentials.id !== undefined) {
+      return `${auth.strategy && auth.strategy.name ? auth.strategy.name : 'auth'}:${auth.credentials.id}`;
+    }
+
+    return `ip:${ctx.request.ip}`;
+  },
+
+  // Counts one request and returns the client's remaining budget for the current window
+  consume(key) {
+    const { max, interval } = this.getConfig();
+    const now = Date.now();
+
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + interval };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+
+    return {
+      allowed: window.count <= max,
+      limit: max,
+      remaining: Math.max(max - window.count, 0),
+      resetAt: window.resetAt
+    };
+  },
+
+  // Drops finished windows at most once per interval, so idle clients do not pile up
+  sweep(now) {
+    if (now - this.lastSweep < this.getConfig().interval) {
+      return;
+    }
+
+    this.lastSweep = now;
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+  }
+
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { createReranker } = require('../rerankers');
+const { getChunkTexts } = require('../utils/lexical');
+
+const DEFAULT_CANDIDATES = 50;
+const DEFAULT_MAX_LENGTH = 2000;
+
+module.exports = ({ strapi }) => ({
+
+  reranker: null,
+
+  getConfig() {
+    return (strapi.config.get('plugin.semantic-search') || {}).reranker || null;
+  },
+
+  init() {
+    const config = this.getConfig();
+
+    // Re-ranking is opt-in: without a `reranker` config searches keep the vector order
+    if (!config) {
+      return;
+    }
+
+    try {
+      this.reranker = createReranker(config, { strapi });
+    } catch (error) {
+      strapi.log.error(`Failed to initialize re-ranker: ${error.message}`);
+      this.reranker = null;
+    }
+
+    if (!this.reranker) {
+      return;
+    }
+
+    strapi.log.info(`Re-ranker initialized: "${this.reranker.name}" (model: ${this.reranker.model})`);
+  },
+
+  isAvailable() {
+    return !!this.reranker;
+  },
+
+  getContentTypeOptions(contentType) {
+    const contentTypes = (strapi.plugin('semantic-search').config || {}).contentTypes || {};
+    return (contentTypes[contentType] && contentTypes[contentType].rerank) || { enabled: false, candidates: null };
+  },
+
+  // A per-request `rerank` flag wins over the content type's configured default
+  isEnabled(contentType, requested = null) {
+    if (!this.reranker) {
+      return false;
+    }
+
+    if (requested !== null && requested !== undefined) {
+      return !!requested;
+    }
+
+    return this.getContentTypeOptions(contentType).enabled;
+  },
+
+  // How many vector matches are re-scored; never fewer than the requested results
+  getCandidateLimit(contentType, limit) {
+    const candidates = this.getContentTypeOptions(contentType).candidates ||
+      (this.getConfig() || {}).candidates ||
+      DEFAULT_CANDIDATES;
+
+    return Math.max(limit, candidates);
+  },
+
+  // Re-rankers score a passage, not a whole document: the best matching chunk, or the leading chunks
+  getPassage(result) {
+    const maxLength = (this.getConfig() || {}).maxLength || DEFAULT_MAX_LENGTH;
+
+    if (result.matchedPassage && result.matchedPassage.text) {
+      return result.matchedPassage.text.slice(0, maxLength);
+    }
+
+    return getChunkTexts(result).map(chunk => chunk.text).join(' ').slice(0, maxLength);
+  },
+
+  // Returns the results re-sorted by `rerankScore`, each keeping its previous score as `originalScore`,
+  // or null when the re-ranker failed and the caller should keep the original order
+  async rerank(query, results) {
+    if (!this.reranker || results.length === 0) {
+      return results;
+    }
+
+    try {
+      const scores = await this.reranker.rerank(query, results.map(result => this.getPassage(result)));
+
+      return results
+        .map((result, i) => ({
+          ...result,
+          originalScore: result.fusedScore !== undefined ? result.fusedScore : result.similarityScore,
+          rerankScore: scores[i]
+        }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+
+    } catch (error) {
+      strapi.log.warn(`Semantic Search: Re-ranking failed, keeping the original order: ${error.message}`);
+      return null;
+    }
+  }
+
+});
@@ -1,7 +1,70 @@
 'use strict';
 
+const { RRF_K, NORMALIZATION_WINDOW, splitResult, sortResults, normalizeScores, applyQuotas } = require('../utils/results');
+const { createQueryKey, encodeCursor, decodeCursor } = require('../utils/cursor');
+const { getModelVersion, matchesModel } = require('../utils/model-version');
+const { getPathValues, buildFacetPopulate } = require('../utils/filters');
+const { collapseDuplicates, selectByMMR } = require('../utils/diversity');
+const { LruCache } = require('../utils/lru-cache');
+
+// Deepest result that can be paged to; paged searches rank this many results for all of their pages
+const MAX_RESULT_WINDOW = 500;
+
+// Rankings of paged searches kept for their later pages, and for how long (ms)
+const RANKING_CACHE_SIZE = 50;
+const RANKING_CACHE_TTL = 5 * 60 * 1000;
+
+// Values returned per facet, most frequent first
+const FACET_SIZE = 20;
+
+// MMR and de-duplication choose from this many times the results they return
+const DIVERSITY_CANDIDATE_FACTOR = 3;
+
+// Results whose embeddings are at least this similar are copies, unless a content type sets its own
+const DEFAULT_DUPLICATE_THRESHOLD = 0.95;
+
+function paginationError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_pagination';
+  return error;
+}
+
+// Facets are [{ value, count }] lists, most frequent first, then by value
+function sortFacetCounts(counts) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, FACET_SIZE)
+    .map(([value, count]) => ({ value, count }));
+}
+
+// Adds up the facets of several content types' searches
+function mergeFacets(facetSets) {
+  const merged = {};
+
+  facetSets.filter(Boolean).forEach(facets => {
+    Object.entries(facets).forEach(([facet, values]) => {
+      merged[facet] = merged[facet] || new Map();
+      values.forEach(({ value, count }) => merged[facet].set(value, (merged[facet].get(value) || 0) + count));
+    });
+  });
+
+  return Object.fromEntries(Object.entries(merged).map(([facet, counts]) => [facet, sortFacetCounts(counts)]));
+}
+
+// A ranked result without its document, which is read again for the page it lands on
+function toRankedEntry(result) {
+  return { id: result.id, ...splitResult(result).scores };
+}
+
+// The model a query embedding comes from
+function getQueryModel(queryResult) {
+  return { provider: queryResult.provider, model: queryResult.model, dimensions: queryResult.embedding.length };
+}
+
 module.exports = ({ strapi }) => ({
 
+  rankings: null,
+
   getEmbeddingService() {
     return strapi.plugin('semantic-search').service('embeddingService');
   },
@@ -10,6 +73,29 @@ module.exports = ({ strapi }) => ({
     return strapi.plugin('semantic-search').service('vectorService');
   },
 
+  getLexicalService() {
+    return strapi.plugin('semantic-search').service('lexicalService');
+  },
+
+  getRerankService() {
+    return strapi.plugin('semantic-search').service('rerankService');
+  },
+
+  getAnalyticsService() {
+    return strapi.plugin('semantic-search').service('analyticsService');
+  },
+
+  getMigrationService() {
+    return strapi.plugin('semantic-search').service('migrationService');
+  },
+
+  // Searches the active model's vectors, or the migration target's when that index covers more entries
+  async searchVectors(queryEmbedding, contentType, searchIndex, options) {
+    return searchIndex === 'migration'
+      ? this.getMigrationService().searchSimilar(queryEmbedding, contentType, options)
+      : this.getVectorService().searchSimilar(queryEmbedding, contentType, options);
+  },
+
   async semanticSearch(query, contentType, options = {}) {
     if (!query || !contentType) {
       throw new Error('Query and content type are required');
@@ -19,34 +105,77 @@ module.exports = ({ strapi }) => ({
       limit = 10,
       threshold = 0.1,
       filters = {},
+      facets = [],
       locale = null,
-      includeEmbedding = false
+      status = null,
+      chunkAggregation,
+      mode = 'semantic',
+      alpha = 0.5,
+      fusion = 'rrf',
+      rerank = null,
+      mmr = false,
+      lambda = 0.5,
+      dedupe = null,
+      searchField = null,
+      fields = null,
+      populate = null,
+      sort = null,
+      includeEmbedding = false,
+      queryResult: precomputedQuery = null,
+      track = false,
+      clientId = null
     } = options;
+    const startedAt = Date.now();
 
     try {
-      const embeddingService = this.getEmbeddingService();
       const vectorService = this.getVectorService();
+      const rerankService = this.getRerankService();
 
-      // Generate embedding for the search query
-      const queryResult = await embeddingService.generateEmbedding(query);
-      
-      if (!queryResult || !queryResult.embedding) {
-        throw new Error('Failed to generate embedding for search query');
+      // Multi-search resolves one page for all of its content types
+      const paging = options.paging !== undefined
+        ? options.paging
+        : this.resolvePaging(options, { query, contentType, threshold, filters, locale, status, chunkAggregation, mode, alpha, fusion, rerank, mmr, lambda, dedupe, searchField, sort });
+      const resultLimit = paging ? paging.window : limit;
+
+      // De-duplication and MMR choose the `resultLimit` results from a larger pool
+      const dedupeEnabled = this.getDedupeOptions(contentType, dedupe).enabled;
+      const diversify = mmr || dedupeEnabled;
+      const poolLimit = diversify ? this.getDiversityPoolLimit(resultLimit) : resultLimit;
+
+      // Re-ranking scores a larger candidate set, then keeps the best `resultLimit`
+      const rerankEnabled = rerankService.isEnabled(contentType, rerank);
+      const candidateLimit = rerankEnabled ? rerankService.getCandidateLimit(contentType, poolLimit) : poolLimit;
+
+      // Every page of a paged search is cut from the same ranking, which is kept for later pages. Its
+      // entries are read again for each page.
+      const rankingKey = paging && !includeEmbedding ? JSON.stringify([paging.key, contentType, facets]) : null;
+      let ranking = rankingKey ? this.getRankingCache().get(rankingKey) : undefined;
+
+      if (!ranking) {
+        ranking = await this.rankResults(query, contentType, {
+          resultLimit, candidateLimit, diversify, rerankEnabled, threshold, filters, facets, locale, status, chunkAggregation,
+          mode, alpha, fusion, mmr, lambda, dedupe, searchField, sort, precomputedQuery
+        });
+
+        if (rankingKey) {
+          ranking = { ...ranking, results: ranking.results.map(toRankedEntry) };
+          this.getRankingCache().set(rankingKey, ranking);
+        }
       }
 
-      // Search for similar documents
-      const searchOptions = {
-        limit,
-        threshold,
-        filters,
-        locale
-      };
+      const { facetCounts, reranked, queryResult } = ranking;
+      let results = ranking.results;
 
-      const results = await vectorService.searchSimilar(
-        queryResult.embedding, 
-        contentType, 
-        searchOptions
-      );
+      let pagination = null;
+      if (paging) {
+        ({ results, pagination } = this.paginate(results, paging));
+      } else {
+        results = results.slice(0, limit);
+      }
+
+      if (fields || populate || rankingKey) {
+        results = await this.shapeResults(contentType, results, { fields, populate, locale, status });
+      }
 
       // Clean up results (remove embedding from response unless requested)
       const cleanResults = results.map(result => {
@@ -60,6 +189,9 @@ module.exports = ({ strapi }) => ({
         return cleaned;
       });
 
+      // Report the locale actually searched, which defaults to the i18n default locale
+      const scope = locale === 'all' ? { locale: 'all' } : await vectorService.resolveEntryScope(contentType, { locale, status });
+
       const response = {
         query: query,
         contentType: contentType,
@@ -74,12 +206,29 @@ module.exports = ({ strapi }) => ({
           searchOptions: {
             limit,
             threshold,
-            locale,
+            locale: scope.locale,
+            status: status || 'published',
+            mode,
+            ...(mode === 'hybrid' && { alpha, fusion }),
+            ...(searchField && { searchField }),
+            modelVersion: getModelVersion(getQueryModel(queryResult)),
+            rerank: rerankEnabled
+              ? { applied: reranked, reranker: rerankService.reranker.name, model: rerankService.reranker.model, candidates: candidateLimit }
+              : false,
+            mmr: mmr ? { lambda } : false,
+            dedupe: dedupeEnabled,
             filtersApplied: Object.keys(filters).length > 0
           }
-        }
+        },
+        ...(facetCounts && { facets: facetCounts }),
+        ...(pagination && { pagination })
       };
 
+      // Later pages of a search are not logged again
+      if (track && this.getAnalyticsService().isEnabled() && (!paging || paging.offset === 0)) {
+        response.metadata.searchId = await this.logSearch(query, [contentType], cleanResults, response, { mode, locale: scope.locale, clientId, startedAt });
+      }
+
       strapi.log.debug(`Semantic search completed: ${cleanResults.length} results for "${query}" in ${contentType}`);
       
       return response;
@@ -90,6 +239,287 @@ module.exports = ({ strapi }) => ({
     }
   },
 
+  // Searches, re-ranks and diversifies up to `resultLimit` results, best first, with the facet counts
+  // and the query embedding they were ranked by
+  async rankResults(query, contentType, options) {
+    const {
+      resultLimit, candidateLimit, diversify, rerankEnabled, threshold, filters, facets, locale, status, chunkAggregation,
+      mode, alpha, fusion, mmr, lambda, dedupe, searchField, sort, precomputedQuery
+    } = options;
+
+    // While a model migration runs, the query is embedded by the model of the index searched
+    const searchIndex = await this.getMigrationService().resolveIndex(contentType);
+    const queryService = searchIndex === 'migration' ? this.getMigrationService().getTargetService() : this.getEmbeddingService();
+
+    // Generate embedding for the search query, unless the caller already did with that model (multi-search)
+    const queryResult = precomputedQuery && matchesModel(getQueryModel(precomputedQuery), queryService.getModelInfo())
+      ? precomputedQuery
+      : await queryService.generateQueryEmbedding(query);
+
+    if (!queryResult || !queryResult.embedding) {
+      throw new Error('Failed to generate embedding for search query');
+    }
+
+    // Facets count every match up to the deepest page, not only the results returned
+    const searchOptions = {
+      limit: facets.length > 0 ? Math.max(candidateLimit, MAX_RESULT_WINDOW) : candidateLimit,
+      threshold,
+      filters,
+      locale,
+      status,
+      ...(chunkAggregation && { chunkAggregation }),
+      ...(searchField && { field: searchField })
+    };
+
+    let results = mode === 'hybrid'
+      ? await this.hybridSearch(query, queryResult.embedding, contentType, { ...searchOptions, alpha, fusion, searchIndex })
+      : await this.searchVectors(queryResult.embedding, contentType, searchIndex, searchOptions);
+
+    let facetCounts = null;
+    if (facets.length > 0) {
+      facetCounts = await this.countFacets(contentType, results, facets, { locale, status });
+      results = results.slice(0, candidateLimit);
+    }
+
+    let reranked = false;
+    if (rerankEnabled) {
+      const rerankedResults = await this.getRerankService().rerank(query, results);
+      if (rerankedResults) {
+        results = rerankedResults;
+        reranked = true;
+      }
+    }
+
+    if (diversify) {
+      results = this.diversifyResults(sortResults(results, sort), { contentType, mmr, lambda, dedupe, limit: resultLimit });
+    }
+
+    return { results: sortResults(results, sort), facetCounts, reranked, queryResult };
+  },
+
+  // Ranked results of paged searches, kept for their later pages
+  getRankingCache() {
+    if (!this.rankings) {
+      this.rankings = new LruCache({ maxEntries: RANKING_CACHE_SIZE, ttl: RANKING_CACHE_TTL });
+    }
+    return this.rankings;
+  },
+
+  // Turns `page`/`pageSize` or a `cursor` into the slice of ranked results to return. Plain `limit`
+  // searches are not paged and resolve to null.
+  resolvePaging({ page, pageSize, cursor, limit = 10 }, searchParams) {
+    if (!page && !pageSize && !cursor) {
+      return null;
+    }
+
+    const key = createQueryKey(searchParams);
+    let offset;
+    let size;
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded || decoded.key !== key) {
+        throw paginationError('cursor is invalid or belongs to a different search');
+      }
+
+      ({ offset, pageSize: size } = decoded);
+    } else {
+      size = pageSize || limit;
+      offset = ((page || 1) - 1) * size;
+    }
+
+    if (offset + size > MAX_RESULT_WINDOW) {
+      throw paginationError(`Only the first ${MAX_RESULT_WINDOW} results can be paged through`);
+    }
+
+    return {
+      key,
+      offset,
+      pageSize: size,
+      window: MAX_RESULT_WINDOW
+    };
+  },
+
+  // Slices one page out of the ranked window. When the window is full there may be more matches
+  // above the threshold, so `total` is then a lower bound and `totalEstimated` is set.
+  paginate(rankedResults, { key, offset, pageSize, window }, windowFilled = rankedResults.length >= window) {
+    const total = rankedResults.length;
+    const nextOffset = offset + pageSize;
+
+    return {
+      results: rankedResults.slice(offset, nextOffset),
+      pagination: {
+        page: Math.floor(offset / pageSize) + 1,
+        pageSize,
+        pageCount: Math.ceil(total / pageSize),
+        total,
+        totalEstimated: windowFilled,
+        nextCursor: nextOffset < total && nextOffset < MAX_RESULT_WINDOW
+          ? encodeCursor({ key, offset: nextOffset, pageSize })
+          : null
+      }
+    };
+  },
+
+  // Re-reads ranked results with the requested `fields` and `populate`, keeping their order and scores
+  async shapeResults(contentType, results, { fields, populate, locale, status }) {
+    if (results.length === 0) {
+      return results;
+    }
+
+    const documents = await strapi.documents(contentType).findMany({
+      filters: { id: { $in: results.map(result => result.id) } },
+      ...(fields && { fields }),
+      ...(populate && { populate }),
+      locale: this.getVectorService().getDocumentLocale(locale),
+      status: status || 'published',
+      limit: results.length
+    });
+    const documentsById = new Map(documents.map(doc => [doc.id, doc]));
+
+    return results
+      .filter(result => documentsById.has(result.id))
+      .map(result => ({ ...documentsById.get(result.id), ...splitResult(result).scores }));
+  },
+
+  // Shapes results of several content types, each carrying its `contentType`, keeping their order
+  async shapeMixedResults(contentTypes, results, options) {
+    const shaped = new Map();
+
+    for (const contentType of contentTypes) {
+      const typeResults = results.filter(result => result.contentType === contentType);
+      const shapedResults = await this.shapeResults(contentType, typeResults, options);
+      shapedResults.forEach(result => shaped.set(`${contentType}:${result.id}`, result));
+    }
+
+    return results
+      .map(result => shaped.get(`${result.contentType}:${result.id}`))
+      .filter(Boolean);
+  },
+
+  // Per content type `dedupe` settings; a per-request `dedupe` flag wins over the configured default
+  getDedupeOptions(contentType, requested = null) {
+    const contentTypes = (strapi.plugin('semantic-search').config || {}).contentTypes || {};
+    const options = (contentTypes[contentType] && contentTypes[contentType].dedupe) || { enabled: false, threshold: null, groupBy: null };
+
+    return {
+      enabled: requested === null || requested === undefined ? options.enabled : !!requested,
+      threshold: options.threshold || DEFAULT_DUPLICATE_THRESHOLD,
+      groupBy: options.groupBy
+    };
+  },
+
+  // Candidates fetched for de-duplication and MMR; never fewer than the results, at most the deepest page
+  getDiversityPoolLimit(resultLimit) {
+    return Math.max(resultLimit, Math.min(resultLimit * DIVERSITY_CANDIDATE_FACTOR, MAX_RESULT_WINDOW));
+  },
+
+  // Collapses copies into their best ranked result, then picks `limit` results by MMR when `mmr` is set.
+  // Results must be ranked best first and still carry their embeddings. Mixed results use the `dedupe`
+  // settings of their own content type.
+  diversifyResults(results, { contentType = null, mmr, lambda, dedupe, limit }) {
+    let diversified = collapseDuplicates(results, result => {
+      const options = this.getDedupeOptions(result.contentType || contentType, dedupe);
+      const groupValue = options.groupBy ? result[options.groupBy] : null;
+
+      return {
+        enabled: options.enabled,
+        threshold: options.threshold,
+        groupKey: groupValue === null || groupValue === undefined || groupValue === '' ? null : String(groupValue)
+      };
+    });
+
+    if (mmr) {
+      diversified = selectByMMR(diversified, { lambda, limit });
+    }
+
+    return diversified;
+  },
+
+  // Runs the vector and keyword searches side by side and fuses the two rankings
+  async hybridSearch(query, queryEmbedding, contentType, options) {
+    const { limit, threshold, filters, locale, status, alpha, fusion, field = null, searchIndex = 'active' } = options;
+    const vectorService = this.getVectorService();
+    const chunkAggregation = options.chunkAggregation || vectorService.getChunkAggregation(contentType);
+    const scoring = { fieldWeights: vectorService.getFieldWeights(contentType), field };
+
+    // Fetch more candidates than results so entries found by only one side can still rank
+    const candidateLimit = limit * 3;
+
+    const [semanticResults, lexicalResults] = await Promise.all([
+      this.searchVectors(queryEmbedding, contentType, searchIndex, { limit: candidateLimit, threshold, filters, locale, status, chunkAggregation, field }),
+      // Keyword matches are not limited to a targeted field
+      this.getLexicalService().search(query, contentType, { limit: candidateLimit, filters, locale, status })
+    ]);
+
+    // Keyword matches carry the active model's vectors, which a migration target's query cannot be compared with
+    return this.fuseResults(queryEmbedding, semanticResults, lexicalResults, {
+      limit, alpha, fusion, chunkAggregation, scoring, scoreKeywordMatches: searchIndex !== 'migration'
+    });
+  },
+
+  // `alpha` weights the semantic side: 1 is pure vector ranking, 0 pure keyword ranking
+  fuseResults(queryEmbedding, semanticResults, lexicalResults, { limit, alpha, fusion, chunkAggregation, scoring = {}, scoreKeywordMatches = true }) {
+    const vectorService = this.getVectorService();
+    const maxLexicalScore = lexicalResults.length > 0 ? lexicalResults[0].lexicalScore : 0;
+    const merged = new Map();
+
+    semanticResults.forEach((result, rank) => {
+      merged.set(result.id, {
+        ...result,
+        semanticScore: result.similarityScore,
+        lexicalScore: null,
+        semanticRank: rank + 1,
+        lexicalRank: null
+      });
+    });
+
+    lexicalResults.forEach((result, rank) => {
+      const existing = merged.get(result.id);
+      if (existing) {
+        existing.lexicalScore = result.lexicalScore;
+        existing.lexicalRank = rank + 1;
+        return;
+      }
+
+      // Keyword-only matches still get a semantic score from their stored chunk vectors
+      let semanticScore = null;
+      try {
+        if (scoreKeywordMatches) {
+          semanticScore = vectorService.scoreDocument(queryEmbedding, result, chunkAggregation, scoring).similarityScore;
+        }
+      } catch (error) {
+        strapi.log.debug(`Could not score keyword match ${result.documentId} semantically:`, error.message);
+      }
+
+      merged.set(result.id, {
+        ...result,
+        similarityScore: semanticScore,
+        semanticScore,
+        semanticRank: null,
+        lexicalRank: rank + 1
+      });
+    });
+
+    return [...merged.values()]
+      .map(({ semanticRank, lexicalRank, ...result }) => {
+        let fusedScore;
+
+        if (fusion === 'weighted') {
+          // Keyword scores are unbounded, so scale them against the best keyword match
+          const lexical = result.lexicalScore !== null && maxLexicalScore > 0 ? result.lexicalScore / maxLexicalScore : 0;
+          fusedScore = alpha * (result.semanticScore || 0) + (1 - alpha) * lexical;
+        } else {
+          fusedScore = alpha * (semanticRank ? 1 / (RRF_K + semanticRank) : 0) +
+            (1 - alpha) * (lexicalRank ? 1 / (RRF_K + lexicalRank) : 0);
+        }
+
+        return { ...result, fusedScore };
+      })
+      .sort((a, b) => b.fusedScore - a.fusedScore)
+      .slice(0, limit);
+  },
+
   async multiContentTypeSearch(query, contentTypes, options = {}) {
     if (!query || !Array.isArray(contentTypes) || contentTypes.length === 0) {
       throw new Error('Query and content types array are required');
@@ -98,80 +528,365 @@ module.exports = ({ strapi }) => ({
     const {
       limit = 10,
       threshold = 0.1,
-      aggregateResults = true
+      aggregateResults = true,
+      facets = [],
+      mmr = false,
+      lambda = 0.5,
+      dedupe = null,
+      merge = 'raw',
+      boosts = {},
+      quotas = {},
+      includeEmbedding = false,
+      fields = null,
+      populate = null,
+      track = false,
+      clientId = null
     } = options;
+    const startedAt = Date.now();
 
     try {
-      const searchPromises = contentTypes.map(contentType => 
-        this.semanticSearch(query, contentType, {
-          ...options,
-          limit: aggregateResults ? Math.ceil(limit * 1.5) : limit // Get more results for aggregation
-        }).catch(error => {
-          strapi.log.warn(`Search failed for content type ${contentType}:`, error.message);
-          return {
-            query,
-            contentType,
-            results: [],
-            error: error.message
-          };
-        })
-      );
+      // One page over the merged results, or the same page of each content type's results
+      const {
+        locale = null,
+        status = null,
+        chunkAggregation,
+        mode = 'semantic',
+        alpha = 0.5,
+        fusion = 'rrf',
+        rerank = null,
+        sort = null,
+        filters = {}
+      } = options;
+      const paging = this.resolvePaging(options, {
+        query, contentTypes, threshold, filters, locale, status, chunkAggregation, mode, alpha, fusion, rerank, mmr, lambda, dedupe, merge, boosts, quotas, sort, aggregateResults
+      });
+
+      // Merged results are de-duplicated and diversified together, so copies across content types
+      // collapse too. Each type then returns a larger pool, with the embeddings to compare.
+      const diversify = aggregateResults && (mmr || contentTypes.some(contentType => this.getDedupeOptions(contentType, dedupe).enabled));
+      const mergeLimit = paging ? paging.window : limit;
+
+      // Every type returns as many results as the merged list can hold, so any one of them can fill it, and
+      // at least the results its scores are normalized over
+      const typeLimit = merge === 'minmax' || merge === 'zscore' ? Math.max(mergeLimit, NORMALIZATION_WINDOW) : mergeLimit;
+
+      // Merged pages are cut from one ranking too, kept like those of single content type searches. Quotas
+      // order it by page, so it belongs to one page size.
+      const rankingKey = aggregateResults && paging && !includeEmbedding ? JSON.stringify([paging.key, paging.pageSize, facets]) : null;
+      let ranking = rankingKey ? this.getRankingCache().get(rankingKey) : undefined;
+      let searchResults = [];
+      let response;
+
+      if (!ranking) {
+        // Embed the query once for every content type
+        const queryResult = await this.getEmbeddingService().generateQueryEmbedding(query);
 
-      const searchResults = await Promise.all(searchPromises);
+        const searchPromises = contentTypes.map(contentType => 
+          this.semanticSearch(query, contentType, {
+            ...options,
+            queryResult,
+            track: false,
+            ...(aggregateResults
+              ? {
+                paging: null,
+                limit: diversify ? this.getDiversityPoolLimit(typeLimit) : typeLimit,
+                mmr: false,
+                dedupe: false,
+                includeEmbedding: includeEmbedding || diversify,
+                // Merged results are shaped once the page is known
+                fields: null,
+                populate: null
+              }
+              : { paging, limit })
+          }).catch(error => {
+            strapi.log.warn(`Search failed for content type ${contentType}:`, error.message);
+            return {
+              query,
+              contentType,
+              results: [],
+              error: error.message
+            };
+          })
+        );
+
+        searchResults = await Promise.all(searchPromises);
+      }
 
       if (aggregateResults) {
-        // Combine and re-sort all results by similarity score
-        const allResults = [];
-        
-        searchResults.forEach(searchResult => {
-          if (searchResult.results && searchResult.results.length > 0) {
-            searchResult.results.forEach(result => {
-              allResults.push({
-                ...result,
-                contentType: searchResult.contentType
-              });
-            });
+        if (!ranking) {
+          ranking = {
+            results: this.mergeResults(searchResults, { sort, merge, boosts, quotas, diversify, mmr, lambda, dedupe, mergeLimit, pageSize: paging ? paging.pageSize : limit }),
+            // Merged results can outnumber the window; the total is only estimated if one type filled it
+            windowFilled: !!paging && searchResults.some(sr => sr.results && sr.results.length >= paging.window),
+            individualResults: searchResults.map(sr => ({
+              contentType: sr.contentType,
+              count: sr.results ? sr.results.length : 0,
+              hasError: !!sr.error
+            })),
+            facets: facets.length > 0 ? mergeFacets(searchResults.map(sr => sr.facets)) : null
+          };
+
+          if (rankingKey) {
+            ranking.results = ranking.results.map(toRankedEntry);
+            this.getRankingCache().set(rankingKey, ranking);
           }
-        });
+        }
+
+        let { results: sortedResults, pagination } = paging
+          ? this.paginate(ranking.results, paging, ranking.windowFilled)
+          : { results: ranking.results.slice(0, limit), pagination: null };
 
-        // Sort by similarity score and limit
-        const sortedResults = allResults
-          .sort((a, b) => b.similarityScore - a.similarityScore)
-          .slice(0, limit);
+        if (fields || populate || rankingKey) {
+          sortedResults = await this.shapeMixedResults(contentTypes, sortedResults, { fields, populate, locale, status });
+        }
+
+        if (diversify && !includeEmbedding) {
+          sortedResults = sortedResults.map(({ embedding, embeddingMetadata, ...result }) => result);
+        }
 
-        return {
+        response = {
           query,
           contentTypes,
           results: sortedResults,
           metadata: {
             totalResults: sortedResults.length,
             searchedContentTypes: contentTypes,
-            individualResults: searchResults.map(sr => ({
-              contentType: sr.contentType,
-              count: sr.results ? sr.results.length : 0,
-              hasError: !!sr.error
-            }))
-          }
+            individualResults: ranking.individualResults,
+            merge: { strategy: merge, boosts, quotas }
+          },
+          ...(ranking.facets && { facets: ranking.facets }),
+          ...(pagination && { pagination })
         };
       } else {
         // Return separate results for each content type
-        return {
+        response = {
           query,
           contentTypes,
           results: searchResults,
           metadata: {
             totalContentTypes: contentTypes.length,
             successfulSearches: searchResults.filter(sr => !sr.error).length
-          }
+          },
+          ...(facets.length > 0 && { facets: mergeFacets(searchResults.map(sr => sr.facets)) }),
+          ...(paging && { pagination: this.combinePagination(searchResults, paging) })
         };
       }
 
+      // Later pages of a search are not logged again
+      if (track && this.getAnalyticsService().isEnabled() && (!paging || paging.offset === 0)) {
+        const results = aggregateResults ? response.results : searchResults.flatMap(sr => sr.results || []);
+        response.metadata.searchId = await this.logSearch(query, contentTypes, results, response, { mode, locale, clientId, startedAt });
+      }
+
+      return response;
+
     } catch (error) {
       strapi.log.error(`Multi-content type search failed for query "${query}":`, error.message);
       throw error;
     }
   },
 
+  // Ranks several content types' results together, each by its type's normalized and boosted score next
+  // to the raw scores
+  mergeResults(searchResults, { sort, merge, boosts, quotas, diversify, mmr, lambda, dedupe, mergeLimit, pageSize }) {
+    const allResults = [];
+
+    searchResults.forEach(searchResult => {
+      if (searchResult.results && searchResult.results.length > 0) {
+        const typeResults = sortResults(searchResult.results, sort);
+        const normalizedScores = normalizeScores(typeResults, merge);
+        const boost = boosts[searchResult.contentType] || 1;
+
+        typeResults.forEach((result, i) => {
+          allResults.push({
+            ...result,
+            contentType: searchResult.contentType,
+            normalizedScore: normalizedScores[i] * boost
+          });
+        });
+      }
+    });
+
+    let rankedResults = sortResults(allResults, sort);
+    if (diversify) {
+      rankedResults = sortResults(this.diversifyResults(rankedResults, { mmr, lambda, dedupe, limit: mergeLimit }), sort);
+    }
+
+    // Quotas hold on every page, so they reorder the ranking last
+    if (Object.keys(quotas).length > 0) {
+      rankedResults = applyQuotas(rankedResults, quotas, pageSize);
+    }
+
+    return rankedResults;
+  },
+
+  // Counts the values of each facet field over the matched entries. Relations and repeatable
+  // components count every distinct value of an entry once.
+  async countFacets(contentType, results, facets, { locale, status }) {
+    const counts = Object.fromEntries(facets.map(facet => [facet, new Map()]));
+
+    if (results.length > 0) {
+      const fields = facets.filter(facet => !facet.includes('.'));
+      const entries = await strapi.documents(contentType).findMany({
+        filters: { id: { $in: results.map(result => result.id) } },
+        fields: fields.length > 0 ? fields : ['documentId'],
+        populate: buildFacetPopulate(facets),
+        locale: this.getVectorService().getDocumentLocale(locale),
+        status: status || 'published',
+        limit: results.length
+      });
+
+      entries.forEach(entry => {
+        facets.forEach(facet => {
+          new Set(getPathValues(entry, facet.split('.'))).forEach(value => {
+            counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+          });
+        });
+      });
+    }
+
+    return Object.fromEntries(facets.map(facet => [facet, sortFacetCounts(counts[facet])]));
+  },
+
+  // Records a search for analytics and returns its id. Paged searches count every ranked result.
+  async logSearch(query, contentTypes, results, response, { mode, locale, clientId, startedAt }) {
+    return this.getAnalyticsService().logSearch({
+      query,
+      contentTypes,
+      mode,
+      locale,
+      results,
+      resultCount: response.pagination ? response.pagination.total : results.length,
+      latency: Date.now() - startedAt,
+      clientId
+    });
+  },
+
+  // Page metadata for separate per content type results: the page holds up to `pageSize` results of
+  // each type, and the next cursor is issued while any of them has more
+  combinePagination(searchResults, { key, offset, pageSize }) {
+    const paginations = searchResults.map(sr => sr.pagination).filter(Boolean);
+    const total = paginations.reduce((sum, pagination) => sum + pagination.total, 0);
+    const nextOffset = offset + pageSize;
+
+    return {
+      page: Math.floor(offset / pageSize) + 1,
+      pageSize,
+      pageCount: Math.max(0, ...paginations.map(pagination => pagination.pageCount)),
+      total,
+      totalEstimated: paginations.some(pagination => pagination.totalEstimated),
+      nextCursor: paginations.some(pagination => pagination.nextCursor)
+        ? encodeCursor({ key, offset: nextOffset, pageSize })
+        : null
+    };
+  },
+
+  // "More like this": ranks entries against the source document's stored embedding, so no provider call is made
+  async relatedDocuments(contentType, documentId, options = {}) {
+    if (!contentType || !documentId) {
+      throw new Error('Content type and document ID are required');
+    }
+
+    const {
+      contentTypes = [contentType],
+      limit = 10,
+      threshold = 0.1,
+      filters = {},
+      locale = null,
+      status = null,
+      chunkAggregation,
+      fields = null,
+      populate = null,
+      sort = null
+    } = options;
+
+    try {
+      const migrationService = this.getMigrationService();
+
+      // With `locale: 'all'` the source is read in the default locale; its other locales are excluded too
+      const source = await strapi.documents(contentType).findOne({
+        documentId,
+        locale: locale === 'all' ? null : locale,
+        status: status || 'published'
+      });
+
+      if (!source) {
+        return null;
+      }
+
+      const sourceEmbedded = Array.isArray(source.embedding) && source.embedding.length > 0;
+      const sourceRows = locale === 'all' ? await strapi.db.query(contentType).count({ where: { documentId } }) : 1;
+
+      // While a model migration runs, a content type searched in the target's index is compared with
+      // the source's vector from that index
+      let staged;
+      const getSourceEmbedding = async searchIndex => {
+        if (searchIndex !== 'migration') {
+          return source.embedding;
+        }
+        if (staged === undefined) {
+          staged = await migrationService.getStagedEntry(contentType, source.id);
+        }
+        return staged ? staged.embedding : null;
+      };
+
+      const searchResults = sourceEmbedded
+        ? await Promise.all(contentTypes.map(async targetType => {
+          const searchIndex = await migrationService.resolveIndex(targetType);
+          const sourceEmbedding = await getSourceEmbedding(searchIndex);
+
+          if (!sourceEmbedding) {
+            return [];
+          }
+
+          // Extra results for the source document's own rows, which match it best
+          const results = await this.searchVectors(sourceEmbedding, targetType, searchIndex, {
+            limit: targetType === contentType ? limit + sourceRows : limit,
+            threshold,
+            filters,
+            locale,
+            status,
+            ...(chunkAggregation && { chunkAggregation })
+          });
+
+          return results
+            .filter(result => !(targetType === contentType && result.documentId === documentId))
+            .map(({ embedding, embeddingMetadata, ...result }) => ({ ...result, contentType: targetType }));
+        }))
+        : [];
+
+      let results = sortResults(searchResults.flat(), sort).slice(0, limit);
+
+      if (fields || populate) {
+        results = await this.shapeMixedResults(contentTypes, results, { fields, populate, locale, status });
+      }
+
+      strapi.log.debug(`Related search completed: ${results.length} results for ${contentType} document ${documentId}`);
+
+      return {
+        contentType,
+        documentId,
+        results,
+        metadata: {
+          totalResults: results.length,
+          sourceEmbedded,
+          searchedContentTypes: contentTypes,
+          searchOptions: {
+            limit,
+            threshold,
+            locale,
+            status: status || 'published',
+            filtersApplied: Object.keys(filters).length > 0
+          }
+        }
+      };
+
+    } catch (error) {
+      strapi.log.error(`Related search failed for ${contentType} document ${documentId}:`, error.message);
+      throw error;
+    }
+  },
+
   async searchWithFilters(query, contentType, filters = {}, options = {}) {
     // Helper method for common filtering scenarios
     const searchFilters = {};
@@ -184,14 +899,8 @@ module.exports = ({ strapi }) => ({
       searchFilters.createdAt = dateFilter;
     }
 
-    // Status filtering
-    if (filters.publishedAt !== undefined) {
-      if (filters.publishedAt === 'published') {
-        searchFilters.publishedAt = { $notNull: true };
-      } else if (filters.publishedAt === 'draft') {
-        searchFilters.publishedAt = { $null: true };
-      }
-    }
+    // Status filtering: draft and published versions are chosen by the search status, not by filters
+    const status = filters.publishedAt === 'draft' ? 'draft' : options.status;
 
     // Custom field filters
     if (filters.customFields) {
@@ -200,6 +909,7 @@ module.exports = ({ strapi }) => ({
 
     return this.semanticSearch(query, contentType, {
       ...options,
+      status,
       filters: searchFilters
     });
   }
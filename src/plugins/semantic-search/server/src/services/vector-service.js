@@ -1,7 +1,250 @@
 'use strict';
 
+const { createVectorStore } = require('../vector-stores');
+const jsonStore = require('../vector-stores/json');
+const { getModelVersion, matchesModel } = require('../utils/model-version');
+const { isPrivateField } = require('../utils/text-extractor');
+
+// SQL reading one key of a JSON column as text
+function jsonValue(knex, client, column, key) {
+  if (client === 'postgres') {
+    return knex.raw('??::jsonb->>?', [column, key]);
+  }
+  if (client === 'sqlite') {
+    return knex.raw('json_extract(??, ?)', [column, `$.${key}`]);
+  }
+  return knex.raw('JSON_UNQUOTE(JSON_EXTRACT(??, ?))', [column, `$.${key}`]);
+}
+
 module.exports = ({ strapi }) => ({
 
+  store: null,
+
+  async initStore({ background = true } = {}) {
+    const config = strapi.config.get('plugin.semantic-search') || {};
+
+    try {
+      this.store = await createVectorStore(config.vectorStore, { strapi, vectorService: this, background });
+    } catch (error) {
+      strapi.log.warn(`Semantic Search: Vector store unavailable (${error.message}), falling back to JSON scan`);
+      this.store = null;
+    }
+
+    strapi.log.info(`Semantic Search: Vector store "${this.getStore().name}" ready`);
+  },
+
+  getStore() {
+    if (!this.store) {
+      // Until a store is configured, score the JSON embeddings stored on each entry
+      this.store = jsonStore({ strapi, config: {}, vectorService: this });
+    }
+    return this.store;
+  },
+
+  async closeStore() {
+    if (this.store && this.store.close) {
+      await this.store.close();
+    }
+  },
+
+  // Empties the store before every entry is rewritten with vectors of another model
+  async resetStore() {
+    const store = this.getStore();
+
+    if (store.reset) {
+      await store.reset();
+    }
+  },
+
+  // Builds in-process indexes again after another process rewrote the stored embeddings
+  async reloadStore() {
+    const store = this.getStore();
+
+    if (store.reload) {
+      await store.reload();
+    }
+  },
+
+  // Keeps the active vector store in step with an entry whose embedding was just written
+  async syncEntry(contentType, entry) {
+    if (!entry || entry.id === undefined) {
+      return;
+    }
+
+    // A cleared embedding takes the entry out of the store
+    if (!entry.embedding) {
+      await this.removeEntries(contentType, [entry.id]);
+      return;
+    }
+
+    try {
+      await this.getStore().upsert(contentType, entry);
+    } catch (error) {
+      strapi.log.error(`Failed to sync ${contentType} entry ${entry.id} to the vector store:`, error.message);
+    }
+  },
+
+  async removeEntries(contentType, entryIds) {
+    if (!entryIds || entryIds.length === 0) {
+      return;
+    }
+
+    try {
+      await this.getStore().remove(contentType, entryIds);
+    } catch (error) {
+      strapi.log.error(`Failed to remove ${contentType} entries ${entryIds.join(', ')} from the vector store:`, error.message);
+    }
+  },
+
+  // Which entry versions a search may return: published ones unless drafts are asked for (previews)
+  async resolveEntryScope(contentType, { locale = null, status = null } = {}) {
+    const model = strapi.getModel(contentType);
+    const scope = { status: null, locale: null };
+
+    if (model && model.options && model.options.draftAndPublish) {
+      scope.status = status === 'draft' ? 'draft' : 'published';
+    }
+
+    // Localized types fall back to the default locale, as `strapi.documents().findMany` does;
+    // `all` searches every locale at once
+    if (model && model.attributes.locale && locale !== 'all') {
+      const i18n = strapi.plugin('i18n');
+      scope.locale = locale || (i18n ? await i18n.service('locales').getDefaultLocale() : null);
+    }
+
+    return scope;
+  },
+
+  // Locale argument for the document service, which spells "every locale" as `*`
+  getDocumentLocale(locale) {
+    return locale === 'all' ? '*' : locale;
+  },
+
+  // Row attributes an in-memory index needs to apply the entry scope itself
+  getScopeAttributes(contentType) {
+    const model = strapi.getModel(contentType);
+    const attributes = [];
+
+    if (model && model.options && model.options.draftAndPublish) {
+      attributes.push('publishedAt');
+    }
+    if (model && model.attributes.locale) {
+      attributes.push('locale');
+    }
+
+    return attributes;
+  },
+
+  // Whether an indexed entry, as `{ published, locale }`, falls within a resolved scope
+  isInEntryScope(entry, scope) {
+    if (scope.status === 'draft' && entry.published) return false;
+    if (scope.status === 'published' && !entry.published) return false;
+    if (scope.locale && entry.locale !== scope.locale) return false;
+    return true;
+  },
+
+  // Database-level `where` selecting the entries a search may return
+  async buildEntryWhere(contentType, { filters = {}, locale = null, status = null } = {}) {
+    const scope = await this.resolveEntryScope(contentType, { locale, status });
+    const where = { ...filters, embedding: { $notNull: true } };
+
+    if (scope.status) {
+      where.publishedAt = scope.status === 'draft' ? { $null: true } : { $notNull: true };
+    }
+
+    if (scope.locale) {
+      where.locale = scope.locale;
+    }
+
+    return where;
+  },
+
+  // Relative weights of a content type whose fields are embedded separately, scaled so the heaviest
+  // field keeps its raw scores and scores stay comparable with the threshold. Null for single-vector types.
+  getFieldWeights(contentType) {
+    const config = strapi.plugin('semantic-search').config || {};
+    const contentTypeConfig = (config.contentTypes || {})[contentType];
+    const weights = contentTypeConfig && contentTypeConfig.fieldWeights;
+
+    if (!weights) {
+      return null;
+    }
+
+    const max = Math.max(...Object.values(weights));
+    const scaled = {};
+    Object.keys(weights).forEach(field => {
+      scaled[field] = weights[field] / max;
+    });
+
+    return scaled;
+  },
+
+  // Scales chunk matches by their field's weight, keeping only the chunks of `field` when a search
+  // targets one. The unweighted score stays on each match as `rawScore`. Returns the matches best first.
+  weighMatches(matches, { fieldWeights = null, field = null } = {}) {
+    if (!fieldWeights && !field) {
+      return matches;
+    }
+
+    return matches
+      .filter(match => !field || match.field === field)
+      .map(match => {
+        const weight = fieldWeights && fieldWeights[match.field] !== undefined ? fieldWeights[match.field] : 1;
+        return { ...match, score: match.score * weight, rawScore: match.score };
+      })
+      .sort((a, b) => b.score - a.score);
+  },
+
+  // Groups chunk matches, sorted best first, into ranked entries
+  rankChunkMatches(matches, { limit, threshold, chunkAggregation, fieldWeights = null, field = null }) {
+    const byEntry = new Map();
+    this.weighMatches(matches, { fieldWeights, field }).forEach(match => {
+      const scores = byEntry.get(match.entryId) || [];
+      scores.push(match);
+      byEntry.set(match.entryId, scores);
+    });
+
+    return [...byEntry.entries()]
+      .map(([entryId, scores]) => ({
+        entryId,
+        best: scores[0],
+        similarityScore: this.aggregateScores(scores.map(item => item.score), chunkAggregation)
+      }))
+      .filter(item => item.similarityScore >= threshold)
+      .sort((a, b) => b.similarityScore - a.similarityScore)
+      .slice(0, limit);
+  },
+
+  // Loads the documents behind ranked entries and attaches their scores and best passage
+  async loadRankedEntries(contentType, ranked, { locale = null, status = null } = {}) {
+    if (ranked.length === 0) {
+      return [];
+    }
+
+    // The status must match the ranked rows, or the document service would look at the other version
+    const documents = await strapi.documents(contentType).findMany({
+      filters: { id: { $in: ranked.map(item => item.entryId) } },
+      locale: this.getDocumentLocale(locale),
+      status: status || 'published',
+      limit: ranked.length
+    });
+    const documentsById = new Map(documents.map(doc => [doc.id, doc]));
+
+    return ranked
+      .filter(item => documentsById.has(item.entryId))
+      .map(item => {
+        const doc = documentsById.get(item.entryId);
+        const chunks = (doc.embeddingMetadata && doc.embeddingMetadata.chunks) || [];
+        const chunk = chunks.find(candidate => candidate.index === item.best.chunkIndex);
+
+        return {
+          ...doc,
+          similarityScore: item.similarityScore,
+          matchedPassage: chunk ? this.toPassage(chunk, item.best) : null
+        };
+      });
+  },
+
   calculateCosineSimilarity(vectorA, vectorB) {
     if (!vectorA || !vectorB || vectorA.length !== vectorB.length) {
       throw new Error('Invalid vectors for similarity calculation');
@@ -27,18 +270,108 @@ module.exports = ({ strapi }) => ({
     return dotProduct / (magnitudeA * magnitudeB);
   },
 
+  getChunkAggregation(contentType) {
+    const config = strapi.plugin('semantic-search').config || {};
+    const contentTypeConfig = (config.contentTypes || {})[contentType];
+    const chunking = (contentTypeConfig && contentTypeConfig.chunking) || config.chunking || {};
+
+    return chunking.aggregation || 'max';
+  },
+
+  // Combines chunk scores, sorted best first, into one document score
+  aggregateScores(scores, aggregation = 'max') {
+    if (scores.length === 0) {
+      return 0;
+    }
+
+    if (aggregation === 'mean') {
+      return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+
+    if (aggregation === 'top3') {
+      const top = scores.slice(0, 3);
+      return top.reduce((sum, score) => sum + score, 0) / top.length;
+    }
+
+    return scores[0];
+  },
+
+  // The best chunk of a result, with the field it belongs to and its unweighted score
+  toPassage(chunk, match) {
+    return {
+      index: chunk.index,
+      field: chunk.field || null,
+      text: chunk.text,
+      start: chunk.start,
+      end: chunk.end,
+      similarityScore: match.rawScore !== undefined ? match.rawScore : match.score
+    };
+  },
+
+  // Passages are chunk text, which the content API sanitizer never sees. One embedded from a field the
+  // REST API hides must not be returned; a chunk of several fields may hold text of any of them.
+  isPassagePublic(contentType, passage) {
+    const fields = passage.field
+      ? [passage.field]
+      : strapi.plugin('semantic-search').service('indexingService').getTextFields(contentType);
+    const options = {
+      uid: contentType,
+      getModel: uid => strapi.getModel(uid),
+      privateAttributes: strapi.config.get('api.responses.privateAttributes', [])
+    };
+
+    return !fields.some(field => isPrivateField(field, options));
+  },
+
+  // Scores one document against the query. `similarityScore` is null when a targeted `field` has no
+  // vectors, or when the document was embedded by a model of other dimensions (`mismatched`).
+  scoreDocument(queryEmbedding, doc, aggregation = 'max', { fieldWeights = null, field = null } = {}) {
+    const chunks = doc.embeddingMetadata && Array.isArray(doc.embeddingMetadata.chunks)
+      ? doc.embeddingMetadata.chunks.filter(chunk => Array.isArray(chunk.embedding))
+      : [];
+    const vectors = chunks.length > 0 ? chunks.map(chunk => chunk.embedding) : [doc.embedding];
+
+    if (vectors.some(vector => !Array.isArray(vector) || vector.length !== queryEmbedding.length)) {
+      return { similarityScore: null, matchedPassage: null, mismatched: true };
+    }
+
+    // Documents embedded before chunking was introduced only have the document-level vector
+    if (chunks.length === 0) {
+      return {
+        similarityScore: field ? null : this.calculateCosineSimilarity(queryEmbedding, doc.embedding),
+        matchedPassage: null
+      };
+    }
+
+    const matches = chunks
+      .map(chunk => ({ chunk, field: chunk.field, score: this.calculateCosineSimilarity(queryEmbedding, chunk.embedding) }))
+      .sort((a, b) => b.score - a.score);
+    const scored = this.weighMatches(matches, { fieldWeights, field });
+
+    if (scored.length === 0) {
+      return { similarityScore: null, matchedPassage: null };
+    }
+
+    return {
+      similarityScore: this.aggregateScores(scored.map(item => item.score), aggregation),
+      matchedPassage: this.toPassage(scored[0].chunk, scored[0])
+    };
+  },
+
   async storeEmbedding(documentId, embedding, contentType, metadata = {}) {
     if (!documentId || !embedding || !contentType) {
       throw new Error('Document ID, embedding, and content type are required');
     }
 
     try {
+      const modelInfo = strapi.plugin('semantic-search').service('embeddingService').getModelInfo() || {};
+
       const updated = await strapi.documents(contentType).update({
         documentId: documentId,
         data: {
           embedding: embedding,
           embeddingMetadata: {
-            model: 'text-embedding-ada-002',
+            ...modelInfo,
             generatedAt: new Date().toISOString(),
             dimensions: embedding.length,
             ...metadata
@@ -64,43 +397,24 @@ module.exports = ({ strapi }) => ({
       limit = 10,
       threshold = 0.1,
       filters = {},
-      locale = null
+      locale = null,
+      status = null,
+      chunkAggregation = this.getChunkAggregation(contentType),
+      field = null
     } = options;
 
     try {
-      const documents = await strapi.documents(contentType).findMany({
-        filters: {
-          embedding: { $notNull: true },
-          ...filters
-        },
-        locale: locale,
-        limit: 1000
+      const scoredResults = await this.getStore().searchSimilar(queryEmbedding, contentType, {
+        limit,
+        threshold,
+        filters,
+        locale,
+        status,
+        chunkAggregation,
+        fieldWeights: this.getFieldWeights(contentType),
+        field
       });
 
-      if (!documents || documents.length === 0) {
-        return [];
-      }
-
-      const scoredResults = documents
-        .map(doc => {
-          if (!doc.embedding) return null;
-
-          try {
-            const similarity = this.calculateCosineSimilarity(queryEmbedding, doc.embedding);
-            
-            return {
-              ...doc,
-              similarityScore: similarity
-            };
-          } catch (error) {
-            strapi.log.warn(`Failed to calculate similarity for document ${doc.documentId}:`, error.message);
-            return null;
-          }
-        })
-        .filter(result => result !== null && result.similarityScore >= threshold)
-        .sort((a, b) => b.similarityScore - a.similarityScore)
-        .slice(0, limit);
-
       strapi.log.debug(`Found ${scoredResults.length} similar documents for ${contentType}`);
       
       return scoredResults;
@@ -111,40 +425,128 @@ module.exports = ({ strapi }) => ({
     }
   },
 
+  async countEmbeddings(contentType, locale = undefined) {
+    const total = await strapi.documents(contentType).count({ locale });
+    const withEmbeddings = await strapi.documents(contentType).count({
+      locale,
+      filters: { embedding: { $notNull: true } }
+    });
+
+    return {
+      total,
+      withEmbeddings,
+      coverage: total > 0 ? (withEmbeddings / total * 100).toFixed(2) + '%' : '0%'
+    };
+  },
+
+  // Embedded rows of a content type per model version, read from the stored embedding metadata
+  async countVersions(contentType) {
+    const meta = strapi.db.metadata.get(contentType);
+    const knex = strapi.db.connection;
+    const column = (attribute, fallback) => (meta.attributes[attribute] && meta.attributes[attribute].columnName) || fallback;
+    const embedding = column('embedding', 'embedding');
+    const metadata = column('embeddingMetadata', 'embedding_metadata');
+    const [provider, model, dimensions] = ['provider', 'model', 'dimensions']
+      .map(key => jsonValue(knex, strapi.db.dialect.client, metadata, key));
+
+    const rows = await knex(meta.tableName)
+      .select(knex.raw('? AS ??', [provider, 'provider']), knex.raw('? AS ??', [model, 'model']), knex.raw('? AS ??', [dimensions, 'dimensions']))
+      .count({ count: '*' })
+      .whereNotNull(embedding)
+      .groupBy(provider, model, dimensions);
+
+    return rows.map(row => ({
+      provider: row.provider || null,
+      model: row.model || null,
+      dimensions: row.dimensions ? Number(row.dimensions) : null,
+      count: Number(row.count)
+    }));
+  },
+
+  // Coverage of each model version the entries are embedded with, and of the active model. Versions
+  // other than the active one are not searched. Vectors are stored per entry, so both sides count
+  // entries: the draft and published versions of a document, in every locale.
+  async getVersionStats(contentType) {
+    const modelInfo = strapi.plugin('semantic-search').service('embeddingService').getModelInfo();
+    const total = await strapi.db.query(contentType).count();
+    const versions = {};
+    let active = 0;
+
+    (await this.countVersions(contentType)).forEach(row => {
+      const version = getModelVersion(row) || 'unknown';
+      const counts = versions[version] || { withEmbeddings: 0 };
+
+      counts.withEmbeddings += row.count;
+      counts.coverage = total > 0 ? (counts.withEmbeddings / total * 100).toFixed(2) + '%' : '0%';
+      versions[version] = counts;
+
+      if (matchesModel(row, modelInfo)) {
+        active += row.count;
+      }
+    });
+
+    return {
+      activeVersion: getModelVersion(modelInfo || {}),
+      activeCoverage: total > 0 ? (active / total * 100).toFixed(2) + '%' : '0%',
+      entries: total,
+      versions
+    };
+  },
+
+  // Coverage of a content type, broken down per locale for localized types and per model version
+  async getContentTypeStats(contentType) {
+    const stats = await this.countContentType(contentType);
+    const migrationService = strapi.plugin('semantic-search').service('migrationService');
+
+    Object.assign(stats, await this.getVersionStats(contentType));
+
+    if (migrationService.isRunning()) {
+      stats.migration = await migrationService.getContentTypeStatus(contentType);
+    }
+
+    return stats;
+  },
+
+  async countContentType(contentType) {
+    const model = strapi.getModel(contentType);
+    const i18n = strapi.plugin('i18n');
+
+    if (!model || !model.attributes.locale || !i18n) {
+      return this.countEmbeddings(contentType);
+    }
+
+    const locales = await i18n.service('locales').find();
+    const byLocale = {};
+    for (const { code } of locales) {
+      byLocale[code] = await this.countEmbeddings(contentType, code);
+    }
+
+    const total = Object.values(byLocale).reduce((sum, counts) => sum + counts.total, 0);
+    const withEmbeddings = Object.values(byLocale).reduce((sum, counts) => sum + counts.withEmbeddings, 0);
+
+    return {
+      total,
+      withEmbeddings,
+      coverage: total > 0 ? (withEmbeddings / total * 100).toFixed(2) + '%' : '0%',
+      locales: byLocale
+    };
+  },
+
   async getEmbeddingStats(contentType = null) {
     try {
       const stats = {};
 
       if (contentType) {
         // Stats for specific content type
-        const total = await strapi.documents(contentType).count();
-        const withEmbeddings = await strapi.documents(contentType).count({
-          filters: { embedding: { $notNull: true } }
-        });
-
-        stats[contentType] = {
-          total,
-          withEmbeddings,
-          coverage: total > 0 ? (withEmbeddings / total * 100).toFixed(2) + '%' : '0%'
-        };
+        stats[contentType] = await this.getContentTypeStats(contentType);
 
       } else {
-        // Stats for all content types
-        const contentTypes = Object.keys(strapi.contentTypes)
-          .filter(type => !type.startsWith('admin::') && !type.startsWith('plugin::'));
+        // Stats for every content type configured for search
+        const contentTypes = Object.keys((strapi.plugin('semantic-search').config || {}).contentTypes || {});
 
         for (const type of contentTypes) {
           try {
-            const total = await strapi.documents(type).count();
-            const withEmbeddings = await strapi.documents(type).count({
-              filters: { embedding: { $notNull: true } }
-            });
-
-            stats[type] = {
-              total,
-              withEmbeddings,
-              coverage: total > 0 ? (withEmbeddings / total * 100).toFixed(2) + '%' : '0%'
-            };
+            stats[type] = await this.getContentTypeStats(type);
           } catch (error) {
             // Skip content types that can't be queried
             strapi.log.debug(`Skipping stats for ${type}:`, error.message);
@@ -0,0 +1,33 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Identifies the search a cursor belongs to, so it cannot be replayed against different parameters
+function createQueryKey(params) {
+  return crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex').slice(0, 16);
+}
+
+// Opaque to clients: base64url JSON of the query key, the offset of the next page and the page size
+function encodeCursor({ key, offset, pageSize }) {
+  return Buffer.from(JSON.stringify({ k: key, o: offset, s: pageSize })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { k, o, s } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (typeof k !== 'string' || !Number.isInteger(o) || o < 0 || !Number.isInteger(s) || s < 1) {
+      return null;
+    }
+
+    return { key: k, offset: o, pageSize: s };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  createQueryKey,
+  encodeCursor,
+  decodeCursor,
+};
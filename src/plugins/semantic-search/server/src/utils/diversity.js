@@ -0,0 +1,120 @@
+'use strict';
+
+const { getRankingScore } = require('./results');
+
+// Cosine similarity of two document vectors, or null when they cannot be compared (missing, or
+// embedded by models of other dimensions)
+function vectorSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) {
+    return null;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+function toDuplicate(result, similarity) {
+  return {
+    id: result.id,
+    documentId: result.documentId,
+    ...(result.contentType && { contentType: result.contentType }),
+    locale: result.locale || null,
+    similarityScore: result.similarityScore,
+    similarity
+  };
+}
+
+// Folds each result into the first better ranked result it copies: one whose embedding is at least
+// `threshold` similar, or that has the same `groupKey`. `getRule(result)` gives `{ enabled, threshold,
+// groupKey }`, and only results whose rule is enabled take in copies. Results must be ranked best first.
+function collapseDuplicates(results, getRule) {
+  const kept = [];
+
+  for (const result of results) {
+    const rule = getRule(result);
+    let original = null;
+    let similarity = null;
+
+    for (const candidate of kept) {
+      if (!candidate.rule.enabled) {
+        continue;
+      }
+
+      similarity = vectorSimilarity(candidate.result.embedding, result.embedding);
+      const sameGroup = rule.groupKey !== null && rule.groupKey === candidate.rule.groupKey;
+
+      if (sameGroup || (similarity !== null && similarity >= candidate.rule.threshold)) {
+        original = candidate;
+        break;
+      }
+    }
+
+    if (original) {
+      original.duplicates.push(toDuplicate(result, similarity));
+    } else {
+      kept.push({ result, rule, duplicates: [] });
+    }
+  }
+
+  return kept.map(({ result, rule, duplicates }) => (rule.enabled ? { ...result, duplicates } : result));
+}
+
+// Maximal Marginal Relevance: picks up to `limit` results one at a time, each time the one with the
+// best `lambda * relevance - (1 - lambda) * similarity to the results already picked`. Relevance is the
+// ranking score scaled to 0..1 over the candidates. Each pick keeps its MMR value as `mmrScore`; the
+// values never increase, so the picks stay in order when results are sorted by score.
+function selectByMMR(results, { lambda, limit }) {
+  if (results.length === 0) {
+    return [];
+  }
+
+  const scores = results.map(getRankingScore);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  const relevance = scores.map(score => (max === min ? 1 : (score - min) / (max - min)));
+
+  // Highest similarity of each candidate to any result picked so far
+  const redundancy = results.map(() => 0);
+  const remaining = results.map((result, index) => index);
+  const picked = [];
+
+  while (picked.length < limit && remaining.length > 0) {
+    let bestPosition = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((index, position) => {
+      const score = lambda * relevance[index] - (1 - lambda) * redundancy[index];
+      if (score > bestScore) {
+        bestScore = score;
+        bestPosition = position;
+      }
+    });
+
+    const [chosen] = remaining.splice(bestPosition, 1);
+    picked.push({ ...results[chosen], mmrScore: bestScore });
+
+    remaining.forEach(index => {
+      const similarity = vectorSimilarity(results[chosen].embedding, results[index].embedding);
+      if (similarity !== null && similarity > redundancy[index]) {
+        redundancy[index] = similarity;
+      }
+    });
+  }
+
+  return picked;
+}
+
+module.exports = {
+  vectorSimilarity,
+  collapseDuplicates,
+  selectByMMR,
+};
@@ -0,0 +1,260 @@
+'use strict';
+
+const NUMBER_TYPES = ['integer', 'biginteger', 'float', 'decimal'];
+const DATE_TYPES = ['date', 'datetime', 'timestamp', 'time'];
+const TEXT_TYPES = ['string', 'text', 'richtext', 'email', 'uid', 'enumeration'];
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$not'];
+const EQUALITY_OPERATORS = ['$eq', '$ne'];
+const RANGE_OPERATORS = ['$lt', '$lte', '$gt', '$gte'];
+const LIST_OPERATORS = ['$in', '$notIn'];
+const NULL_OPERATORS = ['$null', '$notNull'];
+const TEXT_OPERATORS = [
+  '$eqi', '$nei',
+  '$contains', '$notContains', '$containsi', '$notContainsi',
+  '$startsWith', '$startsWithi', '$endsWith', '$endsWithi'
+];
+
+// Every entry has these, but they are not part of the schema attributes
+const IMPLICIT_ATTRIBUTES = {
+  id: { type: 'integer' },
+  documentId: { type: 'string' }
+};
+
+// The schema that holds the fields below a relation or component attribute
+function getNestedSchema(attribute, getModel) {
+  if (attribute.type === 'relation') return attribute.target ? getModel(attribute.target) : null;
+  if (attribute.type === 'component') return getModel(attribute.component);
+  return null;
+}
+
+function getAttribute(schema, key) {
+  return (schema && schema.attributes[key]) || IMPLICIT_ATTRIBUTES[key] || null;
+}
+
+// Attribute a dotted path such as `author.name` points to, following relations and components; null if none
+function resolveAttribute(path, contentType, getModel) {
+  let schema = getModel(contentType);
+  let attribute = null;
+
+  for (const segment of path.split('.')) {
+    if (attribute) {
+      schema = getNestedSchema(attribute, getModel);
+    }
+
+    attribute = schema ? getAttribute(schema, segment) : null;
+    if (!attribute) {
+      return null;
+    }
+  }
+
+  return attribute;
+}
+
+function isScalar(attribute) {
+  return [...NUMBER_TYPES, ...DATE_TYPES, ...TEXT_TYPES, 'boolean'].includes(attribute.type);
+}
+
+function isValidValue(value, attribute) {
+  const { type } = attribute;
+
+  if (NUMBER_TYPES.includes(type)) {
+    return (typeof value === 'number' || typeof value === 'string') && value !== '' && Number.isFinite(Number(value));
+  }
+
+  if (type === 'time') {
+    return typeof value === 'string' && /^\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/.test(value);
+  }
+
+  if (DATE_TYPES.includes(type)) {
+    return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime());
+  }
+
+  if (type === 'boolean') {
+    return [true, false, 'true', 'false'].includes(value);
+  }
+
+  if (type === 'enumeration' && Array.isArray(attribute.enum)) {
+    return attribute.enum.includes(value);
+  }
+
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+function describeValue(attribute) {
+  if (NUMBER_TYPES.includes(attribute.type)) return 'a number';
+  if (attribute.type === 'time') return 'a time (HH:mm:ss)';
+  if (DATE_TYPES.includes(attribute.type)) return 'a date';
+  if (attribute.type === 'boolean') return 'true or false';
+  if (attribute.type === 'enumeration' && Array.isArray(attribute.enum)) return `one of: ${attribute.enum.join(', ')}`;
+  return 'a string';
+}
+
+// Checks the condition on one scalar field, e.g. `{ $gte: 10, $lt: 20 }`, `'tech'` or `['tech', 'news']`
+function validateCondition(condition, attribute, fieldPath) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    // A bare value means `$eq`, a bare list `$in`
+    return validateCondition({ [Array.isArray(condition) ? '$in' : '$eq']: condition }, attribute, fieldPath);
+  }
+
+  const invalid = `must be ${describeValue(attribute)}`;
+
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (operator === '$not') {
+      const error = validateCondition(operand, attribute, fieldPath);
+      if (error) return error;
+      continue;
+    }
+
+    if (operator === '$and' || operator === '$or') {
+      if (!Array.isArray(operand)) {
+        return `${operator} on ${fieldPath} must be an array of conditions`;
+      }
+      for (const nested of operand) {
+        const error = validateCondition(nested, attribute, fieldPath);
+        if (error) return error;
+      }
+      continue;
+    }
+
+    if (EQUALITY_OPERATORS.includes(operator)) {
+      if (operand !== null && !isValidValue(operand, attribute)) {
+        return `${operator} on ${fieldPath} ${invalid}`;
+      }
+    } else if (RANGE_OPERATORS.includes(operator) || operator === '$between') {
+      if (![...NUMBER_TYPES, ...DATE_TYPES].includes(attribute.type)) {
+        return `${operator} needs a number or date field, and ${fieldPath} is not one`;
+      }
+      const bounds = operator === '$between' ? operand : [operand];
+      if (!Array.isArray(bounds) || (operator === '$between' && bounds.length !== 2)) {
+        return `$between on ${fieldPath} must be an array of two values`;
+      }
+      if (!bounds.every(bound => isValidValue(bound, attribute))) {
+        return `${operator} on ${fieldPath} ${invalid}`;
+      }
+    } else if (LIST_OPERATORS.includes(operator)) {
+      if (!Array.isArray(operand) || operand.length === 0) {
+        return `${operator} on ${fieldPath} must be a non-empty array`;
+      }
+      if (!operand.every(value => isValidValue(value, attribute))) {
+        return `Every value of ${operator} on ${fieldPath} ${invalid}`;
+      }
+    } else if (NULL_OPERATORS.includes(operator)) {
+      if (![true, false, 'true', 'false'].includes(operand)) {
+        return `${operator} on ${fieldPath} must be true or false`;
+      }
+    } else if (TEXT_OPERATORS.includes(operator)) {
+      if (!TEXT_TYPES.includes(attribute.type)) {
+        return `${operator} needs a text field, and ${fieldPath} is not one`;
+      }
+      if (typeof operand !== 'string') {
+        return `${operator} on ${fieldPath} must be a string`;
+      }
+    } else {
+      return `Unknown filter operator ${operator} on ${fieldPath}`;
+    }
+  }
+
+  return null;
+}
+
+// Validates Strapi `filters` against the fields in `allowed` and the content type schema. Allowed fields
+// are checked first so that unlisted fields do not reveal whether they exist. Returns an error or null.
+function validateFilterQuery(filters, { contentType, allowed, getModel }, schema = getModel(contentType), path = null) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return path ? `Filters on ${path} must be an object` : 'filters must be an object';
+  }
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      const groups = key === '$not' ? [value] : value;
+      if (!Array.isArray(groups)) {
+        return `${key} must be an array of filters`;
+      }
+      for (const group of groups) {
+        const error = validateFilterQuery(group, { contentType, allowed, getModel }, schema, path);
+        if (error) return error;
+      }
+      continue;
+    }
+
+    if (key.startsWith('$')) {
+      return path
+        ? `${path} is not a field that can be compared; filter on one of its fields instead`
+        : `Unknown filter operator ${key}`;
+    }
+
+    const fieldPath = path ? `${path}.${key}` : key;
+    const attribute = getAttribute(schema, key);
+    const nested = attribute && getNestedSchema(attribute, getModel);
+
+    // Relation and component paths may be walked when a deeper field is allowed
+    const isAllowed = nested
+      ? allowed.some(field => field.startsWith(`${fieldPath}.`))
+      : allowed.includes(fieldPath);
+
+    if (!isAllowed) {
+      return `Filtering on ${fieldPath} is not allowed for ${contentType}`;
+    }
+
+    if (!attribute) {
+      return `${fieldPath} does not exist on ${contentType}`;
+    }
+
+    if (nested) {
+      const error = validateFilterQuery(value, { contentType, allowed, getModel }, nested, fieldPath);
+      if (error) return error;
+      continue;
+    }
+
+    if (!isScalar(attribute)) {
+      return `${fieldPath} is a ${attribute.type} field and cannot be filtered`;
+    }
+
+    const error = validateCondition(value, attribute, fieldPath);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+// Distinct values of a path on an entry; relations and repeatable components give one value per item
+function getPathValues(value, segments) {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value)) return value.flatMap(item => getPathValues(item, segments));
+  if (segments.length === 0) return typeof value === 'object' ? [] : [value];
+
+  const [segment, ...rest] = segments;
+  return typeof value === 'object' ? getPathValues(value[segment], rest) : [];
+}
+
+// Document Service `populate` that loads the relation and component fields of the given paths
+function buildFacetPopulate(paths) {
+  const populate = {};
+
+  paths.filter(path => path.includes('.')).forEach(path => {
+    const segments = path.split('.');
+    const field = segments.pop();
+    let level = populate;
+
+    segments.forEach((segment, index) => {
+      level[segment] = level[segment] || {};
+      if (index === segments.length - 1) {
+        level[segment].fields = [...(level[segment].fields || []), field];
+      } else {
+        level[segment].populate = level[segment].populate || {};
+        level = level[segment].populate;
+      }
+    });
+  });
+
+  return populate;
+}
+
+module.exports = {
+  resolveAttribute,
+  isScalar,
+  validateFilterQuery,
+  getPathValues,
+  buildFacetPopulate,
+};
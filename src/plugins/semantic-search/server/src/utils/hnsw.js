@@ -0,0 +1,390 @@
+'use strict';
+
+// Hierarchical Navigable Small World graph (Malkov & Yashunin) over normalized vectors, scored by
+// cosine similarity. Removed nodes stay in the graph as tombstones so searches can still route
+// through them; `compact()` rebuilds the graph without them.
+
+const FORMAT_VERSION = 1;
+
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function normalize(vector) {
+  const normalized = Float32Array.from(vector);
+  const magnitude = Math.sqrt(dot(normalized, normalized));
+
+  if (magnitude > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= magnitude;
+    }
+  }
+
+  return normalized;
+}
+
+class HnswIndex {
+  constructor({ dimensions, m = 16, efConstruction = 64, efSearch = 64 } = {}) {
+    if (!Number.isInteger(dimensions) || dimensions < 1) {
+      throw new Error('HNSW index requires a positive number of dimensions');
+    }
+
+    this.dimensions = dimensions;
+    this.m = m;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(m);
+
+    this.vectors = [];
+    this.levels = [];
+    this.links = [];
+    this.labels = [];
+    this.deleted = [];
+    this.nodesByLabel = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  get options() {
+    return { dimensions: this.dimensions, m: this.m, efConstruction: this.efConstruction, efSearch: this.efSearch };
+  }
+
+  // Live (non-deleted) vectors
+  get size() {
+    return this.nodesByLabel.size;
+  }
+
+  get deletedRatio() {
+    return this.vectors.length === 0 ? 0 : 1 - this.size / this.vectors.length;
+  }
+
+  has(label) {
+    return this.nodesByLabel.has(label);
+  }
+
+  getVector(label) {
+    const node = this.nodesByLabel.get(label);
+    return node === undefined ? null : this.vectors[node];
+  }
+
+  labelsIterator() {
+    return this.nodesByLabel.keys();
+  }
+
+  add(label, vector) {
+    if (!vector || vector.length !== this.dimensions) {
+      throw new Error(`Vector has ${vector ? vector.length : 0} dimensions, the index has ${this.dimensions}`);
+    }
+
+    this.remove(label);
+
+    const node = this.vectors.length;
+    const level = Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+    const query = normalize(vector);
+
+    this.vectors.push(query);
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.labels.push(label);
+    this.deleted.push(false);
+    this.nodesByLabel.set(label, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.greedyClosest(query, entry, layer);
+    }
+
+    let entryPoints = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(query, entryPoints, this.efConstruction, layer);
+      const maxLinks = layer === 0 ? this.m * 2 : this.m;
+      const neighbours = this.selectNeighbours(candidates, this.m);
+
+      this.links[node][layer] = neighbours.map(candidate => candidate.node);
+      neighbours.forEach(({ node: neighbour }) => {
+        const links = this.links[neighbour][layer];
+        links.push(node);
+        if (links.length > maxLinks) {
+          this.shrinkLinks(neighbour, layer, maxLinks);
+        }
+      });
+
+      entryPoints = candidates.map(candidate => candidate.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  remove(label) {
+    const node = this.nodesByLabel.get(label);
+    if (node === undefined) {
+      return false;
+    }
+
+    this.deleted[node] = true;
+    this.nodesByLabel.delete(label);
+    return true;
+  }
+
+  // Returns up to `k` `{ label, similarity }` pairs, best first. `filter(label)` restricts the
+  // results without restricting the graph walk, so selective filters still find their matches.
+  search(vector, k, { ef = this.efSearch, filter = null } = {}) {
+    if (this.size === 0 || k < 1) {
+      return [];
+    }
+
+    const query = normalize(vector);
+    const accept = node => !this.deleted[node] && (!filter || filter(this.labels[node]));
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.greedyClosest(query, entry, layer);
+    }
+
+    return this.searchLayer(query, [entry], Math.max(ef, k), 0, accept)
+      .slice(0, k)
+      .map(({ node, distance }) => ({ label: this.labels[node], similarity: 1 - distance }));
+  }
+
+  // Exact scores for a known set of labels, used when a filter leaves only a few candidates
+  scan(vector, labels) {
+    const query = normalize(vector);
+    const results = [];
+
+    for (const label of labels) {
+      const stored = this.getVector(label);
+      if (stored) {
+        results.push({ label, similarity: dot(query, stored) });
+      }
+    }
+
+    return results.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  greedyClosest(query, entry, layer) {
+    let current = entry;
+    let currentDistance = 1 - dot(query, this.vectors[current]);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbour of this.links[current][layer] || []) {
+        const distance = 1 - dot(query, this.vectors[neighbour]);
+        if (distance < currentDistance) {
+          current = neighbour;
+          currentDistance = distance;
+          improved = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  searchLayer(query, entryPoints, ef, layer, accept = null) {
+    const visited = new Uint8Array(this.vectors.length);
+    const candidates = new Heap((a, b) => a.distance - b.distance);
+    const results = new Heap((a, b) => b.distance - a.distance);
+
+    entryPoints.forEach(node => {
+      if (visited[node]) return;
+      visited[node] = 1;
+
+      const item = { node, distance: 1 - dot(query, this.vectors[node]) };
+      candidates.push(item);
+      if (!accept || accept(node)) {
+        results.push(item);
+      }
+    });
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) {
+        break;
+      }
+
+      for (const neighbour of this.links[current.node][layer] || []) {
+        if (visited[neighbour]) continue;
+        visited[neighbour] = 1;
+
+        const distance = 1 - dot(query, this.vectors[neighbour]);
+        if (results.size < ef || distance < results.peek().distance) {
+          const item = { node: neighbour, distance };
+          candidates.push(item);
+
+          if (!accept || accept(neighbour)) {
+            results.push(item);
+            if (results.size > ef) {
+              results.pop();
+            }
+          }
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.distance - b.distance);
+  }
+
+  // Neighbour selection heuristic: prefer candidates that are closer to the node than to any
+  // neighbour already chosen, which keeps links spread across clusters
+  selectNeighbours(candidates, count) {
+    const selected = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+
+      const vector = this.vectors[candidate.node];
+      if (selected.every(kept => 1 - dot(vector, this.vectors[kept.node]) > candidate.distance)) {
+        selected.push(candidate);
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      if (!selected.includes(candidate)) {
+        selected.push(candidate);
+      }
+    }
+
+    return selected;
+  }
+
+  shrinkLinks(node, layer, maxLinks) {
+    const vector = this.vectors[node];
+    const candidates = this.links[node][layer]
+      .map(neighbour => ({ node: neighbour, distance: 1 - dot(vector, this.vectors[neighbour]) }))
+      .sort((a, b) => a.distance - b.distance);
+
+    this.links[node][layer] = this.selectNeighbours(candidates, maxLinks).map(candidate => candidate.node);
+  }
+
+  // Layout: uint32 header length, JSON header, zero padding to 4 bytes, float32 vectors
+  serialize() {
+    const header = Buffer.from(JSON.stringify({
+      version: FORMAT_VERSION,
+      ...this.options,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      labels: this.labels,
+      levels: this.levels,
+      links: this.links,
+      deleted: this.deleted.reduce((nodes, deleted, node) => (deleted ? nodes.concat(node) : nodes), [])
+    }));
+
+    const headerEnd = 4 + header.length;
+    const dataStart = Math.ceil(headerEnd / 4) * 4;
+    const buffer = Buffer.alloc(dataStart + this.vectors.length * this.dimensions * 4);
+
+    buffer.writeUInt32LE(header.length, 0);
+    header.copy(buffer, 4);
+
+    const data = new Float32Array(buffer.buffer, buffer.byteOffset + dataStart, this.vectors.length * this.dimensions);
+    this.vectors.forEach((vector, node) => data.set(vector, node * this.dimensions));
+
+    return buffer;
+  }
+
+  static deserialize(buffer) {
+    const headerLength = buffer.readUInt32LE(0);
+    const header = JSON.parse(buffer.toString('utf8', 4, 4 + headerLength));
+
+    if (header.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported HNSW index format version ${header.version}`);
+    }
+
+    const index = new HnswIndex(header);
+    const dataStart = Math.ceil((4 + headerLength) / 4) * 4;
+    const count = header.labels.length;
+
+    // Copy into an aligned buffer: the file buffer may start at any byte offset
+    const data = new Float32Array(count * header.dimensions);
+    new Uint8Array(data.buffer).set(buffer.subarray(dataStart, dataStart + data.byteLength));
+
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.labels = header.labels;
+    index.levels = header.levels;
+    index.links = header.links;
+    index.deleted = new Array(count).fill(false);
+    header.deleted.forEach(node => {
+      index.deleted[node] = true;
+    });
+
+    for (let node = 0; node < count; node++) {
+      index.vectors.push(data.subarray(node * header.dimensions, (node + 1) * header.dimensions));
+      if (!index.deleted[node]) {
+        index.nodesByLabel.set(header.labels[node], node);
+      }
+    }
+
+    return index;
+  }
+}
+
+module.exports = {
+  HnswIndex,
+};
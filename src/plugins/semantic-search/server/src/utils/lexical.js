@@ -0,0 +1,27 @@
+'use strict';
+
+// Lowercased words and numbers with diacritics removed, e.g. "Café E-404" -> ["cafe", "e", "404"]
+function tokenize(text) {
+  if (typeof text !== 'string') return [];
+
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Lexical indexes cover the same text as the embeddings: the chunks kept in `embeddingMetadata`
+function getChunkTexts(entry) {
+  const metadata = entry && entry.embeddingMetadata;
+  if (!metadata || !Array.isArray(metadata.chunks)) return [];
+
+  return metadata.chunks
+    .filter(chunk => typeof chunk.text === 'string' && chunk.text.trim() !== '')
+    .map(chunk => ({ index: chunk.index, text: chunk.text }));
+}
+
+module.exports = {
+  tokenize,
+  getChunkTexts,
+};
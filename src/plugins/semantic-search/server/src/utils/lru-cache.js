@@ -0,0 +1,52 @@
+'use strict';
+
+// Size-bounded map that evicts the least recently used key, with an optional time to live in ms.
+// A Map keeps insertion order, so re-inserting a key on every read keeps the oldest key first.
+class LruCache {
+  constructor({ maxEntries = 1000, ttl = 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttl = this.ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttl > 0 ? Date.now() + ttl : 0 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  LruCache,
+};
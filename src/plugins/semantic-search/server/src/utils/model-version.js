@@ -0,0 +1,22 @@
+'use strict';
+
+// Names the vector space an embedding lives in: provider, model and, when known, dimensions.
+// Vectors of two versions cannot be compared, even when their lengths match.
+function getModelVersion({ provider, model, dimensions = null } = {}) {
+  if (!provider || !model) return null;
+  return dimensions ? `${provider}/${model}@${dimensions}` : `${provider}/${model}`;
+}
+
+// Whether embedding metadata comes from a model given as `{ provider, model, dimensions }`. A model
+// without configured dimensions matches vectors of any length.
+function matchesModel(metadata, modelInfo) {
+  return !!metadata && !!modelInfo &&
+    metadata.provider === modelInfo.provider &&
+    metadata.model === modelInfo.model &&
+    (!modelInfo.dimensions || metadata.dimensions === modelInfo.dimensions);
+}
+
+module.exports = {
+  getModelVersion,
+  matchesModel,
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+// Keys the search adds to each document; everything else on a result is the document itself
+const RESULT_KEYS = [
+  'contentType',
+  'similarityScore',
+  'matchedPassage',
+  'semanticScore',
+  'lexicalScore',
+  'fusedScore',
+  'originalScore',
+  'rerankScore',
+  'normalizedScore',
+  'mmrScore',
+  'duplicates'
+];
+
+// Rank offset for reciprocal rank fusion; 60 is the value from the original RRF paper
+const RRF_K = 60;
+
+// minmax and zscore take their scale from each content type's best this many results, on every page
+const NORMALIZATION_WINDOW = 100;
+
+function splitResult(result) {
+  const document = {};
+  const scores = {};
+
+  Object.keys(result).forEach(key => {
+    if (RESULT_KEYS.includes(key)) {
+      scores[key] = result[key];
+    } else {
+      document[key] = result[key];
+    }
+  });
+
+  return { document, scores };
+}
+
+// Score that orders a result: the MMR score, the normalized score of merged content types, the re-rank
+// score, then the fused score (hybrid), then similarity
+function getRankingScore(result) {
+  if (result.mmrScore !== undefined) return result.mmrScore;
+  if (result.normalizedScore !== undefined) return result.normalizedScore;
+  if (result.rerankScore !== undefined) return result.rerankScore;
+  return result.fusedScore !== undefined ? result.fusedScore : result.similarityScore;
+}
+
+// Strapi `sort` syntax ('title:asc', 'title,createdAt:desc', ['title:asc'], { title: 'asc' } or an
+// array of such objects) as `[{ field, order }]`. Only top-level attributes are kept.
+function parseSort(sort) {
+  if (!sort) return [];
+
+  if (Array.isArray(sort)) {
+    return sort.flatMap(parseSort);
+  }
+
+  if (typeof sort === 'string') {
+    return sort.split(',').map(part => {
+      const [field, order = 'asc'] = part.trim().split(':');
+      return { field, order: order.toLowerCase() === 'desc' ? 'desc' : 'asc' };
+    }).filter(({ field }) => field);
+  }
+
+  if (typeof sort === 'object') {
+    return Object.entries(sort)
+      .filter(([, order]) => typeof order === 'string')
+      .map(([field, order]) => ({ field, order: order.toLowerCase() === 'desc' ? 'desc' : 'asc' }));
+  }
+
+  return [];
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// Orders results by ranking score, and results whose scores tie (to 6 decimals) by `sort`. Remaining
+// ties go by content type and id, so the same search always returns the same order.
+function sortResults(results, sort) {
+  const order = parseSort(sort);
+  const rounded = result => Math.round(getRankingScore(result) * 1e6);
+
+  return [...results].sort((a, b) => {
+    const byScore = rounded(b) - rounded(a);
+    if (byScore !== 0) {
+      return byScore;
+    }
+
+    for (const { field, order: direction } of order) {
+      const compared = compareValues(a[field], b[field]);
+      if (compared !== 0) {
+        return direction === 'desc' ? -compared : compared;
+      }
+    }
+
+    return getRankingScore(b) - getRankingScore(a) ||
+      compareValues(a.contentType, b.contentType) ||
+      compareValues(a.id, b.id);
+  });
+}
+
+// Puts one content type's ranking scores on a common scale, so merged content types compete fairly:
+// `minmax` scales them to 0..1, `zscore` standardizes them (mapped to 0..1 by the logistic function),
+// `rrf` scores each result by its rank in its own type and `raw` keeps them as they are. Results must be
+// ranked best first: the scale comes from the first `NORMALIZATION_WINDOW`, so it does not change with
+// the page, and results past them can fall below 0 with `minmax`.
+function normalizeScores(results, strategy) {
+  const scores = results.map(getRankingScore);
+  const window = scores.slice(0, NORMALIZATION_WINDOW);
+
+  if (strategy === 'minmax') {
+    const max = Math.max(...window);
+    const min = Math.min(...window);
+    return scores.map(score => (max === min ? 1 : (score - min) / (max - min)));
+  }
+
+  if (strategy === 'zscore') {
+    const mean = window.reduce((sum, score) => sum + score, 0) / window.length;
+    const deviation = Math.sqrt(window.reduce((sum, score) => sum + (score - mean) * (score - mean), 0) / window.length);
+    return scores.map(score => 1 / (1 + Math.exp(-(deviation === 0 ? 0 : (score - mean) / deviation))));
+  }
+
+  if (strategy === 'rrf') {
+    return scores.map((score, index) => 1 / (RRF_K + index + 1));
+  }
+
+  return scores;
+}
+
+// Moves results up so that each page holds at least `quotas[contentType]` results of that type while the
+// type has results left. A promoted result takes the place of the lowest ranked result of a type that
+// is above its own quota, which moves to the top of the next page.
+function applyQuotas(results, quotas, pageSize) {
+  const remaining = [...results];
+  const ordered = [];
+  const countOf = (page, contentType) => page.filter(result => result.contentType === contentType).length;
+
+  while (remaining.length > 0) {
+    const page = remaining.splice(0, pageSize);
+
+    Object.entries(quotas).forEach(([contentType, quota]) => {
+      for (let count = countOf(page, contentType); count < quota; count++) {
+        const promoted = remaining.findIndex(result => result.contentType === contentType);
+        let demoted = page.length - 1;
+        while (demoted >= 0 && (page[demoted].contentType === contentType ||
+          countOf(page, page[demoted].contentType) <= (quotas[page[demoted].contentType] || 0))) {
+          demoted--;
+        }
+
+        if (promoted === -1 || demoted === -1) {
+          break;
+        }
+
+        remaining.unshift(page.splice(demoted, 1)[0]);
+        page.push(remaining.splice(promoted + 1, 1)[0]);
+      }
+    });
+
+    ordered.push(...page);
+  }
+
+  return ordered;
+}
+
+module.exports = {
+  RESULT_KEYS,
+  RRF_K,
+  NORMALIZATION_WINDOW,
+  splitResult,
+  getRankingScore,
+  parseSort,
+  sortResults,
+  normalizeScores,
+  applyQuotas,
+};
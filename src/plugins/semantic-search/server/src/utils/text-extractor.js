@@ -0,0 +1,226 @@
+'use strict';
+
+const TEXT_ATTRIBUTE_TYPES = ['string', 'text', 'richtext', 'blocks'];
+const NESTED_ATTRIBUTE_TYPES = ['component', 'dynamiczone'];
+
+// Keys that never hold prose when walking values without a schema
+const IGNORED_KEYS = ['id', 'documentId', '__component', '__pivot', '__temp_key__', 'type', 'url', 'format', 'level', 'mime', 'hash', 'ext', 'provider', 'locale'];
+
+function inlineToText(nodes) {
+  if (!Array.isArray(nodes)) return '';
+
+  return nodes
+    .map(node => {
+      if (!node) return '';
+      if (node.type === 'text') return node.text || '';
+      if (Array.isArray(node.children)) return inlineToText(node.children);
+      return '';
+    })
+    .join('');
+}
+
+// Walks Strapi 5 `blocks` content (paragraphs, headings, lists, quotes, code, links, images)
+function blocksToText(blocks) {
+  if (!Array.isArray(blocks)) return '';
+
+  const lines = [];
+
+  blocks.forEach(block => {
+    if (!block) return;
+
+    switch (block.type) {
+      case 'list':
+        (block.children || []).forEach(item => {
+          const text = item.type === 'list' ? blocksToText([item]) : inlineToText(item.children);
+          if (text.trim()) lines.push(text);
+        });
+        break;
+      case 'image':
+        if (block.image && block.image.alternativeText) {
+          lines.push(block.image.alternativeText);
+        }
+        break;
+      default: {
+        const text = inlineToText(block.children);
+        if (text.trim()) lines.push(text);
+      }
+    }
+  });
+
+  return lines.join('\n');
+}
+
+// Reduces markdown (`richtext`) to its readable text
+function markdownToText(markdown) {
+  if (typeof markdown !== 'string') return '';
+
+  return markdown
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '')
+    .replace(/^\s*\|?(?:\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/gm, '')
+    .replace(/\|/g, ' ')
+    .replace(/(\*\*|__|~~)(.*?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2');
+}
+
+function isBlocks(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item.type === 'string' && Array.isArray(item.children));
+}
+
+// Fallback for values whose attribute type is unknown
+function collectStrings(value) {
+  if (typeof value === 'string') return value;
+  if (isBlocks(value)) return blocksToText(value);
+  if (Array.isArray(value)) return value.map(collectStrings).filter(Boolean).join('\n');
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => !IGNORED_KEYS.includes(key))
+      .map(key => collectStrings(value[key]))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  return '';
+}
+
+function componentToText(value, componentUid, getModel) {
+  const schema = componentUid && getModel(componentUid);
+  if (!schema) return collectStrings(value);
+
+  return Object.keys(schema.attributes)
+    .filter(name => [...TEXT_ATTRIBUTE_TYPES, ...NESTED_ATTRIBUTE_TYPES].includes(schema.attributes[name].type))
+    .map(name => valueToText(value[name], schema.attributes[name], getModel))
+    .filter(Boolean)
+    .join('\n');
+}
+
+function valueToText(value, attribute, getModel) {
+  if (value === null || value === undefined) return '';
+
+  const type = attribute && attribute.type;
+
+  if (type === 'richtext') return markdownToText(value);
+  if (type === 'blocks') return blocksToText(value);
+  if (type === 'string' || type === 'text') return typeof value === 'string' ? value : '';
+
+  if (type === 'component') {
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => componentToText(item, attribute.component, getModel)).filter(Boolean).join('\n');
+  }
+
+  if (type === 'dynamiczone') {
+    return (Array.isArray(value) ? value : [])
+      .map(item => componentToText(item, item.__component, getModel))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // Relations, media and non-text scalars are not embedded
+  if (type) return '';
+
+  return collectStrings(value);
+}
+
+function getChildAttribute(attribute, key, item, getModel) {
+  if (!attribute) return null;
+
+  const componentUid = attribute.type === 'dynamiczone' ? item && item.__component : attribute.component;
+  const schema = componentUid && getModel(componentUid);
+
+  return schema ? schema.attributes[key] || null : null;
+}
+
+// Resolves a field path such as `seo.metaDescription` or `sections.*.text`
+function extractPath(value, segments, attribute, getModel) {
+  if (value === null || value === undefined) return [];
+  if (segments.length === 0) return [valueToText(value, attribute, getModel)];
+
+  const [segment, ...rest] = segments;
+
+  if (segment === '*') {
+    const items = Array.isArray(value) ? value : [value];
+    return items.flatMap(item => extractPath(item, rest, attribute, getModel));
+  }
+
+  // A path into a repeatable component or dynamic zone without `*` applies to every item
+  if (Array.isArray(value)) {
+    return value.flatMap(item => extractPath(item, segments, attribute, getModel));
+  }
+
+  if (typeof value !== 'object') return [];
+
+  const childAttribute = getChildAttribute(attribute, segment, value, getModel);
+  return extractPath(value[segment], rest, childAttribute, getModel);
+}
+
+// Text of each field, in field order, as `[{ field, text }]`. Fields without text are left out.
+function extractFieldTexts(data, fields, { uid, getModel = () => null } = {}) {
+  if (!data || !Array.isArray(fields)) return [];
+
+  const schema = uid && getModel(uid);
+
+  return fields
+    .map(field => {
+      const [root, ...rest] = field.split('.');
+      const attribute = schema ? schema.attributes[root] : null;
+
+      const text = extractPath(data[root], rest, attribute, getModel)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .join('\n');
+
+      return { field, text };
+    })
+    .filter(({ text }) => text);
+}
+
+function extractText(data, fields, options = {}) {
+  return extractFieldTexts(data, fields, options).map(({ text }) => text).join('\n');
+}
+
+function getRootField(field) {
+  return field.split('.')[0];
+}
+
+// Whether a field path crosses an attribute the content API sanitizer removes: one marked `private` in
+// its schema, or named in `privateAttributes` (the `api.responses.privateAttributes` setting)
+function isPrivateField(field, { uid, getModel = () => null, privateAttributes = [] } = {}) {
+  let schemas = uid && getModel(uid) ? [getModel(uid)] : [];
+
+  for (const segment of field.split('.')) {
+    if (segment === '*') continue;
+
+    const attributes = schemas.map(schema => schema.attributes[segment]).filter(Boolean);
+    if (privateAttributes.includes(segment) || attributes.some(attribute => attribute.private)) {
+      return true;
+    }
+
+    // A dynamic zone item can be any of its components
+    schemas = attributes
+      .flatMap(attribute => {
+        if (attribute.type === 'component') return [getModel(attribute.component)];
+        if (attribute.type === 'dynamiczone') return (attribute.components || []).map(getModel);
+        return [];
+      })
+      .filter(Boolean);
+  }
+
+  return false;
+}
+
+module.exports = {
+  blocksToText,
+  markdownToText,
+  extractText,
+  extractFieldTexts,
+  getRootField,
+  isPrivateField,
+};
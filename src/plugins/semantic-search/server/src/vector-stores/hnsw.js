@@ -0,0 +1,701 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { HnswIndex } = require('../utils/hnsw');
+const jsonStore = require('./json');
+
+const FILE_VERSION = 2;
+const LOCK_FILE = 'hnsw.lock';
+
+// Rows updated shortly before the last check are looked at again, for writes that committed late or
+// came from a host whose clock runs behind
+const REFRESH_OVERLAP = 60 * 1000;
+
+// Row timestamps as compared by the index: ISO strings, or null
+function toTimestamp(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// In-process ANN store for databases without a vector extension (SQLite, MySQL).
+// One HNSW graph per content type holds a node per chunk, labelled `<entryId>:<chunkIndex>`.
+// Entries remember which field each chunk belongs to, for content types embedded per field.
+// Graphs are built from the stored embeddings, kept current by the lifecycles and saved to disk.
+// Every process holds its own graphs and catches up with writes made by other processes; only the
+// process holding the lock file saves them.
+module.exports = ({ strapi, config, vectorService }) => ({
+
+  name: 'hnsw',
+  indexes: new Map(),
+  saveTimer: null,
+  saving: null,
+  refreshTimer: null,
+  refreshing: false,
+  persist: false,
+  heartbeatTimer: null,
+
+  // Tells this process's lock apart from one left by an earlier process with the same host and pid
+  lockId: crypto.randomBytes(8).toString('hex'),
+
+  getOptions() {
+    return {
+      m: config.m || 16,
+      efConstruction: config.efConstruction || 64,
+      efSearch: config.efSearch || 64,
+      candidateMultiplier: config.candidateMultiplier || 10,
+      exactSearchThreshold: config.exactSearchThreshold === undefined ? 1000 : config.exactSearchThreshold,
+      compactThreshold: config.compactThreshold || 0.3,
+      saveDelay: config.saveDelay === undefined ? 5000 : config.saveDelay,
+      refreshInterval: config.refreshInterval === undefined ? 30000 : config.refreshInterval,
+      lockTimeout: config.lockTimeout || 5 * 60 * 1000,
+      path: config.path || path.join(strapi.dirs.app.root, '.tmp', 'semantic-search')
+    };
+  },
+
+  getContentTypes() {
+    return Object.keys((strapi.plugin('semantic-search').config || {}).contentTypes || {});
+  },
+
+  getFile(contentType) {
+    return path.join(this.getOptions().path, `${contentType.replace(/[^a-z0-9]+/gi, '_').toLowerCase()}.hnsw`);
+  },
+
+  createIndex(dimensions) {
+    const { m, efConstruction, efSearch } = this.getOptions();
+    return new HnswIndex({ dimensions, m, efConstruction, efSearch });
+  },
+
+  createState(ready = false) {
+    return { index: null, entries: new Map(), skipped: new Map(), ready, building: null, compacting: null, checkedAt: null };
+  },
+
+  async init() {
+    await fs.promises.mkdir(this.getOptions().path, { recursive: true });
+    this.persist = await this.acquireLock();
+
+    if (this.persist) {
+      // Refresh the lock well within `lockTimeout`, so other hosts keep honouring it
+      this.heartbeatTimer = setInterval(() => {
+        this.heartbeat().catch(error => {
+          strapi.log.error('Semantic Search: Failed to refresh the HNSW index lock:', error.message);
+        });
+      }, this.getOptions().lockTimeout / 3);
+      if (this.heartbeatTimer.unref) {
+        this.heartbeatTimer.unref();
+      }
+    }
+
+    for (const contentType of this.getContentTypes()) {
+      const state = this.createState();
+      this.indexes.set(contentType, state);
+
+      const fingerprint = await this.getFingerprint(contentType);
+      const loaded = await this.load(contentType, state, fingerprint);
+
+      if (loaded) {
+        state.checkedAt = fingerprint.updatedAt;
+        strapi.log.info(`Semantic Search: Loaded HNSW index for ${contentType} (${state.entries.size} entries, ${state.index ? state.index.size : 0} vectors)`);
+        continue;
+      }
+
+      // Build in the background so a large content type does not hold up startup
+      this.build(contentType, state).catch(error => {
+        strapi.log.error(`Semantic Search: Failed to build HNSW index for ${contentType}:`, error.message);
+      });
+    }
+
+    const { refreshInterval } = this.getOptions();
+    if (refreshInterval > 0) {
+      this.refreshTimer = setInterval(() => this.refreshAll(), refreshInterval);
+      if (this.refreshTimer.unref) {
+        this.refreshTimer.unref();
+      }
+    }
+
+    strapi.log.info(`Semantic Search: Using in-process HNSW store (${this.getOptions().path})`);
+  },
+
+  async close() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.persist) {
+      await this.saveAll();
+      if (this.ownsLock(await this.readLock())) {
+        await fs.promises.unlink(this.getLockFile()).catch(() => {});
+      }
+      this.persist = false;
+    }
+  },
+
+  getLockFile() {
+    return path.join(this.getOptions().path, LOCK_FILE);
+  },
+
+  createLock() {
+    return JSON.stringify({ id: this.lockId, pid: process.pid, hostname: os.hostname(), heartbeatAt: Date.now() });
+  },
+
+  async readLock() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.getLockFile(), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  ownsLock(owner) {
+    return Boolean(owner) && owner.id === this.lockId;
+  },
+
+  // A process on this host holds the lock while it runs. One on another host cannot be checked, so its
+  // lock holds while the heartbeat is fresher than `lockTimeout`.
+  isLockHeld(owner) {
+    if (!owner || this.ownsLock(owner)) {
+      return false;
+    }
+
+    if (owner.hostname === os.hostname()) {
+      return owner.pid !== process.pid && isProcessAlive(owner.pid);
+    }
+
+    return Number.isFinite(owner.heartbeatAt) && Date.now() - owner.heartbeatAt < this.getOptions().lockTimeout;
+  },
+
+  // The saved indexes belong to one process at a time, so that a second Strapi process or the reindex
+  // CLI never overwrites them with its own view. Locks of processes that are gone are taken over.
+  async acquireLock() {
+    const file = this.getLockFile();
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.promises.writeFile(file, this.createLock(), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          strapi.log.warn(`Semantic Search: Could not lock the HNSW index directory (${error.message}), the index will not be saved`);
+          return false;
+        }
+      }
+
+      // An unreadable lock is treated as abandoned
+      const owner = await this.readLock();
+
+      if (this.isLockHeld(owner)) {
+        strapi.log.info(`Semantic Search: The saved HNSW index is in use by process ${owner.pid} on ${owner.hostname}, this process keeps its index in memory only`);
+        return false;
+      }
+
+      await fs.promises.unlink(file).catch(() => {});
+    }
+
+    return false;
+  },
+
+  // Rewrites the lock with a new timestamp. A process that stalled for longer than `lockTimeout` may
+  // have lost the lock to another host, and then stops saving.
+  async heartbeat() {
+    if (!this.persist) {
+      return;
+    }
+
+    if (!this.ownsLock(await this.readLock())) {
+      this.persist = false;
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+      strapi.log.warn('Semantic Search: Another process took over the HNSW index directory, this process keeps its index in memory only');
+      return;
+    }
+
+    // Replace the file in one step, so a process reading it never sees it half written
+    const temporary = `${this.getLockFile()}.${this.lockId}`;
+    await fs.promises.writeFile(temporary, this.createLock());
+    await fs.promises.rename(temporary, this.getLockFile());
+  },
+
+  // Cheap summary of the embedded rows, compared with the saved one to detect changes made while stopped
+  async getFingerprint(contentType) {
+    const query = strapi.db.query(contentType);
+    const where = { embedding: { $notNull: true } };
+
+    const [count, last, latest] = await Promise.all([
+      query.count({ where }),
+      query.findOne({ where, select: ['id'], orderBy: { id: 'desc' } }),
+      query.findOne({ where, select: ['id', 'updatedAt'], orderBy: { updatedAt: 'desc' } })
+    ]);
+
+    return { count, maxId: last ? last.id : 0, updatedAt: latest ? toTimestamp(latest.updatedAt) : null };
+  },
+
+  // The same summary of the rows an index holds, including those skipped for their dimensions
+  getEntryFingerprint(state) {
+    let maxId = 0;
+    let updatedAt = null;
+    const visit = (entryUpdatedAt, entryId) => {
+      maxId = Math.max(maxId, entryId);
+      if (entryUpdatedAt && (!updatedAt || entryUpdatedAt > updatedAt)) {
+        updatedAt = entryUpdatedAt;
+      }
+    };
+
+    state.entries.forEach((entry, entryId) => visit(entry.updatedAt, entryId));
+    state.skipped.forEach(visit);
+
+    return { count: state.entries.size + state.skipped.size, maxId, updatedAt };
+  },
+
+  async load(contentType, state, fingerprint) {
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(this.getFile(contentType));
+    } catch (error) {
+      return false;
+    }
+
+    try {
+      const headerLength = buffer.readUInt32LE(0);
+      const header = JSON.parse(buffer.toString('utf8', 4, 4 + headerLength));
+
+      if (header.version !== FILE_VERSION || JSON.stringify(header.fingerprint) !== JSON.stringify(fingerprint)) {
+        strapi.log.info(`Semantic Search: Saved HNSW index for ${contentType} is out of date, rebuilding`);
+        return false;
+      }
+
+      state.entries = new Map(header.entries.map(([entryId, locale, published, chunks, updatedAt, fields = null]) => [entryId, { locale, published, chunks, updatedAt, fields }]));
+      state.skipped = new Map(header.skipped);
+      state.index = header.hasIndex ? HnswIndex.deserialize(buffer.subarray(4 + headerLength)) : null;
+      state.ready = true;
+      return true;
+
+    } catch (error) {
+      strapi.log.warn(`Semantic Search: Could not read saved HNSW index for ${contentType} (${error.message}), rebuilding`);
+      return false;
+    }
+  },
+
+  async save(contentType) {
+    const state = this.indexes.get(contentType);
+    if (!this.persist || !state || !state.ready || !state.dirty) {
+      return;
+    }
+
+    state.dirty = false;
+
+    const header = Buffer.from(JSON.stringify({
+      version: FILE_VERSION,
+      fingerprint: this.getEntryFingerprint(state),
+      hasIndex: !!state.index,
+      entries: [...state.entries.entries()].map(([entryId, entry]) => [entryId, entry.locale, entry.published, entry.chunks, entry.updatedAt, entry.fields]),
+      skipped: [...state.skipped.entries()]
+    }));
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(header.length, 0);
+
+    const file = this.getFile(contentType);
+    const parts = [length, header];
+    if (state.index) {
+      parts.push(state.index.serialize());
+    }
+
+    // Write then rename, so a crash mid-write never leaves a truncated index behind
+    await fs.promises.writeFile(`${file}.tmp`, Buffer.concat(parts));
+    await fs.promises.rename(`${file}.tmp`, file);
+  },
+
+  // Saves run one after another so two writes never race on the same file
+  saveAll() {
+    this.saving = (this.saving || Promise.resolve()).then(async () => {
+      for (const contentType of this.indexes.keys()) {
+        try {
+          await this.save(contentType);
+        } catch (error) {
+          strapi.log.error(`Semantic Search: Failed to save HNSW index for ${contentType}:`, error.message);
+        }
+      }
+    });
+
+    return this.saving;
+  },
+
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveAll();
+    }, this.getOptions().saveDelay);
+
+    if (this.saveTimer.unref) {
+      this.saveTimer.unref();
+    }
+  },
+
+  async build(contentType, state) {
+    const started = Date.now();
+    let lastId = 0;
+
+    // Entries synced by the lifecycles while the build runs are newer than the rows it reads
+    state.building = new Set();
+
+    while (true) {
+      const rows = await strapi.db.query(contentType).findMany({
+        where: { id: { $gt: lastId }, embedding: { $notNull: true } },
+        select: this.getRowAttributes(contentType),
+        orderBy: { id: 'asc' },
+        limit: 200
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      rows.forEach(row => {
+        if (!state.building.has(row.id)) {
+          this.addEntry(contentType, state, row);
+        }
+
+        const updatedAt = toTimestamp(row.updatedAt);
+        if (updatedAt && (!state.checkedAt || updatedAt > state.checkedAt)) {
+          state.checkedAt = updatedAt;
+        }
+      });
+      lastId = rows[rows.length - 1].id;
+
+      // Let requests through between pages
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    state.building = null;
+    state.ready = true;
+    state.dirty = true;
+    await this.saveAll();
+
+    strapi.log.info(`Semantic Search: Built HNSW index for ${contentType} (${state.entries.size} entries) in ${Date.now() - started}ms`);
+  },
+
+  getRowAttributes(contentType) {
+    return ['id', 'updatedAt', 'embedding', 'embeddingMetadata', ...vectorService.getScopeAttributes(contentType)];
+  },
+
+  refreshAll() {
+    if (this.refreshing) {
+      return;
+    }
+
+    this.refreshing = true;
+    (async () => {
+      for (const contentType of this.indexes.keys()) {
+        try {
+          await this.refresh(contentType);
+        } catch (error) {
+          strapi.log.error(`Semantic Search: Failed to refresh HNSW index for ${contentType}:`, error.message);
+        }
+      }
+    })().finally(() => {
+      this.refreshing = false;
+    });
+  },
+
+  // Catches up with embeddings written by other processes (other instances, the reindex CLI): rows
+  // updated since the last check are synced again unless the index already holds that version, and a
+  // count that does not match the database brings in missing rows and drops deleted ones
+  async refresh(contentType) {
+    const state = this.indexes.get(contentType);
+    if (!state || !state.ready) {
+      return;
+    }
+
+    const query = strapi.db.query(contentType);
+    const getKnown = entryId => (state.entries.has(entryId) ? state.entries.get(entryId).updatedAt : state.skipped.get(entryId));
+
+    const changed = await query.findMany({
+      where: state.checkedAt ? { updatedAt: { $gte: new Date(Date.parse(state.checkedAt) - REFRESH_OVERLAP) } } : {},
+      select: ['id', 'updatedAt']
+    });
+
+    const stale = new Set();
+    changed.forEach(row => {
+      const updatedAt = toTimestamp(row.updatedAt);
+      if (getKnown(row.id) !== updatedAt) {
+        stale.add(row.id);
+      }
+      if (updatedAt && (!state.checkedAt || updatedAt > state.checkedAt)) {
+        state.checkedAt = updatedAt;
+      }
+    });
+
+    const where = { embedding: { $notNull: true } };
+    if (await query.count({ where }) !== state.entries.size + state.skipped.size) {
+      const embedded = new Set((await query.findMany({ where, select: ['id'] })).map(row => row.id));
+
+      embedded.forEach(entryId => {
+        if (getKnown(entryId) === undefined) stale.add(entryId);
+      });
+      [...state.entries.keys(), ...state.skipped.keys()].forEach(entryId => {
+        if (!embedded.has(entryId)) stale.add(entryId);
+      });
+    }
+
+    const ids = [...stale];
+    for (let i = 0; i < ids.length; i += 200) {
+      const page = ids.slice(i, i + 200);
+      const rows = await query.findMany({
+        where: { ...where, id: { $in: page } },
+        select: this.getRowAttributes(contentType)
+      });
+      const found = new Set(rows.map(row => row.id));
+      const removed = page.filter(entryId => !found.has(entryId) && getKnown(entryId) !== undefined);
+
+      if (rows.length > 0 || removed.length > 0) {
+        this.applyChange(contentType, target => {
+          rows.forEach(row => this.addEntry(contentType, target, row));
+          removed.forEach(entryId => this.removeEntry(target, entryId));
+        });
+      }
+    }
+
+    if (ids.length > 0) {
+      strapi.log.debug(`Semantic Search: Synced ${ids.length} ${contentType} entries changed by other processes into the HNSW index`);
+    }
+  },
+
+  getChunks(entry) {
+    const metadata = entry.embeddingMetadata;
+    const chunks = metadata && Array.isArray(metadata.chunks)
+      ? metadata.chunks.filter(chunk => Array.isArray(chunk.embedding))
+      : [];
+
+    // Entries embedded before chunking only have the document-level vector
+    return chunks.length > 0 ? chunks : [{ index: 0, embedding: entry.embedding }];
+  },
+
+  addEntry(contentType, state, entry) {
+    const chunks = this.getChunks(entry);
+
+    if (!state.index) {
+      state.index = this.createIndex(chunks[0].embedding.length);
+    }
+
+    this.removeEntry(state, entry.id);
+
+    if (chunks[0].embedding.length !== state.index.dimensions) {
+      strapi.log.warn(`Semantic Search: Skipping HNSW sync for ${contentType} entry ${entry.id}: ${chunks[0].embedding.length} dimensions, index has ${state.index.dimensions}`);
+      state.skipped.set(entry.id, toTimestamp(entry.updatedAt));
+      return;
+    }
+
+    chunks.forEach(chunk => state.index.add(`${entry.id}:${chunk.index}`, chunk.embedding));
+    state.entries.set(entry.id, {
+      locale: entry.locale || null,
+      published: !!entry.publishedAt,
+      chunks: chunks.map(chunk => chunk.index),
+      updatedAt: toTimestamp(entry.updatedAt),
+      fields: chunks.some(chunk => chunk.field) ? chunks.map(chunk => chunk.field || null) : null
+    });
+  },
+
+  getChunkField(entry, chunkIndex) {
+    return entry.fields ? entry.fields[entry.chunks.indexOf(chunkIndex)] : undefined;
+  },
+
+  removeEntry(state, entryId) {
+    state.skipped.delete(entryId);
+
+    const entry = state.entries.get(entryId);
+    if (!entry) {
+      return;
+    }
+
+    entry.chunks.forEach(chunkIndex => state.index.remove(`${entryId}:${chunkIndex}`));
+    state.entries.delete(entryId);
+  },
+
+  // Applies a change to the live index, and to the replacement graph while a compaction runs
+  applyChange(contentType, change) {
+    const state = this.indexes.get(contentType);
+    if (!state) {
+      return;
+    }
+
+    change(state);
+    if (state.compacting) {
+      state.compacting.push(change);
+    }
+
+    state.dirty = true;
+    this.scheduleSave();
+
+    if (state.ready && !state.compacting && state.index && state.index.deletedRatio > this.getOptions().compactThreshold) {
+      this.compact(contentType, state).catch(error => {
+        strapi.log.error(`Semantic Search: Failed to compact HNSW index for ${contentType}:`, error.message);
+      });
+    }
+  },
+
+  async upsert(contentType, entry) {
+    if (!Array.isArray(entry.embedding) || entry.embedding.length === 0) {
+      return;
+    }
+
+    this.applyChange(contentType, state => {
+      if (state.building) {
+        state.building.add(entry.id);
+      }
+      this.addEntry(contentType, state, entry);
+    });
+  },
+
+  async remove(contentType, entryIds) {
+    this.applyChange(contentType, state => {
+      entryIds.forEach(entryId => {
+        if (state.building) {
+          state.building.add(entryId);
+        }
+        this.removeEntry(state, entryId);
+      });
+    });
+  },
+
+  // Starts every content type over with an empty graph, filled again as entries are synced. Builds and
+  // compactions still running finish on the replaced state.
+  async reset() {
+    this.getContentTypes().forEach(contentType => {
+      this.indexes.set(contentType, { ...this.createState(true), dirty: true });
+    });
+    this.scheduleSave();
+  },
+
+  // Builds every graph again from the stored embeddings. Searches scan the JSON embeddings meanwhile.
+  async reload() {
+    this.getContentTypes().forEach(contentType => {
+      const state = this.createState();
+      this.indexes.set(contentType, state);
+
+      this.build(contentType, state).catch(error => {
+        strapi.log.error(`Semantic Search: Failed to build HNSW index for ${contentType}:`, error.message);
+      });
+    });
+  },
+
+  // Rebuilds the graph without the tombstones left by updates and deletions
+  async compact(contentType, state) {
+    const source = state.index;
+    const labels = [...source.labelsIterator()];
+    const target = { index: this.createIndex(source.dimensions), entries: new Map(state.entries), skipped: new Map(state.skipped), building: null };
+
+    state.compacting = [];
+
+    for (let i = 0; i < labels.length; i++) {
+      const vector = source.getVector(labels[i]);
+      if (vector) {
+        target.index.add(labels[i], vector);
+      }
+      if (i % 500 === 499) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    // Replay the changes made while the new graph was being built
+    state.compacting.forEach(change => change(target));
+    state.compacting = null;
+
+    state.index = target.index;
+    state.entries = target.entries;
+    state.skipped = target.skipped;
+    state.dirty = true;
+    this.scheduleSave();
+
+    strapi.log.debug(`Semantic Search: Compacted HNSW index for ${contentType} (${state.index.size} vectors)`);
+  },
+
+  async searchSimilar(queryEmbedding, contentType, options = {}) {
+    const { limit, threshold, filters, locale, status, chunkAggregation, fieldWeights, field } = options;
+    const state = this.indexes.get(contentType);
+
+    if (!state || !state.ready) {
+      strapi.log.debug(`Semantic Search: HNSW index for ${contentType} is not ready, scanning JSON embeddings`);
+      return jsonStore({ strapi, config, vectorService }).searchSimilar(queryEmbedding, contentType, options);
+    }
+
+    if (!state.index) {
+      return [];
+    }
+
+    if (queryEmbedding.length !== state.index.dimensions) {
+      throw new Error(`Query embedding has ${queryEmbedding.length} dimensions, the HNSW index has ${state.index.dimensions}`);
+    }
+
+    const { efSearch, candidateMultiplier, exactSearchThreshold } = this.getOptions();
+    const scope = await vectorService.resolveEntryScope(contentType, { locale, status });
+
+    // Strapi filters are resolved to entry ids up front and applied while walking the graph
+    let allowedIds = null;
+    if (filters && Object.keys(filters).length > 0) {
+      const rows = await strapi.db.query(contentType).findMany({
+        where: await vectorService.buildEntryWhere(contentType, { filters, locale, status }),
+        select: ['id']
+      });
+      allowedIds = new Set(rows.map(row => row.id));
+    }
+
+    const candidateLimit = Math.max(limit * candidateMultiplier, 100);
+    let results;
+
+    if (allowedIds && allowedIds.size <= exactSearchThreshold) {
+      // Few enough entries to score them all exactly
+      const labels = [];
+      allowedIds.forEach(entryId => {
+        const entry = state.entries.get(entryId);
+        if (entry && vectorService.isInEntryScope(entry, scope)) {
+          entry.chunks
+            .filter(chunkIndex => !field || this.getChunkField(entry, chunkIndex) === field)
+            .forEach(chunkIndex => labels.push(`${entryId}:${chunkIndex}`));
+        }
+      });
+      results = state.index.scan(queryEmbedding, labels).slice(0, candidateLimit);
+    } else {
+      results = state.index.search(queryEmbedding, candidateLimit, {
+        ef: Math.max(efSearch, candidateLimit),
+        filter: label => {
+          const [entryId, chunkIndex] = label.split(':').map(Number);
+          const entry = state.entries.get(entryId);
+          return !!entry && (!allowedIds || allowedIds.has(entryId)) && vectorService.isInEntryScope(entry, scope) &&
+            (!field || this.getChunkField(entry, chunkIndex) === field);
+        }
+      });
+    }
+
+    const matches = results.map(({ label, similarity }) => {
+      const [entryId, chunkIndex] = label.split(':').map(Number);
+      return { entryId, chunkIndex, field: this.getChunkField(state.entries.get(entryId), chunkIndex), score: similarity };
+    });
+
+    const ranked = vectorService.rankChunkMatches(matches, { limit, threshold, chunkAggregation, fieldWeights, field });
+
+    return vectorService.loadRankedEntries(contentType, ranked, { locale, status });
+  }
+
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const json = require('./json');
+const pgvector = require('./pgvector');
+const hnsw = require('./hnsw');
+
+const stores = {
+  json,
+  pgvector,
+  hnsw,
+};
+
+async function resolveStoreType(type, { strapi }) {
+  if (type !== 'auto') {
+    return type;
+  }
+
+  // Use pgvector whenever the database is Postgres and the extension can be installed,
+  // otherwise keep an in-process HNSW index (SQLite, MySQL)
+  if (strapi.db.dialect.client === 'postgres' && await pgvector.isAvailable(strapi.db.connection)) {
+    return 'pgvector';
+  }
+
+  return 'hnsw';
+}
+
+async function createVectorStore(config = {}, { strapi, vectorService, background = true }) {
+  const type = await resolveStoreType(config.type || 'auto', { strapi });
+  let factory = stores[type];
+
+  if (!factory) {
+    throw new Error(`Unknown vector store "${type}". Expected one of: auto, ${Object.keys(stores).join(', ')}`);
+  }
+
+  // A process that serves no searches (the reindex CLI) builds no HNSW graphs; the servers holding
+  // them pick up the embeddings it writes
+  if (type === 'hnsw' && !background) {
+    factory = stores.json;
+  }
+
+  const store = factory({ strapi, config, vectorService });
+  await store.init();
+
+  return store;
+}
+
+module.exports = {
+  stores,
+  createVectorStore,
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+// Default store: vectors stay in the content type's JSON fields and are scored in Node.
+// Works on every database, but only scans the first `scanLimit` entries.
+module.exports = ({ strapi, config, vectorService }) => ({
+
+  name: 'json',
+
+  async init() {},
+
+  async searchSimilar(queryEmbedding, contentType, options = {}) {
+    const { limit, threshold, filters, locale, status, chunkAggregation, fieldWeights, field } = options;
+
+    const documents = await strapi.documents(contentType).findMany({
+      filters: {
+        embedding: { $notNull: true },
+        ...filters
+      },
+      locale: vectorService.getDocumentLocale(locale),
+      status: status || 'published',
+      limit: config.scanLimit || 1000
+    });
+
+    if (!documents || documents.length === 0) {
+      return [];
+    }
+
+    let mismatched = 0;
+    const results = documents
+      .map(doc => {
+        if (!doc.embedding) return null;
+
+        try {
+          const { similarityScore, matchedPassage, mismatched: otherModel } = vectorService.scoreDocument(queryEmbedding, doc, chunkAggregation, { fieldWeights, field });
+          if (otherModel) mismatched++;
+          if (similarityScore === null) return null;
+
+          return {
+            ...doc,
+            similarityScore,
+            matchedPassage
+          };
+        } catch (error) {
+          strapi.log.warn(`Failed to calculate similarity for document ${doc.documentId}:`, error.message);
+          return null;
+        }
+      })
+      .filter(result => result !== null && result.similarityScore >= threshold)
+      .sort((a, b) => b.similarityScore - a.similarityScore)
+      .slice(0, limit);
+
+    if (mismatched > 0) {
+      strapi.log.warn(`Semantic Search: Skipped ${mismatched} ${contentType} entries embedded by a model with other dimensions than the query. Reindex them with the active model.`);
+    }
+
+    return results;
+  },
+
+  // Embeddings already live on the entry itself
+  async upsert() {},
+
+  async remove() {}
+
+});
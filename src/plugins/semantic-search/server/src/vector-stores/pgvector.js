@@ -0,0 +1,364 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const TABLE = 'semantic_search_vectors';
+
+// pgvector cannot index more dimensions than this with the `vector` type
+const MAX_INDEXED_DIMENSIONS = 2000;
+
+// Largest hnsw.ef_search value pgvector accepts
+const MAX_EF_SEARCH = 1000;
+
+// Candidates scanned per IVFFlat list probed when the probes are scaled to the candidate count
+const CANDIDATES_PER_PROBE = 10;
+
+function toVectorLiteral(embedding) {
+  return `[${embedding.join(',')}]`;
+}
+
+function indexName(contentType) {
+  const slug = contentType.replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+  const name = `${TABLE}_${slug}_idx`;
+
+  // Postgres truncates identifiers at 63 characters
+  return name.length <= 63
+    ? name
+    : `${TABLE}_${crypto.createHash('md5').update(contentType).digest('hex').slice(0, 16)}_idx`;
+}
+
+async function isAvailable(knex) {
+  try {
+    const { rows } = await knex.raw('SELECT 1 FROM pg_available_extensions WHERE name = ?', ['vector']);
+    return rows.length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+// From pgvector 0.8 an index scan keeps going until enough rows pass the filters
+async function supportsIterativeScan(knex) {
+  const { rows } = await knex.raw('SELECT extversion FROM pg_extension WHERE extname = ?', ['vector']);
+  if (rows.length === 0) {
+    return false;
+  }
+
+  const [major, minor] = String(rows[0].extversion).split('.').map(part => parseInt(part) || 0);
+  return major > 0 || minor >= 8;
+}
+
+// Query-time settings sized to the candidate count. An ANN index returns at most ef_search rows (or
+// the rows of `probes` lists) before the filters run, so a narrow filter would otherwise cut results.
+function getScanSettings(config, candidateLimit, iterativeScan) {
+  const index = config.index || {};
+  const lists = parseInt(index.lists) || 100;
+  const efSearch = Math.min(Math.max(parseInt(config.efSearch) || 0, candidateLimit), MAX_EF_SEARCH);
+  const probes = Math.min(Math.max(parseInt(config.probes) || 0, Math.ceil(candidateLimit / CANDIDATES_PER_PROBE)), lists);
+
+  const settings = [
+    `SET LOCAL hnsw.ef_search = ${efSearch}`,
+    `SET LOCAL ivfflat.probes = ${probes}`
+  ];
+
+  if (iterativeScan) {
+    settings.push(
+      'SET LOCAL hnsw.iterative_scan = relaxed_order',
+      'SET LOCAL ivfflat.iterative_scan = relaxed_order'
+    );
+  }
+
+  return settings;
+}
+
+async function getTableDimensions(knex) {
+  const { rows } = await knex.raw(
+    'SELECT atttypmod FROM pg_attribute WHERE attrelid = to_regclass(?) AND attname = ?',
+    [TABLE, 'embedding']
+  );
+
+  return rows.length > 0 && rows[0].atttypmod > 0 ? rows[0].atttypmod : null;
+}
+
+// Creates the extension, the vector table and one partial ANN index per content type
+async function ensureSchema(knex, { dimensions, contentTypes = [], index = {} }) {
+  await knex.raw('CREATE EXTENSION IF NOT EXISTS vector');
+
+  await knex.raw(`
+    CREATE TABLE IF NOT EXISTS ${TABLE} (
+      id bigserial PRIMARY KEY,
+      content_type varchar(255) NOT NULL,
+      entry_id integer NOT NULL,
+      chunk_index integer NOT NULL DEFAULT 0,
+      field varchar(255),
+      embedding vector(${parseInt(dimensions)}) NOT NULL,
+      UNIQUE (content_type, entry_id, chunk_index)
+    )
+  `);
+
+  // Tables created before fields could be embedded separately
+  await knex.raw(`ALTER TABLE ${TABLE} ADD COLUMN IF NOT EXISTS field varchar(255)`);
+
+  if (dimensions > MAX_INDEXED_DIMENSIONS) {
+    return { indexed: false };
+  }
+
+  const method = index.type === 'ivfflat' ? 'ivfflat' : 'hnsw';
+  const options = method === 'ivfflat'
+    ? `WITH (lists = ${parseInt(index.lists) || 100})`
+    : `WITH (m = ${parseInt(index.m) || 16}, ef_construction = ${parseInt(index.efConstruction) || 64})`;
+
+  for (const contentType of contentTypes) {
+    await knex.raw(
+      `CREATE INDEX IF NOT EXISTS ${indexName(contentType)} ON ${TABLE} USING ${method} (embedding vector_cosine_ops) ${options} WHERE content_type = ${knex.raw('?', [contentType]).toQuery()}`
+    );
+  }
+
+  return { indexed: true };
+}
+
+function getEmbeddingColumns(strapi, contentType) {
+  const meta = strapi.db.metadata.get(contentType);
+
+  if (!meta || !meta.attributes.embedding) {
+    return null;
+  }
+
+  return {
+    table: meta.tableName,
+    embedding: meta.attributes.embedding.columnName || 'embedding',
+    metadata: meta.attributes.embeddingMetadata
+      ? meta.attributes.embeddingMetadata.columnName || 'embedding_metadata'
+      : null
+  };
+}
+
+async function copyContentType(knex, contentType, columns, dimensions) {
+  const before = await knex(TABLE).where('content_type', contentType).count({ count: '*' });
+
+  // Chunk vectors from embeddingMetadata.chunks
+  if (columns.metadata) {
+    await knex.raw(`
+      INSERT INTO ${TABLE} (content_type, entry_id, chunk_index, field, embedding)
+      SELECT ?, t.id, COALESCE((c.value->>'index')::int, (c.ordinality - 1)::int), c.value->>'field', (c.value->'embedding')::text::vector
+      FROM ?? t
+      CROSS JOIN LATERAL jsonb_array_elements(
+        CASE WHEN jsonb_typeof(t.??::jsonb->'chunks') = 'array' THEN t.??::jsonb->'chunks' ELSE '[]'::jsonb END
+      ) WITH ORDINALITY AS c(value, ordinality)
+      WHERE jsonb_typeof(c.value->'embedding') = 'array'
+        AND jsonb_array_length(c.value->'embedding') = ?
+      ON CONFLICT (content_type, entry_id, chunk_index) DO NOTHING
+    `, [contentType, columns.table, columns.metadata, columns.metadata, dimensions]);
+  }
+
+  // Entries embedded before chunking only have the document-level vector
+  await knex.raw(`
+    INSERT INTO ${TABLE} (content_type, entry_id, chunk_index, embedding)
+    SELECT ?, t.id, 0, t.??::text::vector
+    FROM ?? t
+    WHERE jsonb_typeof(t.??::jsonb) = 'array'
+      AND jsonb_array_length(t.??::jsonb) = ?
+      ${columns.metadata ? `AND (t.?? IS NULL OR jsonb_typeof(t.??::jsonb->'chunks') IS DISTINCT FROM 'array')` : ''}
+    ON CONFLICT (content_type, entry_id, chunk_index) DO NOTHING
+  `, [
+    contentType, columns.embedding, columns.table, columns.embedding, columns.embedding, dimensions,
+    ...(columns.metadata ? [columns.metadata, columns.metadata] : [])
+  ]);
+
+  const after = await knex(TABLE).where('content_type', contentType).count({ count: '*' });
+  return Number(after[0].count) - Number(before[0].count);
+}
+
+// Copies the JSON embeddings of every content type with an `embedding` field into the vector table.
+// Safe to run repeatedly: rows that were already copied are left alone.
+async function migrateJsonEmbeddings(knex, strapi, { dimensions = null, index = {} } = {}) {
+  const contentTypes = Object.keys(strapi.contentTypes)
+    .filter(uid => uid.startsWith('api::'))
+    .map(uid => ({ uid, columns: getEmbeddingColumns(strapi, uid) }))
+    .filter(({ columns }) => columns !== null);
+
+  const existing = [];
+  for (const contentType of contentTypes) {
+    if (await knex.schema.hasTable(contentType.columns.table)) {
+      existing.push(contentType);
+    }
+  }
+
+  // Take the dimensions from the data when they are not configured
+  let resolvedDimensions = dimensions || await getTableDimensions(knex);
+  for (const { columns } of existing) {
+    if (resolvedDimensions) break;
+
+    const row = await knex(columns.table)
+      .select(knex.raw('jsonb_array_length(??::jsonb) AS dimensions', [columns.embedding]))
+      .whereRaw('jsonb_typeof(??::jsonb) = ?', [columns.embedding, 'array'])
+      .first();
+    resolvedDimensions = row ? row.dimensions : null;
+  }
+
+  if (!resolvedDimensions) {
+    return { migrated: 0, dimensions: null };
+  }
+
+  await ensureSchema(knex, { dimensions: resolvedDimensions, contentTypes: existing.map(({ uid }) => uid), index });
+
+  let migrated = 0;
+  for (const { uid, columns } of existing) {
+    migrated += await copyContentType(knex, uid, columns, resolvedDimensions);
+  }
+
+  return { migrated, dimensions: resolvedDimensions };
+}
+
+const store = ({ strapi, config, vectorService }) => ({
+
+  name: 'pgvector',
+  dimensions: null,
+  iterativeScan: null,
+
+  getKnex() {
+    return strapi.db.connection;
+  },
+
+  getContentTypes() {
+    return Object.keys((strapi.plugin('semantic-search').config || {}).contentTypes || {});
+  },
+
+  async init() {
+    const knex = this.getKnex();
+
+    if (!(await isAvailable(knex))) {
+      throw new Error('The pgvector extension is not available on this Postgres server');
+    }
+
+    this.dimensions = await getTableDimensions(knex);
+
+    if (!this.dimensions && config.dimensions) {
+      await this.createSchema(config.dimensions);
+    } else if (this.dimensions) {
+      // Make sure newly configured content types get their index
+      await ensureSchema(knex, { dimensions: this.dimensions, contentTypes: this.getContentTypes(), index: config.index });
+    }
+
+    strapi.log.info(`Semantic Search: Using pgvector store${this.dimensions ? ` (${this.dimensions} dimensions)` : ', table is created with the first embedding'}`);
+  },
+
+  async createSchema(dimensions) {
+    const { indexed } = await ensureSchema(this.getKnex(), { dimensions, contentTypes: this.getContentTypes(), index: config.index });
+    this.dimensions = dimensions;
+
+    if (!indexed) {
+      strapi.log.warn(`Semantic Search: ${dimensions}-dimension vectors exceed the pgvector index limit of ${MAX_INDEXED_DIMENSIONS}. Searches will scan the table.`);
+    }
+  },
+
+  async upsert(contentType, entry) {
+    const { id: entryId, embedding, embeddingMetadata: metadata } = entry;
+
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+      return;
+    }
+
+    if (!this.dimensions) {
+      await this.createSchema(embedding.length);
+    }
+
+    if (embedding.length !== this.dimensions) {
+      strapi.log.warn(`Semantic Search: Skipping pgvector sync for ${contentType} entry ${entryId}: ${embedding.length} dimensions, table has ${this.dimensions}`);
+      return;
+    }
+
+    const chunks = Array.isArray(metadata && metadata.chunks) && metadata.chunks.length > 0
+      ? metadata.chunks.filter(chunk => Array.isArray(chunk.embedding))
+      : [{ index: 0, embedding }];
+
+    await this.getKnex().transaction(async trx => {
+      await trx(TABLE).where({ content_type: contentType, entry_id: entryId }).delete();
+      await trx(TABLE).insert(chunks.map(chunk => ({
+        content_type: contentType,
+        entry_id: entryId,
+        chunk_index: chunk.index,
+        field: chunk.field || null,
+        embedding: toVectorLiteral(chunk.embedding)
+      })));
+    });
+  },
+
+  // Drops the vector table; it is created again, sized for the new model, with the next embedding
+  async reset() {
+    await this.getKnex().raw(`DROP TABLE IF EXISTS ${TABLE}`);
+    this.dimensions = null;
+  },
+
+  async remove(contentType, entryIds) {
+    if (!this.dimensions || !entryIds || entryIds.length === 0) {
+      return;
+    }
+
+    await this.getKnex()(TABLE)
+      .where('content_type', contentType)
+      .whereIn('entry_id', entryIds)
+      .delete();
+  },
+
+  async searchSimilar(queryEmbedding, contentType, options = {}) {
+    const { limit, threshold, filters, locale, status, chunkAggregation, fieldWeights, field } = options;
+
+    if (!this.dimensions) {
+      return [];
+    }
+
+    if (queryEmbedding.length !== this.dimensions) {
+      throw new Error(`Query embedding has ${queryEmbedding.length} dimensions, the pgvector table has ${this.dimensions}`);
+    }
+
+    const knex = this.getKnex();
+    const vector = toVectorLiteral(queryEmbedding);
+
+    // Strapi filters become a subquery on the content type table, so filtering happens in the same SQL statement
+    const entries = strapi.db.queryBuilder(contentType)
+      .select('id')
+      .where(await vectorService.buildEntryWhere(contentType, { filters, locale, status }))
+      .getKnexQuery();
+
+    // Fetch more chunks than results: several chunks can belong to the same entry
+    const candidateLimit = Math.max(limit * (config.candidateMultiplier || 10), 100);
+
+    if (this.iterativeScan === null) {
+      this.iterativeScan = await supportsIterativeScan(knex);
+    }
+
+    const candidates = await knex.transaction(async trx => {
+      for (const setting of getScanSettings(config, candidateLimit, this.iterativeScan)) {
+        await trx.raw(setting);
+      }
+
+      return trx(TABLE)
+        .select('entry_id', 'chunk_index', 'field', trx.raw('1 - (embedding <=> ?::vector) AS similarity', [vector]))
+        .where('content_type', contentType)
+        .whereIn('entry_id', entries)
+        .modify(builder => {
+          if (field) builder.where('field', field);
+        })
+        .orderByRaw('embedding <=> ?::vector', [vector])
+        .limit(candidateLimit);
+    });
+
+    const matches = candidates.map(row => ({
+      entryId: row.entry_id,
+      chunkIndex: row.chunk_index,
+      field: row.field,
+      score: Number(row.similarity)
+    }));
+
+    const ranked = vectorService.rankChunkMatches(matches, { limit, threshold, chunkAggregation, fieldWeights, field });
+
+    return vectorService.loadRankedEntries(contentType, ranked, { locale, status });
+  }
+
+});
+
+module.exports = store;
+module.exports.isAvailable = isAvailable;
+module.exports.ensureSchema = ensureSchema;
+module.exports.migrateJsonEmbeddings = migrateJsonEmbeddings;
+module.exports.TABLE = TABLE;
@@ -0,0 +1,130 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createBm25Index = require('../../server/src/lexical-indexes/bm25');
+const createVectorService = require('../../server/src/services/vector-service');
+const { tokenize } = require('../../server/src/utils/lexical');
+
+const CONTENT_TYPE = 'api::article.article';
+
+const entry = (id, texts, { locale = 'en', published = true, category = 'news' } = {}) => ({
+  id,
+  locale,
+  category,
+  publishedAt: published ? '2026-10-01T00:00:00.000Z' : null,
+  embeddingMetadata: { chunks: texts.map((text, index) => ({ index, text })) }
+});
+
+describe('tokenize', () => {
+  it('lowercases, strips diacritics and splits on anything but letters and digits', () => {
+    assert.deepEqual(tokenize('Café E-404, naïve Ünïcode!'), ['cafe', 'e', '404', 'naive', 'unicode']);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe('BM25 index', () => {
+  let entries;
+  let index;
+
+  beforeEach(() => {
+    entries = new Map();
+
+    const strapi = {
+      getModel: () => ({ options: { draftAndPublish: true }, attributes: { locale: { type: 'string' } } }),
+      plugin: () => ({ service: () => ({ getDefaultLocale: async () => 'en' }) }),
+      db: {
+        query: () => ({
+          findMany: async ({ where }) => [...entries.values()]
+            .filter(row => !where.category || row.category === where.category)
+            .map(row => ({ id: row.id }))
+        })
+      }
+    };
+
+    index = createBm25Index({ strapi, config: {}, vectorService: createVectorService({ strapi }) });
+  });
+
+  const add = async (...items) => {
+    for (const item of items) {
+      entries.set(item.id, item);
+      await index.upsert(CONTENT_TYPE, item);
+    }
+  };
+
+  const search = (query, options = {}) => index.search(query, CONTENT_TYPE, { limit: 10, ...options });
+
+  it('scores chunks with Okapi BM25', async () => {
+    await add(
+      entry(1, ['solar panels solar']),
+      entry(2, ['wind turbines']),
+      entry(3, ['solar'])
+    );
+
+    const [first, second] = await search('solar');
+
+    // Two of three chunks contain "solar"; the average chunk length is 2 tokens
+    const idf = Math.log(1 + (3 - 2 + 0.5) / (2 + 0.5));
+    const score = (frequency, length) => idf * (frequency * 2.2) / (frequency + 1.2 * (0.25 + 0.75 * length / 2));
+
+    // The shorter chunk wins: length normalisation outweighs the second occurrence
+    assert.deepEqual(first, { entryId: 3, chunkIndex: 0, score: score(1, 1) });
+    assert.deepEqual(second, { entryId: 1, chunkIndex: 0, score: score(2, 3) });
+  });
+
+  it('ranks rare terms above common ones and sums the scores of every query term', async () => {
+    await add(
+      entry(1, ['the battery report']),
+      entry(2, ['the lithium report']),
+      entry(3, ['the annual report'])
+    );
+
+    const results = await search('lithium report');
+
+    assert.equal(results[0].entryId, 2);
+    assert.equal(results.length, 3);
+    assert.ok(results[0].score > results[1].score);
+  });
+
+  it('returns each matching chunk of an entry', async () => {
+    await add(entry(1, ['first solar chunk', 'unrelated', 'second solar chunk']));
+
+    const results = await search('solar');
+    assert.deepEqual(results.map(result => result.chunkIndex).sort(), [0, 2]);
+  });
+
+  it('replaces the terms of an entry saved again, and forgets removed entries', async () => {
+    await add(entry(1, ['solar panels']), entry(2, ['wind turbines']));
+    await add(entry(1, ['heat pumps']));
+
+    assert.deepEqual(await search('solar'), []);
+    assert.equal((await search('pumps'))[0].entryId, 1);
+
+    await index.remove(CONTENT_TYPE, [1]);
+    assert.deepEqual(await search('pumps'), []);
+    assert.equal(await index.count(CONTENT_TYPE), 1);
+    assert.equal(index.getIndex(CONTENT_TYPE).totalLength, 2);
+  });
+
+  it('keeps to the filters, the locale and the publication state', async () => {
+    await add(
+      entry(1, ['solar news'], { category: 'news' }),
+      entry(2, ['solar guide'], { category: 'guides' }),
+      entry(3, ['solar actualites'], { locale: 'fr' }),
+      entry(4, ['solar draft'], { published: false })
+    );
+
+    assert.deepEqual((await search('solar')).map(result => result.entryId).sort(), [1, 2]);
+    assert.deepEqual((await search('solar', { filters: { category: 'guides' } })).map(result => result.entryId), [2]);
+    assert.deepEqual((await search('solar', { locale: 'fr' })).map(result => result.entryId), [3]);
+    assert.deepEqual((await search('solar', { status: 'draft' })).map(result => result.entryId), [4]);
+  });
+
+  it('limits the results and finds nothing for a query without words', async () => {
+    await add(entry(1, ['solar']), entry(2, ['solar']), entry(3, ['solar']));
+
+    assert.equal((await search('solar', { limit: 2 })).length, 2);
+    assert.deepEqual(await search('?!'), []);
+  });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createAnswerService = require('../../server/src/services/answer-service');
+const createVectorService = require('../../server/src/services/vector-service');
+
+const ARTICLE = 'api::article.article';
+const FAQ = 'api::faq.faq';
+
+const models = {
+  [ARTICLE]: {
+    attributes: {
+      title: { type: 'string' },
+      content: { type: 'richtext' },
+      internalNotes: { type: 'text', private: true }
+    }
+  },
+  [FAQ]: {
+    attributes: {
+      question: { type: 'string' },
+      answer: { type: 'text' }
+    }
+  }
+};
+
+function createService({ contentTypes = {}, answers = {}, privateAttributes = [] } = {}) {
+  const services = {};
+  const strapi = {
+    config: {
+      get: (key, defaultValue) => {
+        if (key === 'plugin.semantic-search') return { answers: { maxContextTokens: 100, ...answers } };
+        if (key === 'api.responses.privateAttributes') return privateAttributes;
+        return defaultValue;
+      }
+    },
+    getModel: uid => models[uid],
+    plugin: () => ({ config: { contentTypes }, service: name => services[name] })
+  };
+
+  services.indexingService = { getTextFields: contentType => contentTypes[contentType].fields };
+  services.vectorService = createVectorService({ strapi });
+
+  return createAnswerService({ strapi });
+}
+
+const result = (documentId, text, { contentType = ARTICLE, field = null, similarityScore = 0.8 } = {}) => ({
+  documentId,
+  contentType,
+  locale: 'en',
+  similarityScore,
+  matchedPassage: text === null ? null : { field, text, start: 0, end: text.length }
+});
+
+const articleFields = { fields: ['title', 'content'] };
+
+describe('answer sources', () => {
+  it('numbers the passages best first and skips results without one', () => {
+    const service = createService({ contentTypes: { [ARTICLE]: articleFields } });
+
+    const { sources, usedTokens } = service.buildSources([
+      result('a', '  First passage.  '),
+      result('b', null),
+      result('c', 'Second passage.', { field: 'content', similarityScore: 0.6 })
+    ], 100);
+
+    assert.deepEqual(sources, [
+      { index: 1, documentId: 'a', contentType: ARTICLE, locale: 'en', similarityScore: 0.8, field: null, start: 0, end: 18, text: 'First passage.' },
+      { index: 2, documentId: 'c', contentType: ARTICLE, locale: 'en', similarityScore: 0.6, field: 'content', start: 0, end: 15, text: 'Second passage.' }
+    ]);
+    assert.equal(usedTokens, 4 + 4);
+  });
+
+  it('skips passages past the token budget, but shortens a first passage that is too long', () => {
+    const service = createService({ contentTypes: { [ARTICLE]: articleFields } });
+
+    const { sources, usedTokens } = service.buildSources([
+      result('a', 'x'.repeat(60)),
+      result('b', 'y'.repeat(20)),
+      result('c', 'z'.repeat(4))
+    ], 10);
+
+    assert.deepEqual(sources.map(source => [source.documentId, source.text.length]), [['a', 40]]);
+    assert.equal(usedTokens, 10);
+
+    const fitting = service.buildSources([result('a', 'x'.repeat(20)), result('b', 'y'.repeat(40)), result('c', 'z'.repeat(8))], 10);
+    assert.deepEqual(fitting.sources.map(source => source.documentId), ['a', 'c']);
+  });
+
+  it('leaves out passages the REST API would hide', () => {
+    const service = createService({
+      contentTypes: {
+        [ARTICLE]: { fields: ['title', 'content', 'internalNotes'] },
+        [FAQ]: { fields: ['question', 'answer'] }
+      },
+      privateAttributes: ['answer']
+    });
+
+    const { sources } = service.buildSources([
+      result('a', 'Private notes', { field: 'internalNotes' }),
+      result('b', 'Public title', { field: 'title' }),
+      // Embedded as one text with the private field: the chunk may hold its text
+      result('c', 'Title and notes'),
+      result('d', 'Globally private answer', { contentType: FAQ, field: 'answer' }),
+      result('e', 'Public question', { contentType: FAQ, field: 'question' })
+    ], 100);
+
+    assert.deepEqual(sources.map(source => source.documentId), ['b', 'e']);
+  });
+});
+
+describe('answer citations', () => {
+  const sources = ['a', 'b', 'c'].map((documentId, i) => ({ index: i + 1, documentId, contentType: ARTICLE, locale: 'en', text: documentId }));
+
+  it('lists the cited sources in order of first use, once each', () => {
+    const service = createService();
+
+    assert.deepEqual(service.getCitations('Cancel in settings [3]. Refunds take a week [1][3].', sources), [
+      { index: 3, documentId: 'c', contentType: ARTICLE, locale: 'en' },
+      { index: 1, documentId: 'a', contentType: ARTICLE, locale: 'en' }
+    ]);
+  });
+
+  it('ignores numbers that match no source', () => {
+    const service = createService();
+
+    assert.deepEqual(service.getCitations('See [0], [4] and [12].', sources), []);
+    assert.deepEqual(service.getCitations('No citations at all.', sources), []);
+  });
+});
+
+describe('answer prompt', () => {
+  const contentTypes = {
+    [ARTICLE]: articleFields,
+    [FAQ]: { fields: ['question', 'answer'], systemPrompt: 'Answer FAQ questions in two sentences.' }
+  };
+
+  it('uses the own prompt of the only content type asked', () => {
+    const service = createService({ contentTypes, answers: { systemPrompt: 'Shared prompt.' } });
+
+    assert.match(service.getSystemPrompt([FAQ]), /^Answer FAQ questions in two sentences\.\n\nEach source starts/);
+    assert.match(service.getSystemPrompt([ARTICLE]), /^Shared prompt\.\n\nEach source starts/);
+  });
+
+  it('adds the own prompt of each type among the sources, and labels the sources with their type', () => {
+    const service = createService({ contentTypes, answers: { systemPrompt: 'Shared prompt.' } });
+    const sources = [
+      { index: 1, contentType: FAQ, text: 'Open Billing.' },
+      { index: 2, contentType: ARTICLE, text: 'Plans renew monthly.' }
+    ];
+
+    const [system, user] = service.buildMessages('How do I cancel?', sources, [ARTICLE, FAQ]);
+
+    assert.match(system.content, /^Shared prompt\.\n\nFor sources from api::faq\.faq: Answer FAQ questions in two sentences\.\n\nEach source starts/);
+    assert.match(system.content, /names the content type it comes from/);
+    assert.equal(user.content, 'Sources:\n\n[1] (api::faq.faq) Open Billing.\n\n[2] (api::article.article) Plans renew monthly.\n\nQuestion: How do I cancel?');
+  });
+
+  it('leaves out the prompts of types without sources', () => {
+    const service = createService({ contentTypes, answers: { systemPrompt: 'Shared prompt.' } });
+
+    const prompt = service.getSystemPrompt([ARTICLE, FAQ], [{ index: 1, contentType: ARTICLE, text: 'Plans renew monthly.' }]);
+    assert.ok(!prompt.includes('FAQ'));
+  });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createEmbeddingService = require('../../server/src/services/embedding-service');
+
+const { chunkText } = createEmbeddingService({ strapi: {} });
+
+describe('chunkText', () => {
+  it('keeps short text in one chunk', () => {
+    assert.deepEqual(chunkText('A short text.', { size: 100, overlap: 10 }), [{ index: 0, start: 0, end: 13, text: 'A short text.' }]);
+    assert.deepEqual(chunkText(''), []);
+  });
+
+  it('covers the whole text with overlapping chunks no longer than the size', () => {
+    const text = Array.from({ length: 60 }, (_, index) => `Sentence number ${index} is here.`).join(' ');
+    const chunks = chunkText(text, { size: 200, overlap: 40 });
+
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks[0].start, 0);
+    assert.equal(chunks[chunks.length - 1].end, text.length);
+    chunks.forEach((chunk, index) => {
+      assert.equal(chunk.index, index);
+      assert.ok(chunk.end - chunk.start <= 200);
+      assert.equal(chunk.text, text.slice(chunk.start, chunk.end).trim());
+      if (index > 0) {
+        assert.ok(chunk.start < chunks[index - 1].end);
+        assert.ok(chunk.start > chunks[index - 1].start);
+      }
+    });
+  });
+
+  it('breaks at sentence ends and starts chunks at word boundaries', () => {
+    const text = Array.from({ length: 40 }, (_, index) => `Word${index} follows another word here.`).join(' ');
+    const chunks = chunkText(text, { size: 150, overlap: 30 });
+
+    chunks.slice(0, -1).forEach(chunk => assert.ok(chunk.text.endsWith('.')));
+    chunks.slice(1).forEach(chunk => assert.equal(text[chunk.start - 1], ' '));
+  });
+
+  it('cuts text without spaces at the size', () => {
+    const chunks = chunkText('x'.repeat(250), { size: 100, overlap: 20 });
+
+    assert.deepEqual(chunks.map(chunk => [chunk.start, chunk.end]), [[0, 100], [80, 180], [160, 250]]);
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createIndexingService = require('../../server/src/services/indexing-service');
+
+const CONTENT_TYPE = 'api::article.article';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Pages are stubbed: each content type takes a few ticks and counts one processed entry per page
+function createService({ pages = 1, onPage = () => {} } = {}) {
+  const saved = [];
+  const services = {
+    embeddingService: { getModelInfo: () => ({ provider: 'openai', model: 'text-embedding-3-small' }) },
+    migrationService: { isRunning: () => false }
+  };
+
+  const service = createIndexingService({
+    strapi: {
+      plugin: () => ({ config: { contentTypes: { [CONTENT_TYPE]: { fields: ['title'] } } }, service: name => services[name] }),
+      store: () => ({
+        get: async () => null,
+        set: async ({ value }) => {
+          saved.push(value.status);
+        }
+      }),
+      log: { info() {}, warn() {}, error() {} }
+    }
+  });
+
+  service.reindexContentType = async (contentType, state, { saveProgress }) => {
+    for (let page = 0; page < pages; page++) {
+      await tick();
+      state.processed++;
+      await saveProgress();
+      onPage(service);
+      if (service.stopping) return;
+    }
+  };
+
+  return { service, saved };
+}
+
+describe('reindex runs', () => {
+  it('refuses a second run started while the first one reads its saved progress', async () => {
+    const { service } = createService();
+
+    // Resuming reads the saved progress first
+    const first = service.reindex({ resume: true });
+    const second = service.reindex({ resume: true });
+
+    await assert.rejects(second, /A reindex is already running/);
+    assert.equal((await first).status, 'completed');
+    assert.equal(service.running, null);
+  });
+
+  it('frees the run after a rejected start, so the next one can begin', async () => {
+    const { service } = createService();
+
+    await assert.rejects(service.reindex({ missingOnly: true, force: true }), /cannot be combined/);
+    await assert.rejects(service.reindex({ contentTypes: ['api::page.page'] }), /not configured for semantic search: api::page\.page/);
+    assert.equal(service.running, null);
+
+    assert.equal((await service.reindex()).status, 'completed');
+  });
+
+  it('stops after the current page when asked, leaving the run resumable', async () => {
+    const { service, saved } = createService({
+      pages: 3,
+      onPage: current => current.stopReindex()
+    });
+
+    const report = await service.reindex();
+
+    assert.equal(report.status, 'interrupted');
+    assert.equal(report.totals.processed, 1);
+    assert.equal(saved[saved.length - 1], 'interrupted');
+    assert.equal(service.running, null);
+    assert.equal(service.stopping, false);
+  });
+});
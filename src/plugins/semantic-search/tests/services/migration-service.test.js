@@ -0,0 +1,259 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createMigrationService = require('../../server/src/services/migration-service');
+
+const CONTENT_TYPE = 'api::article.article';
+const STAGED_UID = 'plugin::semantic-search.migration-embedding';
+const SWITCH_DELAY = 10 * 1000;
+
+const source = { provider: 'openai', model: 'text-embedding-3-small', dimensions: 3 };
+const target = { provider: 'openai', model: 'text-embedding-3-large', dimensions: 3 };
+const TARGET_VERSION = 'openai/text-embedding-3-large@3';
+
+function matches(row, where) {
+  return Object.keys(where).every(key => {
+    const condition = where[key];
+    const value = row[key];
+
+    if (condition && typeof condition === 'object') {
+      return Object.keys(condition).every(operator => {
+        const operand = condition[operator];
+        if (operator === '$gt') return value > operand;
+        if (operator === '$ne') return value !== operand;
+        if (operator === '$in') return operand.includes(value);
+        if (operator === '$notNull') return (value !== null && value !== undefined) === operand;
+        throw new Error(`Unsupported operator ${operator}`);
+      });
+    }
+
+    return value === condition;
+  });
+}
+
+function createTable(rows) {
+  return {
+    rows,
+    async count({ where = {} } = {}) {
+      return rows.filter(row => matches(row, where)).length;
+    },
+    async findOne({ where }) {
+      return rows.find(row => matches(row, where)) || null;
+    },
+    async findMany({ where = {}, limit = Infinity }) {
+      return rows.filter(row => matches(row, where)).sort((a, b) => a.id - b.id).slice(0, limit);
+    },
+    async update({ where, data }) {
+      const row = rows.find(candidate => matches(candidate, where));
+      return row ? Object.assign(row, data) : null;
+    },
+    async deleteMany({ where }) {
+      const kept = rows.filter(row => !matches(row, where));
+      rows.splice(0, rows.length, ...kept);
+    }
+  };
+}
+
+const vectors = (info, values) => ({ embedding: values, embeddingMetadata: { ...info, chunks: [] } });
+
+function createStrapi() {
+  let state = { status: 'running', source, target };
+  const calls = [];
+
+  const tables = {
+    [CONTENT_TYPE]: createTable([
+      { id: 1, ...vectors(source, [1, 0, 0]) },
+      { id: 2, ...vectors(source, [0, 1, 0]) },
+      { id: 3, embedding: null, embeddingMetadata: null }
+    ]),
+    [STAGED_UID]: createTable([
+      { id: 1, contentType: CONTENT_TYPE, entryId: 1, version: TARGET_VERSION, ...vectors(target, [0, 0, 1]) }
+    ])
+  };
+
+  const services = {
+    embeddingService: {
+      provider: 'source-provider',
+      getModelInfo() {
+        return this.provider === 'target-provider' ? target : source;
+      }
+    },
+    indexingService: { running: false },
+    vectorService: {
+      async countVersions(contentType) {
+        const counts = new Map();
+        tables[contentType].rows.filter(row => row.embeddingMetadata).forEach(row => {
+          const key = row.embeddingMetadata.model;
+          counts.set(key, { ...row.embeddingMetadata, count: (counts.has(key) ? counts.get(key).count : 0) + 1 });
+        });
+        return [...counts.values()];
+      },
+      async resetStore() {
+        calls.push('resetStore');
+      }
+    },
+    queryCacheService: {
+      async clear() {
+        calls.push('clearCache');
+      }
+    }
+  };
+
+  return {
+    calls,
+    tables,
+    getState: () => state,
+    strapi: {
+      plugin: () => ({ config: { contentTypes: { [CONTENT_TYPE]: {} } }, service: name => services[name] }),
+      store: () => ({
+        get: async () => state,
+        set: async ({ value }) => {
+          calls.push(`state:${value.status}`);
+          state = value;
+        }
+      }),
+      db: { query: uid => tables[uid] },
+      log: { info() {}, warn() {}, error() {} }
+    },
+    services
+  };
+}
+
+function createService(fake) {
+  const service = createMigrationService({ strapi: fake.strapi });
+  service.target = { provider: 'target-provider', getModelInfo: () => target };
+  return service;
+}
+
+describe('migration index routing', () => {
+  let fake;
+  let service;
+
+  beforeEach(() => {
+    fake = createStrapi();
+    service = createService(fake);
+  });
+
+  it('searches the active index when no migration runs, and the migration index while switching', async () => {
+    service.target = null;
+    assert.equal(await service.resolveIndex(CONTENT_TYPE), 'active');
+
+    service.target = { provider: 'target-provider', getModelInfo: () => target };
+    service.switching = true;
+    assert.equal(await service.resolveIndex(CONTENT_TYPE), 'migration');
+  });
+
+  it('counts rows per index', async () => {
+    assert.deepEqual(await service.getCoverage(CONTENT_TYPE), { entries: 3, embedded: 2, active: 2, target: 1 });
+  });
+
+  it('prefers the active index while it covers every entry, then the complete one, then the larger one', async () => {
+    const cases = [
+      [{ embedded: 4, active: 4, target: 4 }, 'active'],
+      [{ embedded: 4, active: 3, target: 4 }, 'migration'],
+      [{ embedded: 4, active: 3, target: 2 }, 'active'],
+      [{ embedded: 4, active: 1, target: 2 }, 'migration']
+    ];
+
+    for (const [coverage, expected] of cases) {
+      service.coverage.clear();
+      service.getCoverage = async () => coverage;
+      assert.equal(await service.resolveIndex(CONTENT_TYPE), expected, JSON.stringify(coverage));
+    }
+  });
+
+  it('reuses the coverage counts for 30 seconds', async t => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+
+    let counted = 0;
+    service.getCoverage = async () => {
+      counted++;
+      return { embedded: 2, active: 2, target: 0 };
+    };
+
+    await service.resolveIndex(CONTENT_TYPE);
+    now += 29000;
+    await service.resolveIndex(CONTENT_TYPE);
+    assert.equal(counted, 1);
+
+    now += 2000;
+    await service.resolveIndex(CONTENT_TYPE);
+    assert.equal(counted, 2);
+  });
+});
+
+describe('migration cut-over', () => {
+  let fake;
+  let service;
+
+  beforeEach(t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    fake = createStrapi();
+    service = createService(fake);
+  });
+
+  // Runs a cut-over, moving the clock past each wait for the other instances
+  const run = async (t, promise) => {
+    let settled = false;
+    promise.then(() => {
+      settled = true;
+    }, () => {
+      settled = true;
+    });
+
+    while (!settled) {
+      await new Promise(resolve => setImmediate(resolve));
+      t.mock.timers.tick(SWITCH_DELAY);
+    }
+
+    return promise;
+  };
+
+  it('refuses while the migration index is incomplete', async t => {
+    await assert.rejects(run(t, service.cutover()), { code: 'migration_incomplete', message: /incomplete for api::article\.article/ });
+
+    assert.equal(fake.getState().status, 'running');
+    assert.deepEqual(fake.calls, []);
+  });
+
+  it('refuses while a reindex runs', async t => {
+    fake.services.indexingService.running = true;
+
+    await assert.rejects(run(t, service.cutover({ force: true })), /Wait for the running reindex/);
+  });
+
+  it('swaps the staged vectors in, clears entries the migration missed and makes the target active', async t => {
+    const result = await run(t, service.cutover({ force: true }));
+
+    assert.deepEqual(result, {
+      source: 'openai/text-embedding-3-small@3',
+      target: TARGET_VERSION,
+      contentTypes: { [CONTENT_TYPE]: { swapped: 1, cleared: 1 } }
+    });
+
+    const [first, second] = fake.tables[CONTENT_TYPE].rows;
+    assert.deepEqual(first.embedding, [0, 0, 1]);
+    assert.equal(first.embeddingMetadata.model, target.model);
+    assert.equal(second.embedding, null);
+
+    assert.deepEqual(fake.calls, ['state:switching', 'resetStore', 'state:completed', 'clearCache']);
+    assert.equal(fake.tables[STAGED_UID].rows.length, 0);
+    assert.equal(fake.services.embeddingService.provider, 'target-provider');
+    assert.equal(service.isRunning(), false);
+  });
+
+  it('searches the migration index from the switching step on', async t => {
+    let searchIndex = null;
+    fake.services.vectorService.resetStore = async () => {
+      searchIndex = await service.resolveIndex(CONTENT_TYPE);
+    };
+
+    await run(t, service.cutover({ force: true }));
+
+    assert.equal(searchIndex, 'migration');
+    assert.equal(await service.resolveIndex(CONTENT_TYPE), 'active');
+  });
+});
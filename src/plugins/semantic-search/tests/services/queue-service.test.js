@@ -0,0 +1,238 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createQueueService = require('../../server/src/services/queue-service');
+
+const JOB_UID = 'plugin::semantic-search.embedding-job';
+
+function matches(row, where) {
+  return Object.keys(where).every(key => {
+    const condition = where[key];
+
+    if (key === '$or') {
+      return condition.some(alternative => matches(row, alternative));
+    }
+
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      const value = row[key];
+      return Object.keys(condition).every(operator => {
+        const operand = condition[operator];
+        if (operator === '$lt') return value !== null && value < operand;
+        if (operator === '$lte') return value !== null && value <= operand;
+        if (operator === '$null') return (value === null || value === undefined) === operand;
+        if (operator === '$in') return operand.includes(value);
+        throw new Error(`Unsupported operator ${operator}`);
+      });
+    }
+
+    return row[key] === condition;
+  });
+}
+
+// An in-memory embedding job table behind `strapi.db.query`, shared by every service built on it
+function createDatabase() {
+  const rows = [];
+  let nextId = 1;
+
+  const jobs = {
+    rows,
+    async create({ data }) {
+      const row = { id: nextId++, lockedAt: null, lockedBy: null, lastError: null, lastErrorCode: null, ...data };
+      rows.push(row);
+      return { ...row };
+    },
+    async findOne({ where }) {
+      const row = rows.find(candidate => matches(candidate, where));
+      return row ? { ...row } : null;
+    },
+    findMany({ where, limit = Infinity }) {
+      // Read when called, like a query that is sent before the caller yields
+      const found = rows
+        .filter(row => matches(row, where))
+        .sort((a, b) => a.runAt - b.runAt)
+        .slice(0, limit)
+        .map(row => ({ ...row }));
+      return Promise.resolve(found);
+    },
+    async update({ where, data }) {
+      const row = rows.find(candidate => matches(candidate, where));
+      Object.assign(row, data);
+      return { ...row };
+    },
+    async updateMany({ where, data }) {
+      const found = rows.filter(row => matches(row, where));
+      found.forEach(row => Object.assign(row, data));
+      return { count: found.length };
+    },
+    async delete({ where }) {
+      const index = rows.findIndex(row => matches(row, where));
+      rows.splice(index, 1);
+    },
+    async count({ where }) {
+      return rows.filter(row => matches(row, where)).length;
+    }
+  };
+
+  return jobs;
+}
+
+function createService(jobs, queue = {}) {
+  const strapi = {
+    config: { get: () => ({ queue }) },
+    db: {
+      query: uid => {
+        assert.equal(uid, JOB_UID);
+        return jobs;
+      }
+    },
+    log: { debug() {}, info() {}, warn() {}, error() {} }
+  };
+
+  const service = createQueueService({ strapi });
+  service.ran = [];
+  service.runJob = async job => {
+    service.ran.push(job.id);
+  };
+
+  return service;
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('embedding queue claims', () => {
+  let jobs;
+
+  beforeEach(async () => {
+    jobs = createDatabase();
+    const past = new Date(Date.now() - 1000);
+    for (let entryId = 1; entryId <= 4; entryId++) {
+      await jobs.create({ data: { contentType: 'api::article.article', entryId, status: 'pending', attempts: 0, runAt: past } });
+    }
+  });
+
+  it('lets only one of two polling instances claim each job', async () => {
+    const first = createService(jobs, { concurrency: 4 });
+    const second = createService(jobs, { concurrency: 4 });
+    first.stopped = false;
+    second.stopped = false;
+
+    // Both read the same four pending jobs before either claims them
+    await Promise.all([first.poll(), second.poll()]);
+    await settle();
+
+    assert.deepEqual([...first.ran, ...second.ran].sort(), [1, 2, 3, 4]);
+    assert.equal(first.ran.length + second.ran.length, 4);
+
+    jobs.rows.forEach(row => {
+      assert.equal(row.status, 'processing');
+      assert.equal(row.attempts, 1);
+      assert.equal(row.lockedBy, first.ran.includes(row.id) ? first.workerId : second.workerId);
+    });
+  });
+
+  it('claims no more jobs than its free slots', async () => {
+    const service = createService(jobs, { concurrency: 2 });
+    service.stopped = false;
+    service.runJob = () => new Promise(() => {});
+
+    await service.poll();
+    await service.poll();
+
+    assert.equal(service.active, 2);
+    assert.equal(jobs.rows.filter(row => row.status === 'processing').length, 2);
+  });
+
+  it('requeues claims older than the lock timeout and leaves fresh ones alone', async () => {
+    const service = createService(jobs, { lockTimeout: 60000 });
+    jobs.rows[0].status = 'processing';
+    jobs.rows[0].lockedAt = new Date(Date.now() - 120000);
+    jobs.rows[1].status = 'processing';
+    jobs.rows[1].lockedAt = new Date(Date.now() - 1000);
+
+    await service.requeueStaleJobs();
+
+    assert.equal(jobs.rows[0].status, 'pending');
+    assert.equal(jobs.rows[0].lockedAt, null);
+    assert.equal(jobs.rows[1].status, 'processing');
+  });
+});
+
+describe('embedding queue retries', () => {
+  let jobs;
+  let now;
+
+  beforeEach(async t => {
+    now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(Math, 'random', () => 0.5);
+
+    jobs = createDatabase();
+    await jobs.create({ data: { contentType: 'api::article.article', entryId: 1, status: 'processing', attempts: 1, runAt: new Date(now) } });
+  });
+
+  it('doubles the backoff per attempt, up to backoffMax', () => {
+    const service = createService(jobs, { backoffBase: 1000, backoffMax: 5000 });
+
+    assert.equal(service.getBackoff(1), 1000);
+    assert.equal(service.getBackoff(2), 2000);
+    assert.equal(service.getBackoff(3), 4000);
+    assert.equal(service.getBackoff(4), 5000);
+  });
+
+  it('reschedules a failed job after the backoff', async () => {
+    const service = createService(jobs, { backoffBase: 1000, maxAttempts: 3 });
+
+    await service.handleFailure({ ...jobs.rows[0] }, new Error('Timeout'));
+
+    const [row] = jobs.rows;
+    assert.equal(row.status, 'pending');
+    assert.equal(row.runAt.getTime(), now + 1000);
+    assert.equal(row.lockedBy, null);
+    assert.equal(row.lastError, 'Timeout');
+    assert.equal(service.pausedUntil, 0);
+  });
+
+  it('moves a job to the dead-letter state after maxAttempts', async () => {
+    const service = createService(jobs, { maxAttempts: 3 });
+    jobs.rows[0].attempts = 3;
+
+    await service.handleFailure({ ...jobs.rows[0] }, new Error('Timeout'));
+
+    assert.equal(jobs.rows[0].status, 'dead');
+    assert.equal(jobs.rows[0].runAt, null);
+  });
+
+  it('dead-letters permanent errors on the first attempt', async () => {
+    const service = createService(jobs, { maxAttempts: 3 });
+    const error = Object.assign(new Error('Incorrect API key'), { code: 'invalid_api_key' });
+
+    await service.handleFailure({ ...jobs.rows[0] }, error);
+
+    assert.equal(jobs.rows[0].status, 'dead');
+    assert.equal(jobs.rows[0].lastErrorCode, 'invalid_api_key');
+  });
+
+  it('pauses the whole queue on a rate limit', async () => {
+    const service = createService(jobs, { backoffBase: 1000 });
+    const error = Object.assign(new Error('Rate limit reached'), { code: 'rate_limit_exceeded' });
+
+    await service.handleFailure({ ...jobs.rows[0] }, error);
+
+    assert.equal(service.pausedUntil, now + 1000);
+    assert.equal(jobs.rows[0].status, 'pending');
+  });
+
+  it('retries dead jobs from the first attempt', async () => {
+    const service = createService(jobs);
+    Object.assign(jobs.rows[0], { status: 'dead', attempts: 5, runAt: null, lastError: 'Timeout' });
+    service.pausedUntil = now + 60000;
+
+    assert.deepEqual(await service.retryJobs(), { retried: 1 });
+    assert.equal(jobs.rows[0].status, 'pending');
+    assert.equal(jobs.rows[0].attempts, 0);
+    assert.equal(jobs.rows[0].lastError, null);
+    assert.equal(service.pausedUntil, 0);
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createRateLimitService = require('../../server/src/services/rate-limit-service');
+
+const createService = rateLimit => createRateLimitService({
+  strapi: { config: { get: () => ({ rateLimit }) } }
+});
+
+describe('rate limit window', () => {
+  let now;
+
+  beforeEach(t => {
+    now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+  });
+
+  it('allows `max` requests per interval, then refuses until the window resets', () => {
+    const service = createService({ max: 2, interval: 10000 });
+
+    assert.deepEqual(service.consume('ip:1'), { allowed: true, limit: 2, remaining: 1, resetAt: now + 10000 });
+    assert.equal(service.consume('ip:1').allowed, true);
+
+    const refused = service.consume('ip:1');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.remaining, 0);
+
+    now += 10000;
+    const renewed = service.consume('ip:1');
+    assert.equal(renewed.allowed, true);
+    assert.equal(renewed.remaining, 1);
+    assert.equal(renewed.resetAt, now + 10000);
+  });
+
+  it('counts each client on its own', () => {
+    const service = createService({ max: 1, interval: 10000 });
+
+    assert.equal(service.consume('ip:1').allowed, true);
+    assert.equal(service.consume('ip:2').allowed, true);
+    assert.equal(service.consume('ip:1').allowed, false);
+  });
+
+  it('drops finished windows', () => {
+    const service = createService({ max: 5, interval: 10000 });
+
+    service.consume('ip:1');
+    service.consume('ip:2');
+    now += 20000;
+    service.consume('ip:3');
+
+    assert.deepEqual([...service.windows.keys()], ['ip:3']);
+  });
+
+  it('falls back to the defaults for invalid settings', () => {
+    assert.deepEqual(createService({ max: 0, interval: 10 }).getConfig(), { enabled: true, max: 60, interval: 60000 });
+  });
+});
+
+describe('getClientKey', () => {
+  const service = createService({});
+
+  it('keys authenticated requests by credentials and others by IP', () => {
+    assert.equal(service.getClientKey({ state: { auth: { strategy: { name: 'api-token' }, credentials: { id: 3 } } }, request: { ip: '1.2.3.4' } }), 'api-token:3');
+    assert.equal(service.getClientKey({ state: {}, request: { ip: '1.2.3.4' } }), 'ip:1.2.3.4');
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createSearchService = require('../../server/src/services/search-service');
+
+const RRF_K = 60;
+
+function createService(scoreDocument = () => ({ similarityScore: 0.5 })) {
+  const vectorService = { scoreDocument };
+
+  return createSearchService({
+    strapi: {
+      plugin: () => ({ service: () => vectorService }),
+      log: { debug() {} }
+    }
+  });
+}
+
+const semantic = [
+  { id: 1, similarityScore: 0.9 },
+  { id: 2, similarityScore: 0.8 },
+  { id: 3, similarityScore: 0.7 }
+];
+
+const lexical = [
+  { id: 3, lexicalScore: 12 },
+  { id: 4, lexicalScore: 6 }
+];
+
+describe('rank fusion', () => {
+  it('adds the reciprocal ranks of both sides, weighted by alpha', () => {
+    const results = createService().fuseResults([1, 0], semantic, lexical, { limit: 10, alpha: 0.5, fusion: 'rrf' });
+    const rrf = rank => 1 / (RRF_K + rank);
+
+    assert.deepEqual(results.map(result => result.id), [3, 1, 2, 4]);
+    assert.equal(results[0].fusedScore, 0.5 * rrf(3) + 0.5 * rrf(1));
+    assert.equal(results[1].fusedScore, 0.5 * rrf(1));
+    assert.equal(results[3].fusedScore, 0.5 * rrf(2));
+  });
+
+  it('keeps both scores on entries found by both sides', () => {
+    const [both] = createService().fuseResults([1, 0], semantic, lexical, { limit: 10, alpha: 0.5, fusion: 'rrf' });
+
+    assert.equal(both.semanticScore, 0.7);
+    assert.equal(both.lexicalScore, 12);
+    assert.equal(both.semanticRank, undefined);
+  });
+
+  it('scores keyword-only matches against their stored vectors', () => {
+    const results = createService(() => ({ similarityScore: 0.42 }))
+      .fuseResults([1, 0], semantic, lexical, { limit: 10, alpha: 0.5, fusion: 'rrf' });
+    const keywordOnly = results.find(result => result.id === 4);
+
+    assert.equal(keywordOnly.semanticScore, 0.42);
+    assert.equal(keywordOnly.similarityScore, 0.42);
+  });
+
+  it('leaves keyword-only matches without a semantic score when their vectors cannot be compared', () => {
+    const results = createService(() => {
+      throw new Error('Dimension mismatch');
+    }).fuseResults([1, 0], semantic, lexical, { limit: 10, alpha: 0.5, fusion: 'rrf' });
+
+    assert.equal(results.find(result => result.id === 4).semanticScore, null);
+  });
+
+  it('blends similarity with keyword scores scaled to the best match when weighted', () => {
+    const results = createService(() => ({ similarityScore: 0.2 }))
+      .fuseResults([1, 0], semantic, lexical, { limit: 10, alpha: 0.75, fusion: 'weighted' });
+    const byId = new Map(results.map(result => [result.id, result.fusedScore]));
+
+    assert.equal(byId.get(1), 0.75 * 0.9);
+    assert.equal(byId.get(3), 0.75 * 0.7 + 0.25 * 1);
+    assert.equal(byId.get(4), 0.75 * 0.2 + 0.25 * 0.5);
+  });
+
+  it('follows one side only at the ends of alpha, and keeps to the limit', () => {
+    const service = createService();
+
+    assert.deepEqual(service.fuseResults([1, 0], semantic, lexical, { limit: 2, alpha: 1, fusion: 'rrf' }).map(result => result.id), [1, 2]);
+    assert.deepEqual(service.fuseResults([1, 0], semantic, lexical, { limit: 2, alpha: 0, fusion: 'rrf' }).map(result => result.id), [3, 4]);
+  });
+});
+
+function createPagedService(total = 80) {
+  const searches = [];
+  const documents = contentType => Array.from({ length: total }, (_, i) => ({ id: i + 1, documentId: `${contentType}-${i + 1}`, title: `Entry ${i + 1}` }));
+  const services = {
+    embeddingService: {
+      getModelInfo: () => ({ provider: 'fake', model: 'fake-1' }),
+      generateQueryEmbedding: async query => ({ embedding: [1, 0], processedText: query, provider: 'fake', model: 'fake-1' })
+    },
+    vectorService: {
+      async searchSimilar(embedding, contentType, { limit }) {
+        searches.push({ contentType, limit });
+        return documents(contentType).slice(0, limit).map(doc => ({ ...doc, embedding: [1, 0], similarityScore: 1 - doc.id / 1000 }));
+      },
+      resolveEntryScope: async () => ({ locale: null, status: null }),
+      getDocumentLocale: locale => locale
+    },
+    rerankService: { isEnabled: () => false },
+    migrationService: { resolveIndex: async () => 'active' },
+    analyticsService: { isEnabled: () => false }
+  };
+
+  const service = createSearchService({
+    strapi: {
+      plugin: () => ({ config: {}, service: name => services[name] }),
+      documents: contentType => ({
+        findMany: async ({ filters }) => documents(contentType).filter(doc => filters.id.$in.includes(doc.id))
+      }),
+      log: { debug() {}, warn() {}, error() {} }
+    }
+  });
+
+  return { service, searches };
+}
+
+describe('paged search', () => {
+  const A = 'api::article.article';
+  const B = 'api::blog.blog';
+
+  it('ranks one window for all pages of a cursor and reads each page again', async () => {
+    const { service, searches } = createPagedService();
+
+    const first = await service.semanticSearch('cats', A, { pageSize: 5 });
+    const second = await service.semanticSearch('cats', A, { cursor: first.pagination.nextCursor });
+
+    assert.deepEqual(searches, [{ contentType: A, limit: 500 }]);
+    assert.deepEqual(first.results.map(result => result.id), [1, 2, 3, 4, 5]);
+    assert.deepEqual(second.results.map(result => result.id), [6, 7, 8, 9, 10]);
+    assert.equal(second.results[0].title, 'Entry 6');
+    assert.equal(second.results[0].embedding, undefined);
+    assert.equal(second.pagination.total, 80);
+    assert.equal(second.pagination.totalEstimated, false);
+  });
+
+  it('cuts other page sizes of the same search from the same ranking', async () => {
+    const { service, searches } = createPagedService();
+
+    await service.semanticSearch('cats', A, { page: 1, pageSize: 5 });
+    const page = await service.semanticSearch('cats', A, { page: 3, pageSize: 10 });
+
+    assert.equal(searches.length, 1);
+    assert.deepEqual(page.results.map(result => result.id), [21, 22, 23, 24, 25, 26, 27, 28, 29, 30]);
+  });
+
+  it('ranks again for another query and for searches returning embeddings', async () => {
+    const { service, searches } = createPagedService();
+
+    await service.semanticSearch('cats', A, { pageSize: 5 });
+    await service.semanticSearch('dogs', A, { pageSize: 5 });
+    await service.semanticSearch('cats', A, { pageSize: 5, includeEmbedding: true });
+    const withEmbeddings = await service.semanticSearch('cats', A, { page: 2, pageSize: 5, includeEmbedding: true });
+
+    assert.equal(searches.length, 4);
+    assert.deepEqual(withEmbeddings.results[0].embedding, [1, 0]);
+  });
+
+  it('merges content types once for all pages of a multi-search', async () => {
+    const { service, searches } = createPagedService(20);
+
+    const first = await service.multiContentTypeSearch('cats', [A, B], { pageSize: 15 });
+    const second = await service.multiContentTypeSearch('cats', [A, B], { cursor: first.pagination.nextCursor });
+
+    assert.deepEqual(searches, [{ contentType: A, limit: 500 }, { contentType: B, limit: 500 }]);
+    assert.equal(first.pagination.total, 40);
+    assert.deepEqual(second.metadata.individualResults.map(result => result.count), [20, 20]);
+
+    const seen = [...first.results, ...second.results].map(result => `${result.contentType}:${result.id}`);
+    assert.equal(new Set(seen).size, 30);
+    assert.equal(second.results[0].title, `Entry ${second.results[0].id}`);
+  });
+});
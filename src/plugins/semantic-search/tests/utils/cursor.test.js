@@ -0,0 +1,37 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createQueryKey, encodeCursor, decodeCursor } = require('../../server/src/utils/cursor');
+
+describe('createQueryKey', () => {
+  it('is the same for the same parameters and differs for others', () => {
+    assert.equal(createQueryKey({ query: 'cats', limit: 10 }), createQueryKey({ query: 'cats', limit: 10 }));
+    assert.notEqual(createQueryKey({ query: 'cats' }), createQueryKey({ query: 'dogs' }));
+  });
+});
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips the key, offset and page size', () => {
+    const cursor = encodeCursor({ key: 'abc', offset: 20, pageSize: 10 });
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor), { key: 'abc', offset: 20, pageSize: 10 });
+  });
+
+  it('rejects cursors that are not valid base64url JSON', () => {
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(''), null);
+    assert.equal(decodeCursor(undefined), null);
+  });
+
+  it('rejects cursors with a missing key or out of range numbers', () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    assert.equal(decodeCursor(encode({ o: 0, s: 10 })), null);
+    assert.equal(decodeCursor(encode({ k: 'abc', o: -1, s: 10 })), null);
+    assert.equal(decodeCursor(encode({ k: 'abc', o: 1.5, s: 10 })), null);
+    assert.equal(decodeCursor(encode({ k: 'abc', o: 0, s: 0 })), null);
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { vectorSimilarity, collapseDuplicates, selectByMMR } = require('../../server/src/utils/diversity');
+
+const result = (id, similarityScore, embedding, extra = {}) => ({ id, documentId: `d${id}`, similarityScore, embedding, ...extra });
+const rule = (threshold = 0.95, groupKey = null) => ({ enabled: true, threshold, groupKey });
+
+describe('vectorSimilarity', () => {
+  it('is the cosine similarity of two vectors', () => {
+    assert.equal(vectorSimilarity([1, 0], [1, 0]), 1);
+    assert.equal(vectorSimilarity([1, 0], [0, 1]), 0);
+    assert.ok(Math.abs(vectorSimilarity([1, 1], [1, 0]) - Math.SQRT1_2) < 1e-12);
+  });
+
+  it('is null for vectors that cannot be compared', () => {
+    assert.equal(vectorSimilarity([1, 0], [1, 0, 0]), null);
+    assert.equal(vectorSimilarity(null, [1]), null);
+    assert.equal(vectorSimilarity([], []), null);
+  });
+});
+
+describe('collapseDuplicates', () => {
+  it('folds copies into the better ranked result', () => {
+    const results = [
+      result(1, 0.9, [1, 0]),
+      result(2, 0.8, [0.999, 0.01]),
+      result(3, 0.7, [0, 1])
+    ];
+
+    const collapsed = collapseDuplicates(results, () => rule());
+
+    assert.deepEqual(collapsed.map(item => item.id), [1, 3]);
+    assert.deepEqual(collapsed[0].duplicates.map(duplicate => duplicate.id), [2]);
+    assert.ok(collapsed[0].duplicates[0].similarity >= 0.95);
+    assert.deepEqual(collapsed[1].duplicates, []);
+  });
+
+  it('folds results with the same group key whatever their similarity', () => {
+    const results = [result(1, 0.9, [1, 0]), result(2, 0.8, [0, 1])];
+
+    const collapsed = collapseDuplicates(results, () => rule(0.95, 'canonical'));
+
+    assert.deepEqual(collapsed.map(item => item.id), [1]);
+    assert.equal(collapsed[0].duplicates[0].documentId, 'd2');
+  });
+
+  it('leaves results of disabled rules as they are', () => {
+    const results = [result(1, 0.9, [1, 0]), result(2, 0.8, [1, 0])];
+
+    const collapsed = collapseDuplicates(results, () => ({ enabled: false, threshold: 0.95, groupKey: null }));
+
+    assert.deepEqual(collapsed, results);
+  });
+});
+
+describe('selectByMMR', () => {
+  const results = [
+    result(1, 0.9, [1, 0]),
+    result(2, 0.89, [1, 0.01]),
+    result(3, 0.8, [0, 1])
+  ];
+
+  it('keeps the ranking with lambda 1', () => {
+    assert.deepEqual(selectByMMR(results, { lambda: 1, limit: 3 }).map(item => item.id), [1, 2, 3]);
+  });
+
+  it('picks a different result over a near copy with a lower lambda', () => {
+    const picked = selectByMMR(results, { lambda: 0.5, limit: 3 });
+
+    assert.deepEqual(picked.map(item => item.id), [1, 3, 2]);
+    picked.slice(1).forEach((item, index) => assert.ok(item.mmrScore <= picked[index].mmrScore));
+  });
+
+  it('picks the same leading results whatever the limit', () => {
+    const full = selectByMMR(results, { lambda: 0.3, limit: 3 });
+
+    assert.deepEqual(selectByMMR(results, { lambda: 0.3, limit: 2 }), full.slice(0, 2));
+    assert.deepEqual(selectByMMR([], { lambda: 0.5, limit: 3 }), []);
+  });
+});
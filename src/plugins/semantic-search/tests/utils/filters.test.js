@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveAttribute, validateFilterQuery } = require('../../server/src/utils/filters');
+
+const models = {
+  'api::article.article': {
+    attributes: {
+      title: { type: 'string' },
+      views: { type: 'integer' },
+      featured: { type: 'boolean' },
+      publishedDate: { type: 'date' },
+      category: { type: 'enumeration', enum: ['tech', 'news'] },
+      cover: { type: 'media' },
+      author: { type: 'relation', target: 'api::author.author' },
+      seo: { type: 'component', component: 'shared.seo' }
+    }
+  },
+  'api::author.author': {
+    attributes: {
+      name: { type: 'string' }
+    }
+  },
+  'shared.seo': {
+    attributes: {
+      keywords: { type: 'text' }
+    }
+  }
+};
+
+const getModel = uid => models[uid];
+const contentType = 'api::article.article';
+const allowed = ['title', 'views', 'featured', 'publishedDate', 'category', 'cover', 'author.name', 'seo.keywords', 'missing'];
+const validate = filters => validateFilterQuery(filters, { contentType, allowed, getModel });
+
+describe('resolveAttribute', () => {
+  it('follows relations and components', () => {
+    assert.deepEqual(resolveAttribute('author.name', contentType, getModel), { type: 'string' });
+    assert.deepEqual(resolveAttribute('seo.keywords', contentType, getModel), { type: 'text' });
+    assert.deepEqual(resolveAttribute('id', contentType, getModel), { type: 'integer' });
+  });
+
+  it('returns null for paths that lead nowhere', () => {
+    assert.equal(resolveAttribute('author.nope', contentType, getModel), null);
+    assert.equal(resolveAttribute('title.length', contentType, getModel), null);
+  });
+});
+
+describe('validateFilterQuery', () => {
+  it('accepts conditions on allowed scalar fields', () => {
+    assert.equal(validate({ title: 'Cats' }), null);
+    assert.equal(validate({ views: { $gte: 10, $lt: '20' } }), null);
+    assert.equal(validate({ category: ['tech', 'news'] }), null);
+    assert.equal(validate({ publishedDate: { $between: ['2024-01-01', '2024-12-31'] } }), null);
+    assert.equal(validate({ featured: { $null: false } }), null);
+    assert.equal(validate({ author: { name: { $containsi: 'ann' } } }), null);
+    assert.equal(validate({ $or: [{ title: 'Cats' }, { seo: { keywords: { $contains: 'pets' } } }] }), null);
+  });
+
+  it('rejects fields that are not allowed before checking that they exist', () => {
+    assert.equal(validate({ body: 'x' }), `Filtering on body is not allowed for ${contentType}`);
+    assert.equal(validate({ secret: 'x' }), `Filtering on secret is not allowed for ${contentType}`);
+    assert.equal(validate({ missing: 'x' }), `missing does not exist on ${contentType}`);
+  });
+
+  it('rejects non-scalar fields and relations compared directly', () => {
+    assert.equal(validate({ cover: 1 }), 'cover is a media field and cannot be filtered');
+    assert.equal(validate({ author: { $eq: 1 } }), 'author is not a field that can be compared; filter on one of its fields instead');
+  });
+
+  it('rejects values and operators that do not fit the field', () => {
+    assert.equal(validate({ views: 'many' }), '$eq on views must be a number');
+    assert.equal(validate({ category: 'sports' }), '$eq on category must be one of: tech, news');
+    assert.equal(validate({ title: { $gt: 'a' } }), '$gt needs a number or date field, and title is not one');
+    assert.equal(validate({ views: { $contains: '1' } }), '$contains needs a text field, and views is not one');
+    assert.equal(validate({ views: { $in: [] } }), '$in on views must be a non-empty array');
+    assert.equal(validate({ views: { $between: [1] } }), '$between on views must be an array of two values');
+    assert.equal(validate({ views: { $regex: '.*' } }), 'Unknown filter operator $regex on views');
+  });
+
+  it('rejects malformed filter objects', () => {
+    assert.equal(validate([]), 'filters must be an object');
+    assert.equal(validate({ $or: { title: 'Cats' } }), '$or must be an array of filters');
+    assert.equal(validate({ $where: 'x' }), 'Unknown filter operator $where');
+  });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HnswIndex } = require('../../server/src/utils/hnsw');
+
+const DIMENSIONS = 16;
+
+// Deterministic vectors and levels, so a recall check cannot fail by chance
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function createVectors(count, random) {
+  return Array.from({ length: count }, () => Array.from({ length: DIMENSIONS }, () => random() * 2 - 1));
+}
+
+function buildIndex(vectors, options = {}) {
+  const index = new HnswIndex({ dimensions: DIMENSIONS, ...options });
+  vectors.forEach((vector, i) => index.add(`entry-${i}`, vector));
+  return index;
+}
+
+const labelsOf = results => results.map(result => result.label);
+
+describe('HnswIndex', () => {
+  let random;
+  let vectors;
+  let queries;
+
+  beforeEach(t => {
+    random = createRandom(42);
+    t.mock.method(Math, 'random', random);
+    vectors = createVectors(500, random);
+    queries = createVectors(20, random);
+  });
+
+  it('finds nearly all of the exact nearest neighbours', () => {
+    const index = buildIndex(vectors);
+    const allLabels = [...index.labelsIterator()];
+
+    let found = 0;
+    queries.forEach(query => {
+      const exact = new Set(labelsOf(index.scan(query, allLabels).slice(0, 10)));
+      found += labelsOf(index.search(query, 10)).filter(label => exact.has(label)).length;
+    });
+
+    assert.ok(found / (queries.length * 10) >= 0.95, `recall ${found / (queries.length * 10)}`);
+  });
+
+  it('returns similarities best first', () => {
+    const index = buildIndex(vectors);
+    const results = index.search(vectors[7], 5);
+
+    assert.equal(results[0].label, 'entry-7');
+    assert.ok(Math.abs(results[0].similarity - 1) < 1e-6);
+    results.slice(1).forEach((result, i) => assert.ok(result.similarity <= results[i].similarity));
+  });
+
+  it('restricts results to the labels a filter accepts', () => {
+    const index = buildIndex(vectors);
+
+    // One entry in twenty, so most of the graph walk goes through rejected nodes
+    const accepted = new Set(vectors.map((_, i) => `entry-${i}`).filter((_, i) => i % 20 === 0));
+    const filter = label => accepted.has(label);
+
+    queries.forEach(query => {
+      const results = index.search(query, 10, { filter });
+      const exact = labelsOf(index.scan(query, accepted).slice(0, 10));
+
+      assert.equal(results.length, 10);
+      assert.ok(results.every(result => accepted.has(result.label)));
+      assert.deepEqual(labelsOf(results), exact);
+    });
+  });
+
+  it('drops removed and replaced vectors from the results', () => {
+    const index = buildIndex(vectors);
+
+    assert.equal(index.remove('entry-7'), true);
+    assert.equal(index.remove('entry-7'), false);
+    assert.ok(!labelsOf(index.search(vectors[7], 10)).includes('entry-7'));
+
+    index.add('entry-8', vectors[9]);
+    assert.equal(index.size, 499);
+    assert.ok(index.deletedRatio > 0);
+    assert.deepEqual(labelsOf(index.search(vectors[9], 2)).sort(), ['entry-8', 'entry-9']);
+  });
+
+  it('rejects vectors of the wrong size', () => {
+    const index = new HnswIndex({ dimensions: DIMENSIONS });
+
+    assert.throws(() => index.add('entry-1', [1, 2, 3]), /3 dimensions, the index has 16/);
+    assert.throws(() => new HnswIndex({ dimensions: 0 }), /positive number of dimensions/);
+  });
+
+  describe('serialize', () => {
+    it('round-trips the graph, the vectors and the deleted nodes', () => {
+      const index = buildIndex(vectors, { m: 8, efConstruction: 32, efSearch: 48 });
+      index.remove('entry-3');
+
+      const restored = HnswIndex.deserialize(index.serialize());
+
+      assert.deepEqual(restored.options, { dimensions: DIMENSIONS, m: 8, efConstruction: 32, efSearch: 48 });
+      assert.equal(restored.size, index.size);
+      assert.equal(restored.has('entry-3'), false);
+      assert.deepEqual([...restored.getVector('entry-4')], [...index.getVector('entry-4')].map(Math.fround));
+
+      queries.forEach(query => {
+        assert.deepEqual(labelsOf(restored.search(query, 10)), labelsOf(index.search(query, 10)));
+      });
+    });
+
+    it('reads an index from a buffer at any byte offset', () => {
+      const index = buildIndex(vectors.slice(0, 50));
+      const serialized = index.serialize();
+
+      const file = Buffer.alloc(serialized.length + 3);
+      serialized.copy(file, 3);
+
+      const restored = HnswIndex.deserialize(file.subarray(3));
+      assert.deepEqual(labelsOf(restored.search(queries[0], 5)), labelsOf(index.search(queries[0], 5)));
+    });
+
+    it('refuses other format versions', () => {
+      const serialized = buildIndex(vectors.slice(0, 5)).serialize();
+      const headerLength = serialized.readUInt32LE(0);
+      const header = JSON.parse(serialized.toString('utf8', 4, 4 + headerLength));
+
+      const changed = Buffer.from(JSON.stringify({ ...header, version: 999 }));
+      const buffer = Buffer.alloc(4 + changed.length);
+      buffer.writeUInt32LE(changed.length, 0);
+      changed.copy(buffer, 4);
+
+      assert.throws(() => HnswIndex.deserialize(buffer), /Unsupported HNSW index format version 999/);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { NORMALIZATION_WINDOW, RRF_K, sortResults, normalizeScores, applyQuotas } = require('../../server/src/utils/results');
+
+const ranked = scores => scores.map((similarityScore, index) => ({ id: index + 1, similarityScore }));
+
+describe('sortResults', () => {
+  it('orders by ranking score, then by the sort fields', () => {
+    const results = [
+      { id: 1, similarityScore: 0.5, title: 'b' },
+      { id: 2, similarityScore: 0.9, title: 'c' },
+      { id: 3, similarityScore: 0.5, title: 'a' }
+    ];
+
+    assert.deepEqual(sortResults(results, 'title:asc').map(result => result.id), [2, 3, 1]);
+    assert.deepEqual(sortResults(results, 'title:desc').map(result => result.id), [2, 1, 3]);
+  });
+
+  it('prefers the re-rank score over similarity', () => {
+    const results = [
+      { id: 1, similarityScore: 0.9, rerankScore: 0.1 },
+      { id: 2, similarityScore: 0.1, rerankScore: 0.9 }
+    ];
+
+    assert.deepEqual(sortResults(results).map(result => result.id), [2, 1]);
+  });
+});
+
+describe('normalizeScores', () => {
+  it('scales scores to 0..1 with minmax', () => {
+    assert.deepEqual(normalizeScores(ranked([0.9, 0.7, 0.5]), 'minmax').map(score => +score.toFixed(6)), [1, 0.5, 0]);
+    assert.deepEqual(normalizeScores(ranked([0.4, 0.4]), 'minmax'), [1, 1]);
+  });
+
+  it('maps standardized scores to 0..1 with zscore', () => {
+    const scores = normalizeScores(ranked([0.9, 0.7, 0.5]), 'zscore');
+
+    assert.ok(Math.abs(scores[1] - 0.5) < 1e-12);
+    assert.ok(scores[0] > 0.5 && scores[0] < 1);
+    assert.ok(Math.abs(scores[0] + scores[2] - 1) < 1e-12);
+    assert.deepEqual(normalizeScores(ranked([0.4, 0.4]), 'zscore'), [0.5, 0.5]);
+  });
+
+  it('scores by rank with rrf and keeps raw scores with raw', () => {
+    assert.deepEqual(normalizeScores(ranked([0.9, 0.2]), 'rrf'), [1 / (RRF_K + 1), 1 / (RRF_K + 2)]);
+    assert.deepEqual(normalizeScores(ranked([0.9, 0.2]), 'raw'), [0.9, 0.2]);
+  });
+
+  it('takes the scale from the first results only, so it does not change with the page', () => {
+    const scores = Array.from({ length: NORMALIZATION_WINDOW + 50 }, (_, index) => 1 - index / 1000);
+    const short = ranked(scores.slice(0, NORMALIZATION_WINDOW + 10));
+    const long = ranked(scores);
+
+    ['minmax', 'zscore'].forEach(strategy => {
+      assert.deepEqual(normalizeScores(short, strategy), normalizeScores(long, strategy).slice(0, short.length));
+    });
+    assert.ok(normalizeScores(long, 'minmax')[NORMALIZATION_WINDOW] < 0);
+  });
+});
+
+describe('applyQuotas', () => {
+  const typed = types => types.split('').map((type, index) => ({ id: index + 1, contentType: type }));
+  const types = results => results.map(result => result.contentType).join('');
+
+  it('moves results of a type up until each page holds its quota', () => {
+    const ordered = applyQuotas(typed('aaaaabb'), { b: 1 }, 3);
+
+    assert.equal(types(ordered), 'aabaaba');
+    assert.deepEqual(ordered.slice(0, 3).map(result => result.id), [1, 2, 6]);
+    assert.deepEqual(ordered.slice(3, 6).map(result => result.id), [3, 4, 7]);
+  });
+
+  it('keeps every result exactly once', () => {
+    const results = typed('aaaaaaabbc');
+    const ordered = applyQuotas(results, { b: 1, c: 1 }, 4);
+
+    assert.deepEqual(ordered.map(result => result.id).sort((x, y) => x - y), results.map(result => result.id));
+    assert.equal(types(ordered.slice(0, 4)).split('').sort().join(''), 'aabc');
+  });
+
+  it('leaves pages short of a quota the type cannot fill', () => {
+    assert.deepEqual(applyQuotas(typed('aaab'), { b: 2 }, 2).map(result => result.id), [1, 4, 2, 3]);
+    assert.deepEqual(applyQuotas(typed('aaa'), { b: 1 }, 2).map(result => result.id), [1, 2, 3]);
+  });
+});
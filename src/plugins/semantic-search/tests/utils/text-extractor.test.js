@@ -0,0 +1,201 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { blocksToText, markdownToText, extractText, isPrivateField } = require('../../server/src/utils/text-extractor');
+
+const models = {
+  'api::article.article': {
+    attributes: {
+      title: { type: 'string' },
+      body: { type: 'richtext' },
+      content: { type: 'blocks' },
+      views: { type: 'integer' },
+      seo: { type: 'component', component: 'shared.seo' },
+      sections: { type: 'dynamiczone', components: ['shared.quote', 'shared.media'] }
+    }
+  },
+  'shared.seo': {
+    attributes: {
+      metaTitle: { type: 'string' },
+      metaDescription: { type: 'text' },
+      canonicalUrl: { type: 'string' },
+      noIndex: { type: 'boolean' }
+    }
+  },
+  'shared.quote': {
+    attributes: {
+      text: { type: 'text' },
+      author: { type: 'string' }
+    }
+  },
+  'shared.media': {
+    attributes: {
+      file: { type: 'media' }
+    }
+  }
+};
+
+const options = { uid: 'api::article.article', getModel: uid => models[uid] };
+
+// Non-empty lines, trimmed: blank lines and spacing left behind by removed syntax do not matter
+const lines = text => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+describe('blocksToText', () => {
+  it('reads paragraphs, headings, nested lists, links and image captions', () => {
+    const blocks = [
+      { type: 'heading', level: 2, children: [{ type: 'text', text: 'Setup' }] },
+      {
+        type: 'paragraph',
+        children: [
+          { type: 'text', text: 'Read the ' },
+          { type: 'link', url: 'https://example.com', children: [{ type: 'text', text: 'guide' }] },
+          { type: 'text', text: ' first.' }
+        ]
+      },
+      {
+        type: 'list',
+        format: 'unordered',
+        children: [
+          { type: 'list-item', children: [{ type: 'text', text: 'Install' }] },
+          {
+            type: 'list',
+            format: 'ordered',
+            children: [{ type: 'list-item', children: [{ type: 'text', text: 'Configure' }] }]
+          }
+        ]
+      },
+      { type: 'image', image: { url: '/uploads/diagram.png', alternativeText: 'Architecture diagram' }, children: [] },
+      { type: 'paragraph', children: [{ type: 'text', text: '   ' }] }
+    ];
+
+    assert.equal(blocksToText(blocks), 'Setup\nRead the guide first.\nInstall\nConfigure\nArchitecture diagram');
+  });
+
+  it('returns an empty string for anything but an array', () => {
+    assert.equal(blocksToText(null), '');
+    assert.equal(blocksToText('text'), '');
+  });
+});
+
+describe('markdownToText', () => {
+  it('strips markdown syntax and keeps the words', () => {
+    const markdown = [
+      '# Getting started',
+      '',
+      '> A **bold** and _emphasised_ quote',
+      '',
+      '- [Docs](https://example.com/docs)',
+      '1. ![Logo](/logo.png)',
+      '',
+      '---',
+      '',
+      'Run `npm install` then <br> restart.',
+      '',
+      '```bash',
+      'npm run develop',
+      '```'
+    ].join('\n');
+
+    assert.deepEqual(lines(markdownToText(markdown)), [
+      'Getting started',
+      'A bold and emphasised quote',
+      'Docs',
+      'Logo',
+      'Run npm install then   restart.',
+      'npm run develop'
+    ]);
+  });
+
+  it('keeps underscores and asterisks inside words', () => {
+    assert.equal(markdownToText('snake_case_name and 2*3*4'), 'snake_case_name and 2*3*4');
+  });
+
+  it('turns table rows into plain cells', () => {
+    assert.deepEqual(lines(markdownToText('| Name | Role |\n| --- | :---: |\n| Ada | Admin |')), ['Name   Role', 'Ada   Admin']);
+  });
+});
+
+describe('extractText', () => {
+  it('joins the text of each field in field order', () => {
+    const data = { title: 'Hello', body: '## World', views: 12 };
+
+    assert.equal(extractText(data, ['body', 'title', 'views'], options), 'World\nHello');
+  });
+
+  it('reads only the text attributes of components', () => {
+    const data = {
+      seo: { metaTitle: 'Meta title', metaDescription: 'Meta description', canonicalUrl: 'https://example.com', noIndex: false }
+    };
+
+    assert.equal(extractText(data, ['seo'], options), 'Meta title\nMeta description\nhttps://example.com');
+  });
+
+  it('reads dynamic zone items by their component schema', () => {
+    const data = {
+      sections: [
+        { __component: 'shared.quote', id: 1, text: 'Quoted text', author: 'Ada' },
+        { __component: 'shared.media', id: 2, file: { url: '/uploads/file.pdf', name: 'file.pdf' } }
+      ]
+    };
+
+    assert.equal(extractText(data, ['sections'], options), 'Quoted text\nAda');
+  });
+
+  it('resolves nested field paths, with `*` over repeatable items', () => {
+    const data = {
+      seo: { metaTitle: 'Meta title', metaDescription: 'Meta description' },
+      sections: [
+        { __component: 'shared.quote', text: 'First', author: 'Ada' },
+        { __component: 'shared.quote', text: 'Second', author: 'Grace' }
+      ]
+    };
+
+    assert.equal(extractText(data, ['seo.metaDescription'], options), 'Meta description');
+    assert.equal(extractText(data, ['sections.*.text'], options), 'First\nSecond');
+    assert.equal(extractText(data, ['sections.author'], options), 'Ada\nGrace');
+  });
+
+  it('collects strings without a schema, skipping keys that never hold prose', () => {
+    const data = {
+      extra: { id: 4, type: 'note', label: 'Label', tags: ['one', 'two'], url: '/ignored' }
+    };
+
+    assert.equal(extractText(data, ['extra']), 'Label\none\ntwo');
+  });
+
+  it('leaves out missing and empty fields', () => {
+    assert.equal(extractText({ title: '  ', body: null }, ['title', 'body', 'missing'], options), '');
+    assert.equal(extractText(null, ['title'], options), '');
+  });
+});
+
+describe('isPrivateField', () => {
+  const privateModels = {
+    'api::article.article': {
+      attributes: {
+        title: { type: 'string' },
+        notes: { type: 'text', private: true },
+        seo: { type: 'component', component: 'shared.seo' },
+        sections: { type: 'dynamiczone', components: ['shared.quote', 'shared.note'] }
+      }
+    },
+    'shared.seo': { attributes: { metaTitle: { type: 'string' }, keywords: { type: 'text', private: true } } },
+    'shared.quote': { attributes: { text: { type: 'text' } } },
+    'shared.note': { attributes: { text: { type: 'text', private: true } } }
+  };
+  const privateOptions = { uid: 'api::article.article', getModel: uid => privateModels[uid] };
+
+  it('finds private attributes along a path, in any component of a dynamic zone', () => {
+    assert.equal(isPrivateField('title', privateOptions), false);
+    assert.equal(isPrivateField('notes', privateOptions), true);
+    assert.equal(isPrivateField('seo.metaTitle', privateOptions), false);
+    assert.equal(isPrivateField('seo.keywords', privateOptions), true);
+    assert.equal(isPrivateField('sections.*.text', privateOptions), true);
+  });
+
+  it('treats names in privateAttributes as private everywhere', () => {
+    assert.equal(isPrivateField('seo.metaTitle', { ...privateOptions, privateAttributes: ['metaTitle'] }), true);
+  });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const createHnswStore = require('../../server/src/vector-stores/hnsw');
+
+const LOCK_TIMEOUT = 60000;
+
+describe('HNSW index directory lock', () => {
+  let dir;
+  let lockFile;
+  let logs;
+
+  const createStore = () => createHnswStore({
+    strapi: {
+      dirs: { app: { root: dir } },
+      log: {
+        info: message => logs.push(message),
+        warn: message => logs.push(message),
+        error: message => logs.push(message)
+      }
+    },
+    config: { path: dir, lockTimeout: LOCK_TIMEOUT },
+    vectorService: null
+  });
+
+  const writeLock = owner => fs.writeFileSync(lockFile, JSON.stringify(owner));
+  const readLock = () => JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-search-hnsw-'));
+    lockFile = path.join(dir, 'hnsw.lock');
+    logs = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('takes a free directory and releases it on close', async () => {
+    const store = createStore();
+
+    assert.equal(await store.acquireLock(), true);
+    assert.equal(readLock().id, store.lockId);
+
+    store.persist = true;
+    store.saveAll = async () => {};
+    await store.close();
+    assert.equal(fs.existsSync(lockFile), false);
+  });
+
+  it('leaves the lock of a running process on this host alone', async () => {
+    writeLock({ id: 'other', pid: process.ppid, hostname: os.hostname(), heartbeatAt: 0 });
+
+    assert.equal(await createStore().acquireLock(), false);
+    assert.equal(readLock().id, 'other');
+  });
+
+  it('takes over the lock of a process on this host that is gone', async () => {
+    writeLock({ id: 'other', pid: 2147483646, hostname: os.hostname(), heartbeatAt: Date.now() });
+    const store = createStore();
+
+    assert.equal(await store.acquireLock(), true);
+    assert.equal(readLock().id, store.lockId);
+  });
+
+  it('honours a lock from another host while its heartbeat is fresh', async () => {
+    writeLock({ id: 'other', pid: 1, hostname: 'other-host', heartbeatAt: Date.now() - LOCK_TIMEOUT / 2 });
+
+    assert.equal(await createStore().acquireLock(), false);
+    assert.equal(readLock().id, 'other');
+    assert.match(logs[0], /in use by process 1 on other-host/);
+  });
+
+  it('takes over a lock from another host whose heartbeat is older than lockTimeout', async () => {
+    writeLock({ id: 'other', pid: 1, hostname: 'other-host', heartbeatAt: Date.now() - LOCK_TIMEOUT - 1000 });
+    const store = createStore();
+
+    assert.equal(await store.acquireLock(), true);
+    assert.equal(readLock().id, store.lockId);
+  });
+
+  it('refreshes its heartbeat, and stops saving once another process took the lock', async t => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+
+    const store = createStore();
+    await store.acquireLock();
+    store.persist = true;
+
+    now += 20000;
+    await store.heartbeat();
+    assert.equal(readLock().heartbeatAt, now);
+
+    writeLock({ id: 'other', pid: 1, hostname: 'other-host', heartbeatAt: now });
+    await store.heartbeat();
+
+    assert.equal(store.persist, false);
+    assert.equal(readLock().id, 'other');
+
+    // Closing must not remove the other process's lock
+    await store.close();
+    assert.equal(fs.existsSync(lockFile), true);
+  });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createPgvectorStore = require('../../server/src/vector-stores/pgvector');
+const createVectorService = require('../../server/src/services/vector-service');
+
+const CONTENT_TYPE = 'api::article.article';
+const DEFAULT_EF_SEARCH = 40;
+
+// One chunk per entry; entry 1 is the closest to the query, entry 2000 the farthest
+const rows = Array.from({ length: 2000 }, (_, i) => ({
+  entry_id: i + 1,
+  chunk_index: 0,
+  field: null,
+  similarity: 1 - (i + 1) / 2000
+}));
+
+// A Postgres stand-in whose ANN scan behaves like pgvector's: without an iterative scan it stops
+// after ef_search rows, and the filters only run on those
+function createKnex({ version }) {
+  const settings = {};
+
+  const raw = (sql, bindings) => {
+    if (sql.startsWith('SELECT extversion')) {
+      return { rows: [{ extversion: version }] };
+    }
+
+    const match = /^SET LOCAL ([\w.]+) = (\w+)$/.exec(sql);
+    if (match) {
+      settings[match[1]] = match[2];
+    }
+    return { sql, bindings };
+  };
+
+  const select = () => {
+    let entries = null;
+    let limit = Infinity;
+
+    const builder = {
+      select: () => builder,
+      where: () => builder,
+      whereIn: (column, subquery) => {
+        entries = subquery.ids;
+        return builder;
+      },
+      modify: fn => {
+        fn(builder);
+        return builder;
+      },
+      orderByRaw: () => builder,
+      limit: value => {
+        limit = value;
+        return builder;
+      },
+      then: (resolve, reject) => {
+        const scanned = settings['hnsw.iterative_scan']
+          ? rows
+          : rows.slice(0, parseInt(settings['hnsw.ef_search']) || DEFAULT_EF_SEARCH);
+
+        return Promise.resolve(scanned.filter(row => entries.has(row.entry_id)).slice(0, limit)).then(resolve, reject);
+      }
+    };
+
+    return builder;
+  };
+
+  const knex = Object.assign(select, { raw });
+  knex.transaction = fn => fn(knex);
+
+  return { knex, settings };
+}
+
+function createStore({ version = '0.7.4', config = {} } = {}) {
+  const { knex, settings } = createKnex({ version });
+
+  const strapi = {
+    db: {
+      connection: knex,
+      queryBuilder: () => {
+        let ids = null;
+        const builder = {
+          select: () => builder,
+          where: filters => {
+            ids = new Set(filters.id.$in);
+            return builder;
+          },
+          getKnexQuery: () => ({ ids })
+        };
+        return builder;
+      }
+    },
+    documents: () => ({
+      findMany: async ({ filters }) => filters.id.$in.map(id => ({ id, documentId: `doc-${id}` }))
+    })
+  };
+
+  const vectorService = createVectorService({ strapi });
+  vectorService.buildEntryWhere = async (contentType, { filters }) => filters;
+
+  const store = createPgvectorStore({ strapi, config, vectorService });
+  store.dimensions = 3;
+
+  return { store, settings };
+}
+
+const search = (store, ids, limit) => store.searchSimilar([1, 0, 0], CONTENT_TYPE, {
+  limit,
+  threshold: 0,
+  filters: { id: { $in: ids } }
+});
+
+describe('pgvector filtered search', () => {
+  it('raises ef_search to the candidate count so a narrow filter still fills the page', async () => {
+    const { store, settings } = createStore();
+
+    // Every tenth of the 100 nearest entries: only four of them are within the default ef_search
+    const ids = Array.from({ length: 10 }, (_, i) => (i + 1) * 10);
+    const results = await search(store, ids, 10);
+
+    assert.equal(settings['hnsw.ef_search'], '100');
+    assert.equal(results.length, 10);
+    assert.deepEqual(results.map(result => result.id), ids);
+  });
+
+  it('caps ef_search at 1000 and keeps a larger configured value', async () => {
+    const capped = createStore();
+    await search(capped.store, [1], 500);
+    assert.equal(capped.settings['hnsw.ef_search'], '1000');
+
+    const configured = createStore({ config: { efSearch: 400 } });
+    await search(configured.store, [1], 5);
+    assert.equal(configured.settings['hnsw.ef_search'], '400');
+  });
+
+  it('scales ivfflat.probes with the candidates, up to the list count', async () => {
+    const { store, settings } = createStore({ config: { index: { type: 'ivfflat', lists: 50 } } });
+
+    await search(store, [1], 10);
+    assert.equal(settings['ivfflat.probes'], '10');
+
+    await search(store, [1], 100);
+    assert.equal(settings['ivfflat.probes'], '50');
+  });
+
+  it('scans iteratively on pgvector 0.8, finding entries past any ef_search', async () => {
+    const { store, settings } = createStore({ version: '0.8.0' });
+
+    // The five farthest entries
+    const ids = [1996, 1997, 1998, 1999, 2000];
+    const results = await search(store, ids, 10);
+
+    assert.equal(settings['hnsw.iterative_scan'], 'relaxed_order');
+    assert.equal(results.length, 5);
+    assert.deepEqual(results.map(result => result.id), ids);
+  });
+
+  it('leaves the iterative scan off before pgvector 0.8', async () => {
+    const { store, settings } = createStore({ version: '0.7.4' });
+
+    const results = await search(store, [1996, 1997], 10);
+
+    assert.equal(settings['hnsw.iterative_scan'], undefined);
+    assert.equal(results.length, 0);
+  });
+});